@@ -1,9 +1,14 @@
 'use strict';
 
+const crypto = require('crypto');
 const fs = require('fs/promises');
+const os = require('os');
 const path = require('path');
 const { spawn } = require('child_process');
 
+const PAYLOAD_SCHEMA = require('../schemas/payload.schema.json');
+const RESPONSE_SCHEMA = require('../schemas/response.schema.json');
+
 const ACTION_VERSION = '2.4.0';
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -38,6 +43,63 @@ const PIPELINE_CONFIG = {
   },
 };
 
+function clonePipelineConfig(config) {
+  return {
+    agents: Object.fromEntries(Object.entries(config.agents).map(([key, agent]) => [key, { ...agent }])),
+    messages: Object.fromEntries(Object.entries(config.messages).map(([key, messages]) => [key, { ...messages }])),
+  };
+}
+
+// Active stage definitions: the defaults above, extended by the optional
+// `pipeline-config` file and by `stages` lists sent with agent responses
+let pipelineDefinition = clonePipelineConfig(PIPELINE_CONFIG);
+
+function formatStageName(stageKey) {
+  return stageKey
+    .split(/[_\-\s]+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Merge `[{ key, name, model, static, messages }]` stage definitions into
+ * the active pipeline. Unknown keys add new stages.
+ */
+function applyStageDefinitions(stages) {
+  if (!Array.isArray(stages)) {
+    return;
+  }
+  for (const stage of stages) {
+    if (!stage || typeof stage.key !== 'string' || stage.key === '') {
+      continue;
+    }
+    const current = pipelineDefinition.agents[stage.key] || {};
+    pipelineDefinition.agents[stage.key] = {
+      name: stage.name || current.name || formatStageName(stage.key),
+      model: stage.model ?? current.model ?? '',
+      static: stage.static ?? current.static ?? false,
+    };
+    if (stage.messages && typeof stage.messages === 'object') {
+      pipelineDefinition.messages[stage.key] = { ...pipelineDefinition.messages[stage.key], ...stage.messages };
+    }
+  }
+}
+
+function getStageDefinition(stageKey) {
+  return pipelineDefinition.agents[stageKey] || { name: formatStageName(stageKey), model: '' };
+}
+
+async function loadPipelineConfig(configPath) {
+  const resolved = path.resolve(process.cwd(), configPath);
+  const config = parseJsonFile(await fs.readFile(resolved, 'utf-8'), resolved);
+  if (!config || !Array.isArray(config.stages)) {
+    throw new Error(`Pipeline config ${resolved} must contain a "stages" array`);
+  }
+  applyStageDefinitions(config.stages);
+  toDebug(`Loaded ${config.stages.length} stage definition(s) from ${resolved}`);
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // GITHUB ACTIONS HELPERS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -58,39 +120,136 @@ function getInput(name, options = {}) {
   return value.trim();
 }
 
-function appendOutputLine(line) {
-  const outputPath = process.env.GITHUB_OUTPUT;
-  if (outputPath) {
-    return fs.appendFile(outputPath, `${line}\n`).catch((error) => {
-      console.error(`::warning::Failed to write to GITHUB_OUTPUT: ${error.message}`);
-    });
+function getBooleanInput(name) {
+  return ['true', 'yes', '1'].includes(getInput(name).toLowerCase());
+}
+
+function getCountInput(name, defaultValue) {
+  const value = getInput(name);
+  if (!value) {
+    return defaultValue;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(`Input ${name} must be a non-negative integer, got "${value}"`);
+  }
+  return parsed;
+}
+
+function getNumberInput(name, defaultValue) {
+  const value = getInput(name);
+  if (!value) {
+    return defaultValue;
   }
-  console.log(`::set-output ${line}`);
-  return Promise.resolve();
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    throw new Error(`Input ${name} must be a positive number, got "${value}"`);
+  }
+  return parsed;
+}
+
+function getListInput(name) {
+  return getInput(name)
+    .split(/[\r\n,]+/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Format an output for the GITHUB_OUTPUT file using the runner's heredoc
+ * syntax, which keeps multiline values intact.
+ */
+function formatOutputEntry(name, value) {
+  const delimiter = `ghadelimiter_${crypto.randomUUID()}`;
+  if (name.includes(delimiter) || value.includes(delimiter)) {
+    throw new Error(`Unexpected input: output "${name}" contains the delimiter ${delimiter}`);
+  }
+  return `${name}<<${delimiter}\n${value}\n${delimiter}\n`;
 }
 
 async function setOutput(name, value) {
-  const serialized = typeof value === 'string' ? value : JSON.stringify(value);
-  await appendOutputLine(`name=${name}::${serialized}`);
+  let serialized = value;
+  if (value === null || value === undefined) {
+    serialized = '';
+  } else if (typeof value !== 'string') {
+    serialized = JSON.stringify(value);
+  }
+
+  const outputPath = process.env.GITHUB_OUTPUT;
+  if (!outputPath) {
+    console.log(`::set-output name=${name}::${escapeCommandData(serialized)}`);
+    return;
+  }
+
+  await fs.appendFile(outputPath, formatOutputEntry(name, serialized)).catch((error) => {
+    console.error(`::warning::Failed to write to GITHUB_OUTPUT: ${error.message}`);
+  });
+}
+
+async function appendStepSummary(markdown) {
+  const summaryPath = process.env.GITHUB_STEP_SUMMARY;
+  if (!summaryPath) {
+    toDebug('GITHUB_STEP_SUMMARY is not set; skipping job summary.');
+    return;
+  }
+  await fs.appendFile(summaryPath, `${markdown}\n`).catch((error) => {
+    toWarning(`Failed to write to GITHUB_STEP_SUMMARY: ${error.message}`);
+  });
+}
+
+function getTempDirectory() {
+  return process.env.RUNNER_TEMP || os.tmpdir();
+}
+
+function escapeCommandData(value) {
+  return String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+// Shorter values are too likely to occur in ordinary text to be redacted
+const MIN_SECRET_LENGTH = 8;
+
+// Credentials the action was given: `{ name, value }`
+let knownSecrets = [];
+
+/**
+ * Register a credential so the runner masks it in the log and the action
+ * redacts it from messages, summaries and written files
+ */
+function registerSecret(name, value) {
+  if (!value || value.length < MIN_SECRET_LENGTH || knownSecrets.some((secret) => secret.value === value)) {
+    return;
+  }
+  knownSecrets.push({ name, value });
+  console.log(`::add-mask::${escapeCommandData(value)}`);
+}
+
+function redactSecrets(text) {
+  let redacted = String(text);
+  for (const { name, value } of knownSecrets) {
+    redacted = redacted.split(value).join(`[${name}]`);
+  }
+  return redacted;
 }
 
 function setFailed(message) {
-  console.error(`::error::${message}`);
+  console.error(`::error::${escapeCommandData(redactSecrets(message))}`);
   process.exitCode = 1;
 }
 
 function toDebug(message) {
   if (process.env.RUNNER_DEBUG === '1') {
-    console.log(`::debug::${message}`);
+    console.log(`::debug::${redactSecrets(message)}`);
   }
 }
 
 function toNotice(message) {
-  console.log(`::notice::${message}`);
+  console.log(`::notice::${redactSecrets(message)}`);
 }
 
 function toWarning(message) {
-  console.warn(`::warning::${message}`);
+  const redacted = redactSecrets(message);
+  console.warn(`::warning::${redacted}`);
+  runReport.warnings.push(redacted);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -101,8 +260,7 @@ function toWarning(message) {
  * Log agent status with visual formatting
  */
 function logAgentStatus(agentKey, status, details = {}) {
-  const agent = PIPELINE_CONFIG.agents[agentKey];
-  if (!agent) return;
+  const agent = getStageDefinition(agentKey);
 
   const statusIcons = {
     pending: '⏳',
@@ -110,16 +268,18 @@ function logAgentStatus(agentKey, status, details = {}) {
     thinking: '🔄',
     generating: '🔄',
     validating: '🔄',
+    running: '🔄',
     completed: '✅',
+    skipped: '⏭️',
     issues: '⚠️',
     failed: '❌',
   };
 
   const icon = statusIcons[status] || '🔄';
-  const message = details.message || PIPELINE_CONFIG.messages[agentKey]?.[status] || status;
-  
-  // Format: [icon] Agent Name (Model): Message
-  const logLine = `${icon} ${agent.name} [${agent.model}]: ${message}`;
+  const message = details.message || pipelineDefinition.messages[agentKey]?.[status] || status;
+
+  // Format: [icon] Agent Name [Model]: Message
+  const logLine = `${icon} ${agent.name}${agent.model ? ` [${agent.model}]` : ''}: ${message}`;
   
   if (status === 'failed') {
     toWarning(logLine);
@@ -141,12 +301,14 @@ function logAgentStatus(agentKey, status, details = {}) {
  */
 function logPipelineStart() {
   toNotice('═══════════════════════════════════════════════════════════');
-  toNotice('  PIXELFRAME 2-AGENT PR PIPELINE');
+  const activeStages = Object.values(pipelineDefinition.agents).filter((agent) => !agent.static).length;
+  toNotice(`  PIXELFRAME ${activeStages}-AGENT PR PIPELINE`);
   toNotice('═══════════════════════════════════════════════════════════');
   toNotice('');
   
   // Spec validation ran during spec creation (separate session) - show as context
   logAgentStatus('ticket', 'completed', { message: 'Using validated specification' });
+  recordStageStatus('ticket', { status: 'completed', message: 'Using validated specification' });
 }
 
 /**
@@ -166,6 +328,309 @@ function logPipelineComplete(prNumber, prUrl) {
   toNotice('═══════════════════════════════════════════════════════════');
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// RUN REPORT & JOB SUMMARY
+// ═══════════════════════════════════════════════════════════════════════════
+
+const FINAL_STAGE_STATUSES = ['completed', 'failed'];
+
+function createRunReport() {
+  return {
+    startedAt: Date.now(),
+    runId: null,
+    status: null,
+    stages: {},
+    files: null,
+    assets: null,
+    branch: null,
+    commitSha: null,
+    pullRequest: null,
+    merged: false,
+    merge: null,
+    branchUpdate: null,
+    pushed: false,
+    validation: null,
+    repairRounds: [],
+    review: null,
+    secrets: null,
+    repositories: null,
+    preview: null,
+    response: null,
+    warnings: [],
+    error: null,
+  };
+}
+
+// Collected over the whole run and rendered into the job summary at the end
+let runReport = createRunReport();
+
+/**
+ * Track a pipeline stage's latest status and when it started and finished
+ */
+function recordStageStatus(stageKey, stage) {
+  const now = Date.now();
+  const entry = runReport.stages[stageKey] || { startedAt: null, finishedAt: null };
+  if (!entry.startedAt && stage.status !== 'pending') {
+    entry.startedAt = now;
+  }
+  if (FINAL_STAGE_STATUSES.includes(stage.status)) {
+    entry.finishedAt = entry.finishedAt || now;
+  } else {
+    entry.finishedAt = null;
+  }
+  entry.status = stage.status;
+  entry.message = stage.message || entry.message || null;
+  entry.filesCount = stage.files_count ?? entry.filesCount ?? null;
+  entry.issuesCount = stage.issues_count ?? entry.issuesCount ?? null;
+  runReport.stages[stageKey] = entry;
+  scheduleStatusCommentUpdate();
+}
+
+function formatDuration(milliseconds) {
+  const totalSeconds = Math.max(0, Math.round(milliseconds / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return minutes > 0 ? `${minutes}m ${String(seconds).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+function escapeTableCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function renderStageTable(report) {
+  const keys = Object.keys(report.stages);
+  if (keys.length === 0) {
+    return [];
+  }
+
+  const lines = ['### Pipeline', '', '| Stage | Model | Status | Duration | Details |', '| --- | --- | --- | --- | --- |'];
+  for (const key of keys) {
+    const stage = report.stages[key];
+    const agent = getStageDefinition(key);
+    let duration = '—';
+    if (stage.startedAt && !agent.static) {
+      duration = formatDuration((stage.finishedAt || Date.now()) - stage.startedAt);
+    }
+    const details = [stage.message];
+    if (stage.filesCount) {
+      details.push(`${stage.filesCount} files modified`);
+    }
+    if (stage.issuesCount) {
+      details.push(`${stage.issuesCount} issues found`);
+    }
+    lines.push(
+      `| ${escapeTableCell(agent.name)} | ${escapeTableCell(agent.model)} | ${escapeTableCell(stage.status)} | ` +
+        `${duration} | ${escapeTableCell(details.filter(Boolean).join(' · '))} |`
+    );
+  }
+  lines.push('');
+  return lines;
+}
+
+function describeBranchUpdate(branchUpdate) {
+  if (!branchUpdate || !branchUpdate.existed) {
+    return '';
+  }
+  const details = [branchUpdate.rebased ? 'rebased' : branchUpdate.strategy];
+  if (branchUpdate.humanCommits.length > 0) {
+    details.push(`${branchUpdate.humanCommits.length} commit(s) by others`);
+  }
+  if (branchUpdate.conflicts.length > 0) {
+    details.push(`rebase conflicts in ${branchUpdate.conflicts.map((file) => `\`${file}\``).join(', ')}`);
+  }
+  if (branchUpdate.overwritten && branchUpdate.overwritten.length > 0) {
+    details.push(`rewrote ${branchUpdate.overwritten.map((file) => `\`${file}\``).join(', ')}`);
+  }
+  return ` (existing branch: ${details.join('; ')})`;
+}
+
+function renderFileSection(files) {
+  if (!files) {
+    return [];
+  }
+  const lines = [
+    '### Files',
+    '',
+    `${files.written.length} written, ${files.deleted.length} deleted, ${files.rejected.length} rejected by path policy`,
+    '',
+  ];
+  const entries = [
+    ...files.written.map((file) => `- ✏️ \`${file}\``),
+    ...files.deleted.map((file) => `- 🗑️ \`${file}\``),
+    ...files.rejected.map((item) => `- ⛔ ${item.operation} \`${item.path}\`: ${item.reason}`),
+  ];
+  if (entries.length > 0) {
+    lines.push('<details><summary>File operations</summary>', '', ...entries, '', '</details>', '');
+  }
+  return lines;
+}
+
+function renderValidationSection(validation) {
+  if (!validation) {
+    return [];
+  }
+  const lines = ['### Validation', '', '| Command | Result | Duration |', '| --- | --- | --- |'];
+  for (const result of validation.results) {
+    const outcome = `${result.status === 'passed' ? '✅' : '❌'} ${describeValidationResult(result)}`;
+    lines.push(`| \`${escapeTableCell(result.name)}\` | ${outcome} | ${formatDuration(result.durationMs)} |`);
+  }
+  lines.push('');
+  return lines;
+}
+
+function renderRepairSection(rounds) {
+  if (rounds.length === 0) {
+    return [];
+  }
+  const lines = ['### Repair rounds', '', '| Round | Result | Failed checks |', '| --- | --- | --- |'];
+  for (const entry of rounds) {
+    const failed = entry.failures
+      .map((result) => `\`${escapeTableCell(result.name)}\` (${describeValidationResult(result)})`)
+      .join(', ');
+    lines.push(`| ${entry.round} | ${entry.passed ? '✅ passed' : '❌ failed'} | ${failed || '—'} |`);
+  }
+  lines.push('');
+  for (const entry of rounds) {
+    lines.push(
+      `<details><summary>Round ${entry.round} diff</summary>`,
+      '',
+      fenceCodeBlock(entry.diff || '(no changes)', 'diff'),
+      '',
+      '</details>',
+      ''
+    );
+  }
+  return lines;
+}
+
+function renderRunSummary(report) {
+  let result = '✅ Succeeded';
+  if (report.error) {
+    result = '❌ Failed';
+  } else if (report.preview) {
+    result = '🔍 Dry run (nothing pushed)';
+  }
+
+  const lines = ['## PixelFrame agent run', '', `**Result:** ${result}`, ''];
+  if (report.error) {
+    lines.push(fenceCodeBlock(report.error), '');
+  }
+  if (report.runId) {
+    lines.push(`- **Agent run:** \`${report.runId}\`${report.status ? ` (${report.status})` : ''}`);
+  }
+  if (report.branch) {
+    lines.push(`- **Branch:** \`${report.branch}\`${describeBranchUpdate(report.branchUpdate)}`);
+  }
+  if (report.commitSha) {
+    lines.push(`- **Commit:** \`${report.commitSha}\``);
+  }
+  if (report.pullRequest && report.pullRequest.number) {
+    const label = `#${report.pullRequest.number}`;
+    const link = report.pullRequest.url ? `[${label}](${report.pullRequest.url})` : label;
+    lines.push(`- **Pull request:** ${link}${report.pullRequest.action ? ` (${report.pullRequest.action})` : ''}`);
+  }
+  if (report.merge) {
+    lines.push(`- **Merge:** ${report.merge.status} (${report.merge.mode}): ${escapeTableCell(report.merge.message)}`);
+  }
+  if (report.review) {
+    const { pullRequest, threads, replied, resolved } = report.review;
+    const followUp = `${threads} unresolved thread(s), ${replied} replied to, ${resolved} resolved`;
+    lines.push(`- **Review follow-up:** #${pullRequest}, ${followUp}`);
+  }
+  lines.push(`- **Duration:** ${formatDuration(Date.now() - report.startedAt)}`, '');
+
+  lines.push(...renderStageTable(report));
+  if (!report.preview) {
+    lines.push(...renderFileSection(report.files));
+  }
+
+  lines.push(...renderValidationSection(report.validation));
+  lines.push(...renderRepairSection(report.repairRounds));
+  lines.push(...renderRepositorySection(report.repositories));
+  lines.push(...renderSecretScanSection(report.secrets));
+
+  if (report.assets) {
+    lines.push('### Assets', '', describeAssetCounts(report.assets), '');
+    for (const failure of report.assets.failures || []) {
+      const required = failure.required ? ' (required)' : '';
+      lines.push(`- \`${failure.asset}/${failure.variant}\`${required}: ${escapeTableCell(failure.reason)}`);
+    }
+    if ((report.assets.failures || []).length > 0) {
+      lines.push('');
+    }
+  }
+
+  if (report.warnings.length > 0) {
+    lines.push('### Warnings', '', ...report.warnings.map((warning) => `- ${escapeTableCell(warning)}`), '');
+  }
+
+  if (report.preview) {
+    lines.push(renderPlanPreview(report.preview), '');
+  }
+
+  return lines.join('\n');
+}
+
+async function writeRunSummary() {
+  await appendStepSummary(renderRunSummary(runReport));
+}
+
+/**
+ * The agent response with its plans' file entries resolved to the form the
+ * action applies them in, as written to the `result-json` output file
+ */
+function expandResponseFileChanges(response) {
+  if (!response || typeof response !== 'object') {
+    return response ?? null;
+  }
+  const expand = (plan) => (isPlainObject(plan) ? { ...plan, files: normalizeFileChanges(plan.files) } : plan);
+  const expanded = { ...response };
+  if (Array.isArray(response.plans)) {
+    expanded.plans = response.plans.map(expand);
+  }
+  if (response.plan) {
+    expanded.plan = expand(response.plan);
+  }
+  return expanded;
+}
+
+async function writeResultFile(report) {
+  const resultPath = path.join(getTempDirectory(), `pixelframe-result-${report.runId || process.pid}.json`);
+  try {
+    await fs.writeFile(resultPath, `${JSON.stringify(expandResponseFileChanges(report.response), null, 2)}\n`, 'utf-8');
+    return resultPath;
+  } catch (error) {
+    toWarning(`Failed to write result JSON: ${error.message}`);
+    return '';
+  }
+}
+
+/**
+ * Emit every action output from the run report. Runs for failed runs too,
+ * so downstream steps can still see how far the run got.
+ */
+async function writeRunOutputs() {
+  const report = runReport;
+  const changedFiles = report.files ? [...report.files.written, ...report.files.deleted] : [];
+
+  await setOutput('run-id', report.runId ? String(report.runId) : '');
+  await setOutput('status', report.status || '');
+  await setOutput('branch', report.branch || '');
+  await setOutput('commit-sha', report.commitSha || '');
+  await setOutput('changed-files', changedFiles);
+  await setOutput('assets-failed', String(report.assets ? report.assets.failed : 0));
+  await setOutput('pr-number', report.pullRequest?.number ? String(report.pullRequest.number) : '');
+  await setOutput('pr-url', report.pullRequest?.url || '');
+  await setOutput('merged', String(report.merged === true));
+  await setOutput('merge-status', report.merge ? report.merge.status : '');
+  await setOutput('plan-diff', report.preview ? report.preview.diffPath : '');
+  await setOutput('result-json', report.response ? await writeResultFile(report) : '');
+  const repositories =
+    report.repositories || (report.branch ? [{ repository: process.env.GITHUB_REPOSITORY || null, ...report }] : []);
+  await setOutput('pull-requests', describeRepositoryResults(repositories));
+  await setOutput('repair-log', report.repairRounds.length > 0 ? await writeRepairLog(report.repairRounds) : '');
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // JSON & REPOSITORY HELPERS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -205,18 +670,8 @@ function buildContextSnapshot() {
 }
 
 function resolveAgentUrl(payload, inputBaseUrl) {
-  if (payload && typeof payload === 'object') {
-    const candidates = [
-      payload.agentUrl,
-      payload.agent_url,
-      payload.agent_endpoint,
-      payload.agentEndpoint,
-      payload.url,
-      payload.endpoint,
-    ].filter(Boolean);
-    if (candidates.length > 0) {
-      return candidates[0];
-    }
+  if (payload?.agentUrl) {
+    return payload.agentUrl;
   }
 
   const base = inputBaseUrl || process.env.PIXELFRAME_BASE_URL || '';
@@ -232,113 +687,879 @@ function resolveAgentUrl(payload, inputBaseUrl) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// AGENT API COMMUNICATION
+// PAYLOAD & RESPONSE CONTRACT
 // ═══════════════════════════════════════════════════════════════════════════
 
-// Track last logged status to avoid duplicate logs
-let lastLoggedStatus = {};
-
-async function pollAgentStatus(baseUrl, apiKey, runId) {
-  const statusUrl = new URL(`/agent/status/${runId}`, baseUrl).toString();
-  const maxAttempts = 120; // 10 minutes (5s * 120)
-  const pollInterval = 5000; // 5 seconds
+// Newest contract version this action reads; documents without `schemaVersion`
+// use the legacy shapes and are upgraded before validation
+const SCHEMA_VERSION = 1;
+
+// Only the first few schema errors are reported; the rest are counted
+const MAX_REPORTED_SCHEMA_ERRORS = 10;
+
+// Legacy payload keys that named the agent endpoint, in order of preference
+const LEGACY_AGENT_URL_KEYS = ['agent_url', 'agent_endpoint', 'agentEndpoint', 'url', 'endpoint'];
+
+// Legacy responses could be the plan itself, without a `plan` envelope
+const LEGACY_PLAN_KEYS = [
+  'files',
+  'updates',
+  'deletions',
+  'assets',
+  'branch',
+  'branchName',
+  'baseBranch',
+  'commit',
+  'commitMessage',
+  'force',
+  'merge',
+  'pullRequest',
+  'repository',
+  'addressedThreads',
+];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
 
-  toNotice(`Job ${runId} started, polling for completion (max 10 minutes)...`);
-  toNotice('');
+function describeJsonType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return Number.isInteger(value) ? 'integer' : typeof value;
+}
 
-  // Reset status tracking
-  lastLoggedStatus = {};
+function formatSchemaPath(location, key) {
+  if (typeof key === 'number') {
+    return `${location}[${key}]`;
+  }
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${location}.${key}` : `${location}[${JSON.stringify(key)}]`;
+}
 
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    await new Promise((resolve) => setTimeout(resolve, pollInterval));
+function resolveSchemaRef(root, ref) {
+  const target = ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, key) => (node ? node[key] : undefined), root);
+  if (!target) {
+    throw new Error(`Unknown schema reference ${ref}`);
+  }
+  return target;
+}
 
-    const headers = {
-      'User-Agent': `pixelframe-agent-action/${ACTION_VERSION}`,
-    };
-    if (apiKey) {
-      headers.Authorization = `Bearer ${apiKey}`;
+/**
+ * Check `value` against the subset of JSON Schema the published schemas use
+ * (`type`, `enum`, `properties`, `required`, `additionalProperties`,
+ * `items`, `anyOf`, local `$ref`s and the usual bounds). Returns one
+ * `path: problem` message per violation.
+ */
+function validateSchema(value, schema, location, root = schema, errors = []) {
+  if (schema.$ref) {
+    validateSchema(value, resolveSchemaRef(root, schema.$ref), location, root, errors);
+  }
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map((branch) => validateSchema(value, branch, location, root, []));
+    if (attempts.every((attempt) => attempt.length > 0)) {
+      // The closest branch explains the problem best; one of the wrong type is the furthest away
+      const distance = (attempt) => (attempt[0].startsWith(`${location}: expected `) ? Infinity : attempt.length);
+      errors.push(...attempts.reduce((best, attempt) => (distance(attempt) < distance(best) ? attempt : best)));
     }
+  }
 
-    toDebug(`Polling attempt ${attempt + 1}/${maxAttempts} - ${statusUrl}`);
-
-    const response = await fetch(statusUrl, { method: 'GET', headers });
-    const raw = await response.text();
+  const actual = describeJsonType(value);
+  const types = schema.type === undefined ? null : [].concat(schema.type);
+  if (types && !types.some((type) => type === actual || (type === 'number' && actual === 'integer'))) {
+    errors.push(`${location}: expected ${types.join(' or ')}, got ${actual}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${location}: must be one of ${schema.enum.map((item) => JSON.stringify(item)).join(', ')}`);
+  }
 
-    let data;
-    try {
-      data = JSON.parse(raw);
-    } catch (error) {
-      toWarning(`Status response is not valid JSON: ${error.message}`);
-      continue;
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${location}: must not be empty`);
     }
-
-    if (!response.ok) {
-      if (response.status === 404) {
-        throw new Error(`Job ${runId} not found (404)`);
-      }
-      if (response.status === 410) {
-        throw new Error(`Job ${runId} expired (410)`);
-      }
-      throw new Error(`Status check failed (${response.status}): ${raw.slice(0, 200)}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${location}: must match ${schema.pattern}`);
     }
-
-    // ═══════════════════════════════════════════════════════════════════
-    // LOG DETAILED AGENT STATUS
-    // ═══════════════════════════════════════════════════════════════════
-    if (data.pipeline) {
-      const { coder, reviewer } = data.pipeline;
-
-      // Log coder status changes
-      if (coder && coder.status !== lastLoggedStatus.coder) {
-        logAgentStatus('coder', coder.status, {
-          message: coder.message,
-          files_count: coder.files_count,
-        });
-        lastLoggedStatus.coder = coder.status;
-      }
-
-      // Log reviewer status changes
-      if (reviewer && reviewer.status !== lastLoggedStatus.reviewer) {
-        logAgentStatus('reviewer', reviewer.status, {
-          message: reviewer.message,
-          issues_count: reviewer.issues_count,
-        });
-        lastLoggedStatus.reviewer = reviewer.status;
-      }
+  } else if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${location}: must be at least ${schema.minimum}`);
     }
-
-    // Check completion status
-    if (data.status === 'completed') {
-      const elapsed = Math.round(((attempt + 1) * pollInterval) / 1000);
-      toNotice('');
-      toNotice(`Job ${runId} completed after ${elapsed}s`);
-      return data;
+  } else if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${location}: must have at least ${schema.minItems} item(s)`);
     }
-
-    if (data.status === 'failed') {
-      toWarning(`Job ${runId} failed: ${data.error || 'Unknown error'}`);
-      return data.result || data;
+    if (schema.items) {
+      value.forEach((item, index) => {
+        validateSchema(item, schema.items, formatSchemaPath(location, index), root, errors);
+      });
     }
-
-    if (data.status === 'processing') {
-      const elapsed = data.elapsed_seconds || (attempt + 1) * 5;
-      toDebug(`Still processing... (${elapsed}s elapsed)`);
-      continue;
+  } else if (isPlainObject(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${formatSchemaPath(location, key)}: is required`);
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const child = schema.properties?.[key] ?? schema.additionalProperties;
+      if (child === false) {
+        errors.push(`${formatSchemaPath(location, key)}: is not allowed`);
+      } else if (isPlainObject(child)) {
+        validateSchema(item, child, formatSchemaPath(location, key), root, errors);
+      }
     }
+  }
+  return errors;
+}
 
-    toWarning(`Unknown status: ${data.status}`);
+function assertMatchesSchema(document, schema, label, location) {
+  const errors = validateSchema(document, schema, location);
+  if (errors.length === 0) {
+    return;
+  }
+  const shown = errors.slice(0, MAX_REPORTED_SCHEMA_ERRORS).map((message) => `\n  - ${message}`);
+  const more = errors.length > shown.length ? `\n  … and ${errors.length - shown.length} more` : '';
+  const summary = `The ${label} does not match schema version ${SCHEMA_VERSION} (${errors.length} problem(s)):`;
+  const error = new Error(`${summary}${shown.join('')}${more}`);
+  error.schemaErrors = errors;
+  throw error;
+}
+
+/**
+ * True for documents that declare a contract version; rejects versions newer
+ * than this action understands before their shape is looked at
+ */
+function hasSchemaVersion(document, label) {
+  const version = document.schemaVersion;
+  if (version === undefined) {
+    return false;
+  }
+  if (typeof version === 'number' && version > SCHEMA_VERSION) {
+    throw new Error(
+      `The ${label} uses schemaVersion ${version}, but this action reads up to ${SCHEMA_VERSION}; update the action`
+    );
   }
+  return true;
+}
 
-  throw new Error(`Job ${runId} timed out after 10 minutes`);
+function upgradeLegacyPayload(payload) {
+  const upgraded = { ...payload, schemaVersion: SCHEMA_VERSION };
+  const agentUrl = payload.agentUrl || LEGACY_AGENT_URL_KEYS.map((key) => payload[key]).find(Boolean);
+  if (agentUrl) {
+    upgraded.agentUrl = agentUrl;
+  }
+  const issueNumber = payload.issueNumber ?? payload.issue?.number;
+  if (issueNumber !== undefined) {
+    upgraded.issueNumber = /^\d+$/.test(String(issueNumber)) ? Number(issueNumber) : issueNumber;
+  }
+  return upgraded;
 }
 
-async function callAgent(agentUrl, apiKey, payload, context, metadata) {
-  const headers = {
-    'Content-Type': 'application/json',
-    'User-Agent': `pixelframe-agent-action/${ACTION_VERSION}`,
+function upgradeLegacyFileChange(entry) {
+  if (!isPlainObject(entry)) {
+    return entry;
+  }
+  const { content, contentEncoding, ...rest } = entry;
+  return {
+    ...rest,
+    ...(entry.contents === undefined && content !== undefined ? { contents: content } : {}),
+    ...(entry.encoding === undefined && contentEncoding !== undefined ? { encoding: contentEncoding } : {}),
   };
-  if (apiKey) {
-    headers.Authorization = `Bearer ${apiKey}`;
+}
+
+/**
+ * Map the legacy plan fields onto the current ones: `commit.{branch, base,
+ * message, force, author}` and `branchName`, `updates` for `files`, deletion
+ * objects, a plan-level `merge` and a bare reviewer list
+ */
+function upgradeLegacyPlan(plan) {
+  if (!isPlainObject(plan)) {
+    return plan;
+  }
+  const { commit: legacyCommit, updates, branchName, merge, ...upgraded } = plan;
+  const commit = isPlainObject(legacyCommit) ? legacyCommit : {};
+
+  const branch = commit.branch || plan.branch || branchName;
+  const baseBranch = commit.base || plan.baseBranch;
+  const commitMessage = commit.message || plan.commitMessage;
+  Object.assign(
+    upgraded,
+    branch ? { branch } : {},
+    baseBranch ? { baseBranch } : {},
+    commitMessage ? { commitMessage } : {},
+    commit.force === true || plan.force === true ? { force: true } : {},
+    commit.author ? { author: commit.author } : {}
+  );
+
+  const files = plan.files || updates;
+  if (Array.isArray(files)) {
+    upgraded.files = files.map(upgradeLegacyFileChange);
+  }
+  if (Array.isArray(plan.deletions)) {
+    upgraded.deletions = plan.deletions.map((item) => (isPlainObject(item) && item.path ? item.path : item));
+  }
+
+  if (merge === true || Array.isArray(plan.pullRequest?.reviewers)) {
+    const pullRequest = { ...plan.pullRequest };
+    if (merge === true) {
+      pullRequest.merge = true;
+    }
+    if (Array.isArray(pullRequest.reviewers)) {
+      pullRequest.reviewers = { users: pullRequest.reviewers };
+    }
+    upgraded.pullRequest = pullRequest;
+  }
+  return upgraded;
+}
+
+function upgradeLegacyResponse(response) {
+  if (!('plan' in response) && !('plans' in response) && LEGACY_PLAN_KEYS.some((key) => key in response)) {
+    const envelope = { schemaVersion: SCHEMA_VERSION };
+    const plan = {};
+    for (const [key, value] of Object.entries(response)) {
+      (LEGACY_PLAN_KEYS.includes(key) ? plan : envelope)[key] = value;
+    }
+    return { ...envelope, plan: upgradeLegacyPlan(plan) };
+  }
+
+  const upgraded = { ...response, schemaVersion: SCHEMA_VERSION };
+  // An array under `plan` was an early form of multi-repository plans
+  const plans = response.plans || (Array.isArray(response.plan) ? response.plan : null);
+  if (plans) {
+    upgraded.plans = Array.isArray(plans) ? plans.map(upgradeLegacyPlan) : plans;
+    delete upgraded.plan;
+  } else if ('plan' in response) {
+    upgraded.plan = upgradeLegacyPlan(response.plan);
+  }
+  return upgraded;
+}
+
+/**
+ * Validate the payload file against the published schema, upgrading a
+ * legacy payload first
+ */
+function normalizePayload(payload) {
+  const current =
+    isPlainObject(payload) && !hasSchemaVersion(payload, 'payload') ? upgradeLegacyPayload(payload) : payload;
+  assertMatchesSchema(current, PAYLOAD_SCHEMA, 'payload', 'payload');
+  return current;
+}
+
+/**
+ * Validate an agent response against the published schema, upgrading a
+ * legacy response first, so a malformed plan fails before anything is
+ * written or pushed
+ */
+function normalizeAgentResponse(response) {
+  if (response === null || response === undefined) {
+    return null;
+  }
+  const current =
+    isPlainObject(response) && !hasSchemaVersion(response, 'agent response')
+      ? upgradeLegacyResponse(response)
+      : response;
+  assertMatchesSchema(current, RESPONSE_SCHEMA, 'agent response', 'response');
+  return current;
+}
+
+function selectResponsePlan(response) {
+  return response ? response.plans || response.plan || null : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CANCELLATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+// The runner sends SIGKILL 7.5s after SIGINT/SIGTERM, so the cancel call must be quick
+const CANCEL_REQUEST_TIMEOUT_MS = 5000;
+// Cleanup still runs after a cancellation, each request with its own deadline
+const CLEANUP_REQUEST_TIMEOUT_MS = 10000;
+
+function createCancellationState() {
+  return {
+    controller: new AbortController(),
+    agentRun: null,
+    children: new Set(),
+    reason: null,
+    pending: Promise.resolve(false),
+  };
+}
+
+// Shared by the signal handlers, the poll timeout and everything that waits
+let cancellation = createCancellationState();
+
+function createCancelledError(reason) {
+  const error = new Error(`Run cancelled (${reason})`);
+  error.cancelled = true;
+  return error;
+}
+
+function isCancelled() {
+  return cancellation.reason !== null;
+}
+
+function throwIfCancelled() {
+  if (isCancelled()) {
+    throw createCancelledError(cancellation.reason);
+  }
+}
+
+/**
+ * The signal a request runs with. Cleanup requests (`options.cleanup`) are
+ * not tied to the cancellation, which they have to outlive.
+ */
+function requestSignal(options = {}) {
+  return options.cleanup ? AbortSignal.timeout(CLEANUP_REQUEST_TIMEOUT_MS) : cancellation.controller.signal;
+}
+
+/**
+ * Remember the remote run so a cancellation can stop it. Pass `null` once
+ * the run has finished and no longer needs cancelling.
+ */
+function trackAgentRun(agentRun) {
+  cancellation.agentRun = agentRun;
+}
+
+async function cancelRemoteRun(reason) {
+  const agentRun = cancellation.agentRun;
+  if (!agentRun) {
+    return false;
+  }
+  cancellation.agentRun = null;
+
+  const cancelUrl = new URL(`/agent/run/${agentRun.runId}/cancel`, agentRun.baseUrl).toString();
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': `pixelframe-agent-action/${ACTION_VERSION}`,
+  };
+  if (agentRun.apiKey) {
+    headers.Authorization = `Bearer ${agentRun.apiKey}`;
+  }
+
+  try {
+    const response = await fetch(cancelUrl, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ reason }),
+      signal: AbortSignal.timeout(CANCEL_REQUEST_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      toWarning(`Failed to cancel PixelFrame run ${agentRun.runId} (${response.status} ${response.statusText})`);
+      return false;
+    }
+    toNotice(`🛑 Cancelled PixelFrame run ${agentRun.runId}`);
+    return true;
+  } catch (error) {
+    toWarning(`Failed to cancel PixelFrame run ${agentRun.runId}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Stop the run: abort pending waits and requests, terminate git child
+ * processes (git removes its own lock files on SIGTERM) and cancel the
+ * remote PixelFrame run. Safe to call more than once.
+ */
+function requestCancellation(reason) {
+  if (isCancelled()) {
+    return cancellation.pending;
+  }
+
+  cancellation.reason = reason;
+  runReport.status = 'cancelled';
+  toWarning(`Cancelling run (${reason})...`);
+
+  cancellation.controller.abort(createCancelledError(reason));
+  for (const child of cancellation.children) {
+    child.kill('SIGTERM');
+  }
+  cancellation.pending = cancelRemoteRun(reason);
+  return cancellation.pending;
+}
+
+/**
+ * Cancel the run on SIGINT and SIGTERM. Returns a function that removes the
+ * handlers again, so repeated runs in one process do not pile them up.
+ */
+function installSignalHandlers() {
+  const handlers = ['SIGINT', 'SIGTERM'].map((signal) => [signal, () => requestCancellation(signal)]);
+  for (const [signal, handler] of handlers) {
+    // `once` so a second signal still terminates the process immediately
+    process.once(signal, handler);
+  }
+  return () => {
+    for (const [signal, handler] of handlers) {
+      process.removeListener(signal, handler);
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// AGENT API COMMUNICATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DEFAULT_POLL_TIMEOUT_SECONDS = 600;
+const DEFAULT_POLL_INTERVAL_SECONDS = 5;
+// Backoff never waits longer than this between status checks
+const MAX_POLL_INTERVAL_MS = 60000;
+const POLL_BACKOFF_FACTOR = 1.5;
+
+// Track last logged status to avoid duplicate logs
+let lastLoggedStatus = {};
+
+/**
+ * Log and record every pipeline stage whose status changed since the last
+ * update. Returns true when at least one stage moved.
+ */
+function logPipelineUpdate(pipeline) {
+  if (!pipeline || typeof pipeline !== 'object') {
+    return false;
+  }
+
+  let changed = false;
+  for (const [stageKey, stage] of Object.entries(pipeline)) {
+    if (!stage || typeof stage !== 'object' || !stage.status || stage.status === lastLoggedStatus[stageKey]) {
+      continue;
+    }
+    logAgentStatus(stageKey, stage.status, {
+      message: stage.message,
+      files_count: stage.files_count,
+      issues_count: stage.issues_count,
+    });
+    recordStageStatus(stageKey, stage);
+    lastLoggedStatus[stageKey] = stage.status;
+    changed = true;
+  }
+
+  return changed;
+}
+
+/**
+ * Wait for `milliseconds`, rejecting early when the run is cancelled
+ */
+function sleep(milliseconds) {
+  const { signal } = cancellation.controller;
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, milliseconds);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Spread concurrent pollers by ±20% so they do not hit the backend in lockstep
+function withJitter(milliseconds) {
+  return Math.round(milliseconds * (0.8 + Math.random() * 0.4));
+}
+
+function isTransientStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function parseRetryAfter(response) {
+  const value = response.headers.get('retry-after');
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Poll the status endpoint until the run completes, fails or the timeout
+ * elapses. Network errors, 429s and 5xx responses are retried with jittered
+ * exponential backoff; the interval also grows while nothing changes and
+ * resets whenever a pipeline stage moves.
+ */
+async function pollAgentStatus(baseUrl, apiKey, runId, options = {}) {
+  const statusUrl = new URL(`/agent/status/${runId}`, baseUrl).toString();
+  const timeoutMs = (options.timeoutSeconds ?? DEFAULT_POLL_TIMEOUT_SECONDS) * 1000;
+  const baseInterval = (options.intervalSeconds || DEFAULT_POLL_INTERVAL_SECONDS) * 1000;
+  const maxInterval = Math.max(baseInterval, MAX_POLL_INTERVAL_MS);
+  const startedAt = Date.now();
+
+  toNotice(`Job ${runId} started, polling for completion (max ${formatDuration(timeoutMs)})...`);
+  toNotice('');
+
+  const headers = {
+    'User-Agent': `pixelframe-agent-action/${ACTION_VERSION}`,
+  };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  let interval = baseInterval;
+  let delay = options.immediate ? 0 : withJitter(interval);
+  let attempt = 0;
+
+  for (let remaining = timeoutMs; remaining > 0; remaining = timeoutMs - (Date.now() - startedAt)) {
+    await sleep(Math.min(delay, remaining));
+    attempt++;
+    interval = Math.min(interval * POLL_BACKOFF_FACTOR, maxInterval);
+    delay = withJitter(interval);
+
+    toDebug(`Polling attempt ${attempt} - ${statusUrl}`);
+
+    let response;
+    let raw;
+    try {
+      response = await fetch(statusUrl, { method: 'GET', headers, signal: cancellation.controller.signal });
+      raw = await response.text();
+    } catch (error) {
+      throwIfCancelled();
+      toWarning(`Status check for job ${runId} failed (${error.cause?.code || error.message}); retrying`);
+      continue;
+    }
+
+    if (isTransientStatus(response.status)) {
+      const retryAfter = parseRetryAfter(response);
+      if (retryAfter !== null) {
+        delay = Math.min(Math.max(retryAfter, delay), maxInterval);
+      }
+      toWarning(`Status check for job ${runId} returned ${response.status}; retrying in ${formatDuration(delay)}`);
+      continue;
+    }
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        throw new Error(`Job ${runId} not found (404)`);
+      }
+      if (response.status === 410) {
+        throw new Error(`Job ${runId} expired (410)`);
+      }
+      throw new Error(`Status check failed (${response.status}): ${redactSecrets(raw.slice(0, 200))}`);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      toWarning(`Status response is not valid JSON: ${error.message}`);
+      continue;
+    }
+
+    applyStageDefinitions(data.stages);
+
+    // Poll quickly again while stages are moving
+    if (logPipelineUpdate(data.pipeline)) {
+      interval = baseInterval;
+      delay = withJitter(interval);
+    }
+
+    const elapsed = Math.round((Date.now() - startedAt) / 1000);
+
+    // Check completion status
+    if (data.status === 'completed') {
+      toNotice('');
+      toNotice(`Job ${runId} completed after ${elapsed}s`);
+      return data;
+    }
+
+    if (data.status === 'failed') {
+      toWarning(`Job ${runId} failed: ${data.error || 'Unknown error'}`);
+      return data.result || data;
+    }
+
+    if (data.status === 'processing') {
+      toDebug(`Still processing... (${data.elapsed_seconds || elapsed}s elapsed)`);
+      continue;
+    }
+
+    toWarning(`Unknown status: ${data.status}`);
+  }
+
+  await requestCancellation('poll timeout');
+  throw new Error(`Job ${runId} timed out after ${formatDuration(timeoutMs)}`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STATUS STREAMING (SERVER-SENT EVENTS)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const STATUS_TRANSPORTS = ['auto', 'sse', 'poll'];
+
+/**
+ * Parse a text/event-stream body into `{ type, data, id }` events
+ */
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = { type: 'message', data: [], id: null };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    for (let match = /\r\n|\r|\n/.exec(buffer); match; match = /\r\n|\r|\n/.exec(buffer)) {
+      // A trailing \r may be the first half of a \r\n split across chunks
+      if (match[0] === '\r' && match.index === buffer.length - 1) {
+        break;
+      }
+      const line = buffer.slice(0, match.index);
+      buffer = buffer.slice(match.index + match[0].length);
+
+      if (line === '') {
+        if (event.data.length > 0) {
+          yield { type: event.type, data: event.data.join('\n'), id: event.id };
+        }
+        event = { type: 'message', data: [], id: event.id };
+        continue;
+      }
+      if (line.startsWith(':')) {
+        continue;
+      }
+
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'event') {
+        event.type = value;
+      } else if (field === 'data') {
+        event.data.push(value);
+      } else if (field === 'id') {
+        event.id = value;
+      }
+    }
+  }
+}
+
+function parseEventData(event) {
+  try {
+    return JSON.parse(event.data);
+  } catch (error) {
+    toDebug(`Ignoring ${event.type} event with non-JSON data: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Follow `/agent/events/{runId}` and log stage transitions, progress
+ * messages and partial file counts as they arrive.
+ *
+ * Resolves to `{ supported: false }` when the backend does not offer the
+ * stream, and to `{ supported: true, data }` otherwise, where `data` is the
+ * terminal event payload or null when the stream ended early.
+ */
+async function streamAgentEvents(baseUrl, apiKey, runId, timeoutMs) {
+  const eventsUrl = new URL(`/agent/events/${runId}`, baseUrl).toString();
+  const headers = {
+    Accept: 'text/event-stream',
+    'User-Agent': `pixelframe-agent-action/${ACTION_VERSION}`,
+  };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  let streaming = false;
+
+  try {
+    const signal = AbortSignal.any([controller.signal, cancellation.controller.signal]);
+    const response = await fetch(eventsUrl, { method: 'GET', headers, signal });
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.ok || !contentType.includes('text/event-stream') || !response.body) {
+      toDebug(`Event stream unavailable (${response.status} ${contentType || 'no content type'})`);
+      await response.body?.cancel();
+      return { supported: false };
+    }
+
+    streaming = true;
+    toNotice(`Job ${runId} started, streaming status events...`);
+    toNotice('');
+
+    const fileCounts = {};
+    for await (const event of readServerSentEvents(response.body)) {
+      const data = parseEventData(event);
+      if (!data) {
+        continue;
+      }
+
+      if (event.type === 'stages') {
+        applyStageDefinitions(data.stages);
+      } else if (event.type === 'pipeline') {
+        logPipelineUpdate(data);
+      } else if (event.type === 'stage' && data.stage) {
+        logPipelineUpdate({ [data.stage]: data });
+      } else if (event.type === 'progress' && data.message) {
+        toNotice(`   ↳ ${data.stage ? `[${data.stage}] ` : ''}${data.message}`);
+      } else if (event.type === 'files' && data.files_count !== undefined) {
+        const key = data.stage || 'coder';
+        if (fileCounts[key] !== data.files_count) {
+          fileCounts[key] = data.files_count;
+          toNotice(`   └─ ${data.files_count} files generated so far`);
+        }
+      } else if (event.type === 'completed' || event.type === 'failed') {
+        applyStageDefinitions(data.stages);
+        logPipelineUpdate(data.pipeline);
+        return { supported: true, data: { status: event.type, ...data } };
+      }
+    }
+
+    toDebug('Event stream closed before the run finished');
+    return { supported: true, data: null };
+  } catch (error) {
+    throwIfCancelled();
+    if (controller.signal.aborted) {
+      return { supported: true, data: null };
+    }
+    if (streaming) {
+      toWarning(`Status event stream interrupted (${error.cause?.code || error.message})`);
+      return { supported: true, data: null };
+    }
+    toDebug(`Event stream request failed: ${error.message}`);
+    return { supported: false };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Wait for a run to finish, streaming status events when the transport
+ * allows it and falling back to polling for whatever time remains.
+ */
+async function waitForAgentRun(baseUrl, apiKey, runId, options = {}) {
+  const transport = options.transport || 'auto';
+  const timeoutMs = (options.timeoutSeconds || DEFAULT_POLL_TIMEOUT_SECONDS) * 1000;
+  const startedAt = Date.now();
+
+  // Reset status tracking
+  lastLoggedStatus = {};
+  trackAgentRun({ baseUrl, apiKey, runId });
+
+  try {
+    return await followAgentRun(baseUrl, apiKey, runId, { ...options, transport, timeoutMs, startedAt });
+  } finally {
+    trackAgentRun(null);
+  }
+}
+
+async function followAgentRun(baseUrl, apiKey, runId, options) {
+  const { transport, timeoutMs, startedAt } = options;
+  if (transport !== 'poll') {
+    const outcome = await streamAgentEvents(baseUrl, apiKey, runId, timeoutMs);
+    const final = outcome.data;
+    if (final && final.status === 'failed') {
+      toWarning(`Job ${runId} failed: ${final.error || 'Unknown error'}`);
+      return final.result || final;
+    }
+    if (final && final.plan) {
+      toNotice('');
+      toNotice(`Job ${runId} completed after ${Math.round((Date.now() - startedAt) / 1000)}s`);
+      return final;
+    }
+    if (!outcome.supported) {
+      const log = transport === 'sse' ? toWarning : toDebug;
+      log('Status event stream is not supported by the backend; falling back to polling.');
+    }
+    if (outcome.supported || final) {
+      // The stream already covered the wait; fetch the final document right away
+      options = { ...options, immediate: true };
+    }
+  }
+
+  const remainingSeconds = Math.max(0, (timeoutMs - (Date.now() - startedAt)) / 1000);
+  return pollAgentStatus(baseUrl, apiKey, runId, { ...options, timeoutSeconds: remainingSeconds });
+}
+
+/**
+ * Attach to a run that is already in progress instead of starting a new one
+ */
+async function resumeAgentRun(agentUrl, apiKey, runId, pollOptions = {}) {
+  toNotice(`🔁 Resuming PixelFrame run ${runId}`);
+  runReport.runId = runId;
+  const baseUrl = new URL(agentUrl).origin;
+  return waitForAgentRun(baseUrl, apiKey, runId, { ...pollOptions, immediate: true });
+}
+
+/**
+ * Send feedback about a run's plan back to the agent through
+ * `POST /agent/run/{runId}/feedback`. Returns the parsed response body.
+ */
+async function sendAgentFeedback(agentUrl, apiKey, runId, feedback) {
+  if (!runId) {
+    toWarning('The agent run has no id; cannot send feedback.');
+    return null;
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': `pixelframe-agent-action/${ACTION_VERSION}`,
+  };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  const feedbackUrl = new URL(`/agent/run/${runId}/feedback`, agentUrl).toString();
+  toNotice(`📨 Sending ${feedback.type} feedback to PixelFrame run ${runId}`);
+  const response = await fetch(feedbackUrl, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(feedback),
+    signal: cancellation.controller.signal,
+  });
+
+  const raw = await response.text();
+  if (!response.ok) {
+    const snippet = raw ? redactSecrets(raw.slice(0, 500)) : 'No response body';
+    throw new Error(`PixelFrame feedback request failed (${response.status} ${response.statusText}): ${snippet}`);
+  }
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    toWarning(`Agent feedback response is not valid JSON: ${error.message}`);
+    return { raw };
+  }
+}
+
+/**
+ * Send feedback and, when it asks for a revision, wait for the revised plan
+ * the same way as for the initial run
+ */
+async function requestAgentRevision(agentUrl, apiKey, feedback, pollOptions = {}) {
+  let data = await sendAgentFeedback(agentUrl, apiKey, runReport.runId, feedback);
+  if (!feedback.revise || !data) {
+    return data;
+  }
+
+  applyStageDefinitions(data.stages);
+  if (data.status === 'processing') {
+    const runId = data.runId || runReport.runId;
+    data = await waitForAgentRun(new URL(agentUrl).origin, apiKey, runId, pollOptions);
+  }
+  if (data && typeof data === 'object') {
+    runReport.runId = data.runId || runReport.runId;
+    runReport.status = data.status || runReport.status;
+    runReport.response = data;
+  }
+  data = normalizeAgentResponse(data);
+  runReport.response = data;
+  return data;
+}
+
+async function callAgent(agentUrl, apiKey, payload, context, metadata, pollOptions = {}) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': `pixelframe-agent-action/${ACTION_VERSION}`,
+  };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
   }
 
   const body = JSON.stringify({
@@ -347,432 +1568,4259 @@ async function callAgent(agentUrl, apiKey, payload, context, metadata) {
     metadata,
   });
 
-  toDebug(`Calling PixelFrame agent at ${agentUrl}`);
+  toDebug(`Calling PixelFrame agent at ${agentUrl}`);
+
+  const response = await fetch(agentUrl, {
+    method: 'POST',
+    headers,
+    body,
+    signal: cancellation.controller.signal,
+  });
+
+  const raw = await response.text();
+
+  let data;
+  if (raw) {
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      toWarning(`Agent response is not valid JSON: ${error.message}`);
+      data = { raw };
+    }
+  }
+
+  if (!response.ok) {
+    const snippet = raw ? redactSecrets(raw.slice(0, 500)) : 'No response body';
+    throw new Error(
+      `PixelFrame API request failed (${response.status} ${response.statusText}): ${snippet}`
+    );
+  }
+
+  if (data && data.runId) {
+    runReport.runId = data.runId;
+  }
+  if (data) {
+    applyStageDefinitions(data.stages);
+  }
+
+  // If status is "processing", poll until complete
+  if (data && data.status === 'processing' && data.runId) {
+    const baseUrl = new URL(agentUrl).origin;
+    data = await waitForAgentRun(baseUrl, apiKey, data.runId, pollOptions);
+  }
+
+  return data;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WORKSPACE PATH POLICY
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Git internals are never writable, whatever the configured globs say
+const PROTECTED_PATHS = ['**/.git/**'];
+
+// Always denied; the `denied-paths` input adds to these
+const DEFAULT_DENIED_PATHS = ['.github/workflows/**'];
+
+/**
+ * Convert a gitignore-style glob into an anchored RegExp.
+ * Supports `*`, `?` and `**`; patterns without a slash match at any depth
+ * and a trailing `/**` also matches the directory itself. A trailing `/`
+ * names a directory, so it stands for everything below it.
+ */
+function globToRegExp(pattern) {
+  let glob = pattern.trim().replace(/\\/g, '/').replace(/^\.\//, '').replace(/^\/+/, '');
+  const directory = glob.endsWith('/');
+  glob = glob.replace(/\/+$/, '');
+  if (!glob.includes('/')) {
+    glob = `**/${glob}`;
+  }
+  if (directory) {
+    glob = `${glob}/**`;
+  }
+
+  let source = '';
+  for (let index = 0; index < glob.length; index++) {
+    const char = glob[index];
+    if (char === '*' && glob[index + 1] === '*') {
+      const atSegmentStart = index === 0 || glob[index - 1] === '/';
+      const next = glob[index + 2];
+      if (atSegmentStart && next === '/') {
+        source += '(?:.*/)?';
+        index += 2;
+      } else if (atSegmentStart && next === undefined && source.endsWith('/')) {
+        source = `${source.slice(0, -1)}(?:/.*)?`;
+        index += 1;
+      } else {
+        source += '.*';
+        index += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+function compileGlobs(patterns) {
+  return patterns.map((pattern) => ({ pattern, regex: globToRegExp(pattern) }));
+}
+
+function findMatchingGlob(globs, relativePath) {
+  const match = globs.find((glob) => glob.regex.test(relativePath));
+  return match ? match.pattern : null;
+}
+
+function createPathPolicy(options = {}) {
+  const denied = [...new Set([...DEFAULT_DENIED_PATHS, ...(options.denied || [])])];
+  return {
+    root: path.resolve(options.root || process.cwd()),
+    allowed: compileGlobs(options.allowed || []),
+    denied: compileGlobs(denied),
+    protected: compileGlobs(PROTECTED_PATHS),
+  };
+}
+
+function isInsideDirectory(directory, candidate) {
+  const relative = path.relative(directory, candidate);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+function toPosixPath(value) {
+  return value.split(path.sep).join('/');
+}
+
+/**
+ * Resolve symlinks for the longest existing prefix of `target`, so paths
+ * that do not exist yet are judged by the directory they would land in.
+ */
+async function resolveRealPath(target) {
+  const missing = [];
+  let current = target;
+  for (;;) {
+    try {
+      const real = await fs.realpath(current);
+      return path.join(real, ...missing);
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+        throw error;
+      }
+      const parent = path.dirname(current);
+      if (parent === current) {
+        return target;
+      }
+      missing.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+function matchPolicyGlobs(policy, relativePath) {
+  const protectedMatch = findMatchingGlob(policy.protected, relativePath);
+  if (protectedMatch) {
+    return `targets protected path "${protectedMatch}"`;
+  }
+  const deniedMatch = findMatchingGlob(policy.denied, relativePath);
+  if (deniedMatch) {
+    return `matches denied pattern "${deniedMatch}"`;
+  }
+  if (policy.allowed.length > 0 && !findMatchingGlob(policy.allowed, relativePath)) {
+    return 'does not match any allowed-paths pattern';
+  }
+  return null;
+}
+
+/**
+ * Deleting a directory deletes everything below it, so every entry below it
+ * has to pass the globs too; otherwise deleting `.github` would remove the
+ * denied workflows. Symlinks to directories are removed, not followed.
+ */
+async function findDirectoryDeleteViolation(policy, absolutePath, relativePath) {
+  const stats = await fs.lstat(absolutePath).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    return null;
+  }
+  const entries = await fs.readdir(absolutePath, { recursive: true, withFileTypes: true });
+  for (const entry of entries) {
+    const entryPath = path.join(entry.parentPath || entry.path, entry.name);
+    const entryRelative = `${relativePath}/${toPosixPath(path.relative(absolutePath, entryPath))}`;
+    const violation = matchPolicyGlobs(policy, entryRelative);
+    if (violation) {
+      return `is a directory containing "${entryRelative}", which ${violation}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Why `requestedPath` can never name a file below `root`, whatever is on
+ * disk, or null when it can
+ */
+function findPathSyntaxViolation(root, requestedPath) {
+  if (typeof requestedPath !== 'string' || requestedPath.trim() === '' || requestedPath.includes('\0')) {
+    return 'invalid path';
+  }
+  if (path.isAbsolute(requestedPath) || path.win32.isAbsolute(requestedPath)) {
+    return 'absolute paths are not allowed';
+  }
+  const absolutePath = path.resolve(root, requestedPath);
+  if (absolutePath === root) {
+    return 'refers to the workspace root';
+  }
+  if (!isInsideDirectory(root, absolutePath)) {
+    return 'resolves outside the workspace';
+  }
+  return null;
+}
+
+// Linux gives up resolving a path after this many symlinks
+const MAX_SYMLINK_HOPS = 40;
+
+/**
+ * Follow the symlinks (mode 120000 entries) of a remote tree along
+ * `relativePath`, as the workspace checks do on disk. Returns the path it
+ * resolves to, or `{ violation }`.
+ */
+async function resolveTreePath(tree, relativePath, operation) {
+  let remaining = relativePath.split('/');
+  let resolved = [];
+  let hops = 0;
+  while (remaining.length > 0) {
+    const [part, ...rest] = remaining;
+    // Deletions remove a link itself, so only the directories above it are followed
+    const entry = rest.length > 0 || operation !== 'delete' ? await tree.lookup([...resolved, part].join('/')) : null;
+    if (entry?.mode !== '120000') {
+      resolved.push(part);
+      remaining = rest;
+      continue;
+    }
+    if (++hops > MAX_SYMLINK_HOPS) {
+      return { violation: 'is a symlink loop' };
+    }
+    const link = await tree.readLink(entry);
+    const target = path.posix.normalize(path.posix.join(resolved.join('/'), link));
+    if (path.posix.isAbsolute(link) || target === '..' || target.startsWith('../')) {
+      return { violation: 'follows a symlink outside the workspace' };
+    }
+    resolved = [];
+    remaining = [...(target === '.' ? [] : target.split('/')), ...rest];
+  }
+  if (resolved.length === 0) {
+    return { violation: 'follows a symlink to the workspace root' };
+  }
+  return { path: resolved.join('/') };
+}
+
+/**
+ * The remote tree counterpart of the checks below, for commit-method api,
+ * where the workspace on disk says nothing about the branch being changed
+ */
+async function findTreeViolation(policy, relativePath, operation) {
+  const resolved = await resolveTreePath(policy.tree, relativePath, operation);
+  if (resolved.violation) {
+    return resolved.violation;
+  }
+  const realViolation = resolved.path !== relativePath && matchPolicyGlobs(policy, resolved.path);
+  if (realViolation) {
+    return `follows a symlink that ${realViolation}`;
+  }
+  if (operation === 'delete') {
+    for (const entry of await policy.tree.listBelow(resolved.path)) {
+      const violation = matchPolicyGlobs(policy, entry.path);
+      if (violation) {
+        return `is a directory containing "${entry.path}", which ${violation}`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Decide whether an agent file operation may touch `requestedPath`.
+ * Writes follow symlinks, so the target itself is resolved; deletions only
+ * remove the link, so only the containing directory has to be real. With
+ * `policy.tree` (a Git Data target) symlinks are looked up in that tree
+ * instead of on disk.
+ */
+async function checkPathPolicy(policy, requestedPath, operation) {
+  const reject = (reason) => ({ allowed: false, path: String(requestedPath), operation, reason });
+
+  const syntaxViolation = findPathSyntaxViolation(policy.root, requestedPath);
+  if (syntaxViolation) {
+    return reject(syntaxViolation);
+  }
+
+  const absolutePath = path.resolve(policy.root, requestedPath);
+
+  const relativePath = toPosixPath(path.relative(policy.root, absolutePath));
+  const globViolation = matchPolicyGlobs(policy, relativePath);
+  if (globViolation) {
+    return reject(globViolation);
+  }
+
+  if (policy.tree) {
+    const treeViolation = await findTreeViolation(policy, relativePath, operation);
+    if (treeViolation) {
+      return reject(treeViolation);
+    }
+    return { allowed: true, path: requestedPath, operation, relativePath, absolutePath };
+  }
+
+  if (operation === 'delete') {
+    const directoryViolation = await findDirectoryDeleteViolation(policy, absolutePath, relativePath);
+    if (directoryViolation) {
+      return reject(directoryViolation);
+    }
+  } else {
+    const stats = await fs.lstat(absolutePath).catch(() => null);
+    if (stats && stats.isSymbolicLink()) {
+      const target = await fs.realpath(absolutePath).catch(() => null);
+      if (!target) {
+        return reject('is a dangling symlink');
+      }
+    }
+  }
+
+  const realRoot = await fs.realpath(policy.root);
+  const realTarget =
+    operation === 'delete'
+      ? path.join(await resolveRealPath(path.dirname(absolutePath)), path.basename(absolutePath))
+      : await resolveRealPath(absolutePath);
+  if (!isInsideDirectory(realRoot, realTarget)) {
+    return reject('follows a symlink outside the workspace');
+  }
+
+  const realRelative = toPosixPath(path.relative(realRoot, realTarget));
+  const realViolation = realRelative !== relativePath && matchPolicyGlobs(policy, realRelative);
+  if (realViolation) {
+    return reject(`follows a symlink that ${realViolation}`);
+  }
+
+  return { allowed: true, path: requestedPath, operation, relativePath, absolutePath };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PATCHES & SEARCH/REPLACE EDITS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Context lines a hunk may drop from each end when it no longer matches exactly
+const DEFAULT_PATCH_FUZZ = 2;
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Parse the hunks of a single-file unified diff. File headers are optional;
+ * `--- /dev/null` marks a file creation and `+++ /dev/null` a deletion.
+ */
+function parseUnifiedDiff(patchText) {
+  const lines = patchText.replace(/\r\n/g, '\n').split('\n');
+  const parsed = { hunks: [], createsFile: false, deletesFile: false };
+  let hunk = null;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+
+  for (const line of lines) {
+    if (hunk && (oldRemaining > 0 || newRemaining > 0)) {
+      const marker = line[0] || ' ';
+      const text = line.slice(1);
+      if (marker === ' ') {
+        hunk.lines.push({ type: 'context', text });
+        oldRemaining--;
+        newRemaining--;
+      } else if (marker === '-') {
+        hunk.lines.push({ type: 'remove', text });
+        oldRemaining--;
+      } else if (marker === '+') {
+        hunk.lines.push({ type: 'add', text });
+        newRemaining--;
+      } else if (marker !== '\\') {
+        throw new Error(`Malformed hunk ${parsed.hunks.length} (${hunk.header}): unexpected line "${line}"`);
+      }
+      continue;
+    }
+
+    if (line.startsWith('\\') && hunk) {
+      // "\ No newline at end of file" applies to the side of the line before it
+      const previous = hunk.lines[hunk.lines.length - 1];
+      if (previous && previous.type !== 'add') {
+        hunk.oldMissingNewline = true;
+      }
+      if (previous && previous.type !== 'remove') {
+        hunk.newMissingNewline = true;
+      }
+      continue;
+    }
+
+    const header = HUNK_HEADER.exec(line);
+    if (header) {
+      hunk = {
+        header: header[0],
+        oldStart: Number(header[1]),
+        lines: [],
+        oldMissingNewline: false,
+        newMissingNewline: false,
+      };
+      oldRemaining = header[2] === undefined ? 1 : Number(header[2]);
+      newRemaining = header[4] === undefined ? 1 : Number(header[4]);
+      parsed.hunks.push(hunk);
+    } else if (line.startsWith('--- ')) {
+      parsed.createsFile = line.slice(4).trim() === '/dev/null';
+    } else if (line.startsWith('+++ ')) {
+      parsed.deletesFile = line.slice(4).trim() === '/dev/null';
+    }
+  }
+
+  if (hunk && (oldRemaining > 0 || newRemaining > 0)) {
+    throw new Error(`Malformed hunk ${parsed.hunks.length} (${hunk.header}): patch ends before the hunk is complete`);
+  }
+
+  return parsed;
+}
+
+function splitLines(text) {
+  const lines = text.split(/\r?\n/);
+  const endsWithNewline = lines.length > 1 && lines[lines.length - 1] === '';
+  if (endsWithNewline || text === '') {
+    lines.pop();
+  }
+  return { lines, endsWithNewline, eol: text.includes('\r\n') ? '\r\n' : '\n' };
+}
+
+function linesMatchAt(lines, expected, position) {
+  if (position < 0 || position + expected.length > lines.length) {
+    return false;
+  }
+  return expected.every((text, index) => lines[position + index] === text);
+}
+
+/**
+ * Search outward from the line the hunk expects, never before `minIndex`
+ * so hunks cannot be applied out of order.
+ */
+function findHunkPosition(lines, expected, preferred, minIndex) {
+  const maxIndex = lines.length - expected.length;
+  const start = Math.min(Math.max(preferred, minIndex), Math.max(maxIndex, minIndex));
+  for (let distance = 0; start - distance >= minIndex || start + distance <= maxIndex; distance++) {
+    if (linesMatchAt(lines, expected, start - distance)) {
+      return start - distance;
+    }
+    if (distance > 0 && linesMatchAt(lines, expected, start + distance)) {
+      return start + distance;
+    }
+  }
+  return -1;
+}
+
+function trimHunkContext(hunk, fuzz) {
+  let leading = 0;
+  while (leading < hunk.lines.length && hunk.lines[leading].type === 'context') {
+    leading++;
+  }
+  let trailing = 0;
+  while (trailing < hunk.lines.length - leading && hunk.lines[hunk.lines.length - 1 - trailing].type === 'context') {
+    trailing++;
+  }
+  // Pure insertions keep one context line per side so they stay anchored
+  const anchored = hunk.lines.some((line) => line.type === 'remove') ? 0 : 1;
+  const dropLeading = Math.min(fuzz, Math.max(leading - anchored, 0));
+  const dropTrailing = Math.min(fuzz, Math.max(trailing - anchored, 0));
+  const body = hunk.lines.slice(dropLeading, hunk.lines.length - dropTrailing);
+  return {
+    dropLeading,
+    oldLines: body.filter((line) => line.type !== 'add').map((line) => line.text),
+    newLines: body.filter((line) => line.type !== 'remove').map((line) => line.text),
+  };
+}
+
+/**
+ * Apply a unified diff to `original`. Returns the patched text, or `null`
+ * when the patch deletes the file. Throws with a per-hunk report when any
+ * hunk cannot be located, even with fuzz.
+ */
+function applyUnifiedDiff(original, patchText, options = {}) {
+  const fuzz = Number.isInteger(options.fuzz) ? options.fuzz : DEFAULT_PATCH_FUZZ;
+  const parsed = parseUnifiedDiff(patchText);
+  if (parsed.hunks.length === 0) {
+    throw createConflictError([{ hunk: 0, reason: 'patch contains no hunks' }]);
+  }
+
+  const source = splitLines(original);
+  const lines = [...source.lines];
+  const conflicts = [];
+  let delta = 0;
+  let minIndex = 0;
+
+  parsed.hunks.forEach((hunk, index) => {
+    const preferred = Math.max(hunk.oldStart - 1, 0) + delta;
+    for (let level = 0; level <= fuzz; level++) {
+      const trimmed = trimHunkContext(hunk, level);
+      if (level > 0 && trimmed.oldLines.length === trimHunkContext(hunk, level - 1).oldLines.length) {
+        break;
+      }
+      const position = findHunkPosition(lines, trimmed.oldLines, preferred + trimmed.dropLeading, minIndex);
+      if (position !== -1) {
+        if (level > 0) {
+          toDebug(`Hunk ${index + 1} (${hunk.header}) applied with fuzz ${level}`);
+        }
+        lines.splice(position, trimmed.oldLines.length, ...trimmed.newLines);
+        delta += trimmed.newLines.length - trimmed.oldLines.length;
+        minIndex = position + trimmed.newLines.length;
+        return;
+      }
+    }
+
+    const { newLines } = trimHunkContext(hunk, 0);
+    const alreadyApplied = newLines.length > 0 && findHunkPosition(lines, newLines, preferred, 0) !== -1;
+    conflicts.push({
+      hunk: index + 1,
+      header: hunk.header,
+      reason: alreadyApplied ? 'hunk appears to be already applied' : 'context does not match the current file',
+    });
+  });
+
+  if (conflicts.length > 0) {
+    throw createConflictError(conflicts);
+  }
+  if (parsed.deletesFile) {
+    return null;
+  }
+
+  const lastHunk = parsed.hunks[parsed.hunks.length - 1];
+  let endsWithNewline = source.endsWithNewline || original === '';
+  if (lastHunk.newMissingNewline) {
+    endsWithNewline = false;
+  } else if (lastHunk.oldMissingNewline) {
+    endsWithNewline = true;
+  }
+  if (lines.length === 0) {
+    return '';
+  }
+  return lines.join(source.eol) + (endsWithNewline ? source.eol : '');
+}
+
+function findAllOccurrences(text, needle) {
+  const positions = [];
+  if (!needle) {
+    return positions;
+  }
+  for (let index = text.indexOf(needle); index !== -1; index = text.indexOf(needle, index + 1)) {
+    positions.push(index);
+  }
+  return positions;
+}
+
+/**
+ * Fuzzy fallback for edits: match whole lines while ignoring trailing
+ * whitespace and line-ending differences.
+ */
+function findLooseLineMatches(text, search) {
+  const haystack = text.split('\n');
+  const needle = search.replace(/\r?\n$/, '').split(/\r?\n/).map((line) => line.trimEnd());
+  const matches = [];
+  for (let index = 0; index + needle.length <= haystack.length; index++) {
+    if (needle.every((line, offset) => haystack[index + offset].trimEnd() === line)) {
+      const start = haystack.slice(0, index).reduce((total, line) => total + line.length + 1, 0);
+      const length = haystack
+        .slice(index, index + needle.length)
+        .reduce((total, line) => total + line.length + 1, -1);
+      matches.push({ start, length });
+    }
+  }
+  return matches;
+}
+
+/**
+ * Apply search/replace edits in order. `before`/`after` pin the expected
+ * surrounding context, and `occurrence` (1-based) disambiguates repeats.
+ */
+function applySearchReplaceEdits(original, edits) {
+  let text = original;
+  const conflicts = [];
+
+  edits.forEach((edit, index) => {
+    const label = { hunk: index + 1, header: `(edit ${index + 1})` };
+    if (!edit || typeof edit.search !== 'string' || edit.search === '' || typeof edit.replace !== 'string') {
+      conflicts.push({ ...label, reason: 'edit must provide non-empty "search" and string "replace"' });
+      return;
+    }
+
+    const before = typeof edit.before === 'string' ? edit.before : '';
+    const after = typeof edit.after === 'string' ? edit.after : '';
+    let matches = findAllOccurrences(text, before + edit.search + after).map((start) => ({
+      start: start + before.length,
+      length: edit.search.length,
+    }));
+    if (matches.length === 0 && !before && !after) {
+      matches = findLooseLineMatches(text, edit.search);
+    }
+
+    if (matches.length === 0) {
+      conflicts.push({ ...label, reason: 'search text with its expected context was not found' });
+      return;
+    }
+
+    let match = matches[0];
+    if (edit.occurrence !== undefined) {
+      match = matches[Number(edit.occurrence) - 1];
+      if (!match) {
+        conflicts.push({ ...label, reason: `occurrence ${edit.occurrence} requested but ${matches.length} found` });
+        return;
+      }
+    } else if (matches.length > 1) {
+      conflicts.push({ ...label, reason: `search text is ambiguous (${matches.length} matches)` });
+      return;
+    }
+
+    text = text.slice(0, match.start) + edit.replace + text.slice(match.start + match.length);
+  });
+
+  if (conflicts.length > 0) {
+    throw createConflictError(conflicts);
+  }
+  return text;
+}
+
+function describeConflict(conflict) {
+  return conflict.hunk > 0 ? `hunk ${conflict.hunk} ${conflict.header}: ${conflict.reason}` : conflict.reason;
+}
+
+function createConflictError(conflicts) {
+  const error = new Error(conflicts.map(describeConflict).join('; '));
+  error.conflicts = conflicts;
+  return error;
+}
+
+function formatConflictReport(failures) {
+  const lines = [`${failures.length} file change(s) could not be applied cleanly:`];
+  for (const failure of failures) {
+    lines.push(`  ${failure.path} (${failure.kind})`);
+    for (const conflict of failure.conflicts) {
+      lines.push(`    - ${describeConflict(conflict)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SECRET SCANNING
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SECRET_SCAN_MODES = ['block', 'mask', 'off'];
+const SECRET_MASK = '[REDACTED]';
+
+// Token formats with a recognisable prefix or frame
+const SECRET_PATTERNS = [
+  { rule: 'github-token', regex: /\b(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36,255}\b/g },
+  { rule: 'github-fine-grained-token', regex: /\bgithub_pat_[A-Za-z0-9_]{80,}\b/g },
+  { rule: 'aws-access-key-id', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { rule: 'slack-token', regex: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { rule: 'stripe-secret-key', regex: /\b[rs]k_live_[A-Za-z0-9]{20,}\b/g },
+  { rule: 'google-api-key', regex: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { rule: 'secret-key', regex: /\bsk-(?:proj-|ant-api\d\d-)?[A-Za-z0-9_-]{32,}\b/g },
+  {
+    rule: 'private-key',
+    regex: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----/g,
+  },
+];
+
+// Quoted values assigned to credential-like names, and long quoted random-looking strings
+const CREDENTIAL_ASSIGNMENT =
+  /(?:secret|token|passw(?:or)?d|(?:api|access)[_-]?key|credential)[\w.-]*["']?\s*[:=]\s*(["'`])([^"'`\s]{16,})\1/gi;
+const QUOTED_STRING = /(["'`])([A-Za-z0-9+/=_-]{32,256})\1/g;
+const MIN_ASSIGNED_ENTROPY = 3.5;
+const MIN_STRING_ENTROPY = 4.5;
+
+// Subresource integrity hashes are random by design and public
+const PUBLIC_HASH_PREFIX = /^sha(?:256|384|512)-/;
+
+function createSecretScanState() {
+  return { mode: 'block', ignore: [] };
+}
+
+// Set from the action inputs when the run starts
+let secretScan = createSecretScanState();
+
+/**
+ * Shannon entropy in bits per character
+ */
+function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const probability = count / value.length;
+    entropy -= probability * Math.log2(probability);
+  }
+  return entropy;
+}
+
+function lineNumberAt(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+/**
+ * Find credentials in `text`: the action's own credentials always, token
+ * patterns and high-entropy values unless the path is ignored. Returns
+ * `{ rule, start, end }` ranges, sorted and without overlaps.
+ */
+function findSecrets(text, relativePath) {
+  const matches = [];
+  for (const { name, value } of knownSecrets) {
+    for (let index = text.indexOf(value); index !== -1; index = text.indexOf(value, index + value.length)) {
+      matches.push({ rule: name, start: index, end: index + value.length, known: true });
+    }
+  }
+
+  if (secretScan.mode !== 'off' && !findMatchingGlob(secretScan.ignore, relativePath)) {
+    for (const { rule, regex } of SECRET_PATTERNS) {
+      for (const match of text.matchAll(regex)) {
+        matches.push({ rule, start: match.index, end: match.index + match[0].length });
+      }
+    }
+    for (const match of text.matchAll(CREDENTIAL_ASSIGNMENT)) {
+      const value = match[2];
+      if (shannonEntropy(value) >= MIN_ASSIGNED_ENTROPY) {
+        const start = match.index + match[0].lastIndexOf(value);
+        matches.push({ rule: 'high-entropy-credential', start, end: start + value.length });
+      }
+    }
+    for (const match of text.matchAll(QUOTED_STRING)) {
+      const value = match[2];
+      if (!PUBLIC_HASH_PREFIX.test(value) && shannonEntropy(value) >= MIN_STRING_ENTROPY) {
+        matches.push({ rule: 'high-entropy-string', start: match.index + 1, end: match.index + 1 + value.length });
+      }
+    }
+  }
+
+  matches.sort((a, b) => a.start - b.start || b.end - a.end);
+  return matches.filter((match, index) => index === 0 || match.start >= matches[index - 1].end);
+}
+
+function maskSecrets(text, matches) {
+  let masked = '';
+  let position = 0;
+  for (const match of matches) {
+    masked += text.slice(position, match.start) + SECRET_MASK;
+    position = match.end;
+  }
+  return masked + text.slice(position);
+}
+
+/**
+ * Redact the action's credentials and mask token patterns in text the action
+ * publishes itself, such as validation output
+ */
+function screenText(text) {
+  const redacted = redactSecrets(text);
+  return maskSecrets(redacted, findSecrets(redacted, ''));
+}
+
+function isTextBuffer(buffer) {
+  return !buffer.subarray(0, 8000).includes(0);
+}
+
+/**
+ * Whether `match` lies on a line of `text` that is not in `originalLines`,
+ * which is a line the agent added or changed
+ */
+function touchesNewLine(text, match, originalLines) {
+  const start = text.lastIndexOf('\n', match.start - 1) + 1;
+  const end = text.indexOf('\n', match.end);
+  return text
+    .slice(start, end === -1 ? undefined : end)
+    .split('\n')
+    .some((line) => !originalLines.has(line));
+}
+
+/**
+ * Scan `buffer` (the contents of `relativePath`) and return it masked, or
+ * unchanged when it holds no secrets. With the file's `original` text only
+ * lines the agent added or changed are scanned for token patterns, so a
+ * value the repository already holds is neither reported nor rewritten.
+ * Findings are collected into `findings`; whether they block is decided by
+ * `enforceSecretScan`.
+ */
+function screenContents(buffer, relativePath, findings, original = null) {
+  if (!isTextBuffer(buffer)) {
+    return buffer;
+  }
+  const text = buffer.toString('utf-8');
+  const originalLines = new Set(original ? original.split('\n') : []);
+  const matches = findSecrets(text, relativePath).filter(
+    (match) => match.known || touchesNewLine(text, match, originalLines)
+  );
+  if (matches.length === 0) {
+    return buffer;
+  }
+  for (const match of matches) {
+    findings.push({ path: relativePath, line: lineNumberAt(text, match.start), rule: match.rule });
+  }
+  return Buffer.from(maskSecrets(text, matches), 'utf-8');
+}
+
+function screenFileChange(change, relativePath, findings, original) {
+  const encoding = change.encoding === 'base64' ? 'base64' : 'utf-8';
+  const buffer = Buffer.from(change.contents, encoding);
+  const screened = screenContents(buffer, relativePath, findings, original);
+  return screened === buffer ? change : { ...change, contents: screened.toString(encoding) };
+}
+
+/**
+ * Screen the plan's commit message and pull request title and body, which
+ * GitHub shows as written: the action's credentials are redacted, and other
+ * findings block or are masked like those in files
+ */
+function screenPlanText(plan) {
+  const findings = [];
+  const screen = (text, field) => {
+    if (typeof text !== 'string') {
+      return text;
+    }
+    const redacted = redactSecrets(text);
+    const matches = findSecrets(redacted, '');
+    for (const match of matches) {
+      findings.push({ path: field, line: lineNumberAt(redacted, match.start), rule: match.rule });
+    }
+    return maskSecrets(redacted, matches);
+  };
+  const screened = { ...plan, commitMessage: screen(plan.commitMessage, 'commitMessage') };
+  if (plan.pullRequest && typeof plan.pullRequest === 'object') {
+    screened.pullRequest = {
+      ...plan.pullRequest,
+      title: screen(plan.pullRequest.title, 'pullRequest.title'),
+      body: screen(plan.pullRequest.body, 'pullRequest.body'),
+    };
+  }
+  enforceSecretScan(findings);
+  return screened;
+}
+
+function describeSecretFindings(findings) {
+  return findings.map((finding) => `${finding.path}:${finding.line} (${finding.rule})`).join(', ');
+}
+
+/**
+ * Record `findings` and fail the run in block mode. The action's own
+ * credentials are masked even with scanning off.
+ */
+function enforceSecretScan(findings) {
+  if (findings.length === 0) {
+    return;
+  }
+  runReport.secrets = [...(runReport.secrets || []), ...findings];
+  if (secretScan.mode === 'block') {
+    const error = new Error(
+      `Secret scan found ${findings.length} possible secret(s) in the agent output: ` +
+        `${describeSecretFindings(findings)}. Nothing was pushed.`
+    );
+    error.secretFindings = findings;
+    throw error;
+  }
+  toWarning(`Masked ${findings.length} possible secret(s) in the agent output: ${describeSecretFindings(findings)}`);
+}
+
+function renderSecretScanSection(findings) {
+  if (!findings || findings.length === 0) {
+    return [];
+  }
+  const lines = ['### Secret scan', '', '| File | Line | Rule |', '| --- | --- | --- |'];
+  for (const finding of findings) {
+    lines.push(`| \`${escapeTableCell(finding.path)}\` | ${finding.line} | ${finding.rule} |`);
+  }
+  lines.push('', secretScan.mode === 'block' ? 'Nothing was pushed.' : `Values were replaced with \`${SECRET_MASK}\`.`);
+  lines.push('');
+  return lines;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FILE OPERATIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function normalizeFileChanges(files) {
+  if (!Array.isArray(files)) {
+    return [];
+  }
+  return files
+    .map((entry) => {
+      if (!entry || typeof entry !== 'object' || !entry.path) {
+        return null;
+      }
+      const encoding = entry.encoding || 'utf-8';
+      const mode = entry.mode || 'text';
+      const change = { path: entry.path, kind: 'contents', encoding, mode };
+      if (typeof entry.patch === 'string') {
+        return { ...change, kind: 'patch', patch: entry.patch, fuzz: entry.fuzz };
+      }
+      if (Array.isArray(entry.edits)) {
+        return { ...change, kind: 'edits', edits: entry.edits };
+      }
+      return { ...change, contents: entry.contents ?? '' };
+    })
+    .filter(Boolean);
+}
+
+async function readExistingText(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Turn patch and edit entries into full contents against the file as it
+ * exists now. Returns `contents: null` when a patch deletes the file.
+ */
+async function resolveFileChange(change, readCurrent) {
+  if (change.kind === 'contents') {
+    return change;
+  }
+
+  const current = await readCurrent();
+  let contents;
+  if (change.kind === 'patch') {
+    let creates;
+    try {
+      creates = parseUnifiedDiff(change.patch).createsFile;
+    } catch (error) {
+      throw createConflictError([{ hunk: 0, reason: error.message }]);
+    }
+    if (current === null && !creates) {
+      throw createConflictError([{ hunk: 0, reason: 'file does not exist' }]);
+    }
+    contents = applyUnifiedDiff(current ?? '', change.patch, { fuzz: change.fuzz });
+  } else {
+    if (current === null) {
+      throw createConflictError([{ hunk: 0, reason: 'file does not exist' }]);
+    }
+    contents = applySearchReplaceEdits(current, change.edits);
+  }
+
+  return { ...change, contents, encoding: 'utf-8', mode: 'text' };
+}
+
+async function writeFileChange(change, filePath) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  let data = change.contents;
+  if (change.encoding === 'base64') {
+    data = Buffer.from(change.contents, 'base64');
+  }
+
+  if (change.mode === 'binary') {
+    await fs.writeFile(filePath, data);
+  } else {
+    const normalized = typeof data === 'string' ? data : data.toString('utf-8');
+    await fs.writeFile(filePath, normalized, 'utf-8');
+  }
+}
+
+async function removeFile(resolvedPath) {
+  await fs.rm(resolvedPath, { force: true, recursive: true });
+}
+
+/**
+ * Default target for applyFileOperations: the checked-out workspace
+ */
+const workspaceFiles = {
+  read: (verdict) => readExistingText(verdict.absolutePath),
+  write: (change, verdict) => writeFileChange(change, verdict.absolutePath),
+  remove: (verdict) => removeFile(verdict.absolutePath),
+};
+
+function rejectOperation(summary, verdict) {
+  summary.rejected.push({
+    path: verdict.path,
+    operation: verdict.operation,
+    reason: verdict.reason,
+  });
+  toWarning(`Rejected ${verdict.operation} of "${verdict.path}": ${verdict.reason}`);
+}
+
+/**
+ * Apply the agent's file writes and deletions inside the workspace.
+ * Every operation is checked against the path policy first; rejected
+ * operations are skipped and reported in the returned summary. Patch and
+ * edit entries are all resolved before anything is written, so a conflict
+ * fails the run without leaving a half-applied plan behind.
+ *
+ * `target` reads and writes the files; it defaults to the workspace on disk.
+ */
+async function applyFileOperations(plan, policy = createPathPolicy(), target = workspaceFiles) {
+  const summary = { written: [], deleted: [], rejected: [] };
+  const updates = normalizeFileChanges(plan.files);
+
+  if (updates.length > 0) {
+    toNotice(`📝 Applying ${updates.length} file changes...`);
+  }
+
+  const resolved = [];
+  const failures = [];
+  for (const change of updates) {
+    const verdict = await checkPathPolicy(policy, change.path, 'write');
+    if (!verdict.allowed) {
+      rejectOperation(summary, verdict);
+      continue;
+    }
+    // Patches and the secret scan both need the current contents; read them once
+    let reading = null;
+    const readOriginal = () => {
+      reading = reading || target.read(verdict);
+      return reading;
+    };
+    try {
+      resolved.push({ change: await resolveFileChange(change, readOriginal), verdict, readOriginal });
+    } catch (error) {
+      if (!error.conflicts) {
+        throw error;
+      }
+      failures.push({ path: verdict.relativePath, kind: change.kind, conflicts: error.conflicts });
+    }
+  }
+
+  if (failures.length > 0) {
+    const error = new Error(formatConflictReport(failures));
+    error.patchFailures = failures;
+    throw error;
+  }
+
+  const findings = [];
+  for (const item of resolved) {
+    if (item.change.contents !== null) {
+      const original = await item.readOriginal();
+      item.change = screenFileChange(item.change, item.verdict.relativePath, findings, original);
+    }
+  }
+  enforceSecretScan(findings);
+
+  for (const { change, verdict } of resolved) {
+    if (change.contents === null) {
+      await target.remove(verdict);
+      summary.deleted.push(verdict.relativePath);
+      toDebug(`Removed file ${verdict.relativePath} (patch deletion)`);
+      continue;
+    }
+    await target.write(change, verdict);
+    summary.written.push(verdict.relativePath);
+    toDebug(`Wrote file ${verdict.relativePath}${change.kind === 'contents' ? '' : ` (${change.kind})`}`);
+  }
+
+  for (const item of plan.deletions || []) {
+    const verdict = await checkPathPolicy(policy, item, 'delete');
+    if (!verdict.allowed) {
+      rejectOperation(summary, verdict);
+      continue;
+    }
+    await target.remove(verdict);
+    summary.deleted.push(verdict.relativePath);
+    toDebug(`Removed file ${verdict.relativePath}`);
+  }
+
+  if (summary.rejected.length > 0) {
+    toWarning(
+      `📝 Files: ${summary.written.length} written, ${summary.deleted.length} deleted, ` +
+        `${summary.rejected.length} rejected by path policy`
+    );
+  }
+
+  return summary;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ASSET DOWNLOADING (Phase 4e)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const MAX_ASSET_RETRIES = 3;
+const DEFAULT_ASSET_CONCURRENCY = 4;
+
+// Expected Content-Type by extension; variants can override it with `content_type`
+const ASSET_CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.pdf': 'application/pdf',
+  '.json': 'application/json',
+};
+
+// Served by storage that does not know the file type, so they are not held against the variant
+const GENERIC_CONTENT_TYPES = ['application/octet-stream', 'binary/octet-stream'];
+
+function createAssetOptions() {
+  return { concurrency: DEFAULT_ASSET_CONCURRENCY, cacheDir: null, auth: null };
+}
+
+// Set from the action inputs when the run starts
+let assetOptions = createAssetOptions();
+
+/**
+ * An asset field that is either one value for every variant or an object
+ * keyed by variant
+ */
+function variantValue(value, variantKey) {
+  return value && typeof value === 'object' ? value[variantKey] : value;
+}
+
+function expectedContentType(asset, variantKey, targetPath) {
+  const declared = variantValue(asset.content_type, variantKey);
+  return (declared || ASSET_CONTENT_TYPES[path.extname(targetPath).toLowerCase()] || '').toLowerCase() || null;
+}
+
+/**
+ * Errors that another attempt will not fix: the server answered, but with
+ * something other than the expected file
+ */
+function createIntegrityError(message) {
+  const error = new Error(message);
+  error.integrity = true;
+  return error;
+}
+
+function verifyAssetBuffer(buffer, variant) {
+  if (buffer.length === 0) {
+    throw new Error('Empty response body');
+  }
+  if (variant.size !== undefined && buffer.length !== Number(variant.size)) {
+    throw createIntegrityError(`expected ${variant.size} bytes, got ${buffer.length}`);
+  }
+  if (variant.sha256) {
+    const digest = crypto.createHash('sha256').update(buffer).digest('hex');
+    if (digest !== String(variant.sha256).toLowerCase()) {
+      throw createIntegrityError(`sha256 mismatch: expected ${variant.sha256}, got ${digest}`);
+    }
+  }
+}
+
+function verifyContentType(response, expected) {
+  const received = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (!expected || !received || GENERIC_CONTENT_TYPES.includes(received) || received === expected) {
+    return;
+  }
+  throw createIntegrityError(`expected content type ${expected}, got ${received}`);
+}
+
+function assetCachePath(sha256) {
+  return assetOptions.cacheDir && sha256 ? path.join(assetOptions.cacheDir, String(sha256).toLowerCase()) : null;
+}
+
+async function readCachedAsset(variant) {
+  const cachePath = assetCachePath(variant.sha256);
+  const buffer = cachePath ? await fs.readFile(cachePath).catch(() => null) : null;
+  if (!buffer) {
+    return null;
+  }
+  try {
+    verifyAssetBuffer(buffer, variant);
+    return buffer;
+  } catch (error) {
+    toDebug(`  [CACHE] ignoring corrupt cache entry ${cachePath}: ${error.message}`);
+    return null;
+  }
+}
+
+async function writeCachedAsset(variant, buffer) {
+  const cachePath = assetCachePath(variant.sha256);
+  if (!cachePath) {
+    return;
+  }
+  try {
+    await fs.mkdir(assetOptions.cacheDir, { recursive: true });
+    // Rename into place so a concurrent run never reads a partial entry
+    const partialPath = `${cachePath}.${process.pid}.partial`;
+    await fs.writeFile(partialPath, buffer);
+    await fs.rename(partialPath, cachePath);
+  } catch (error) {
+    toDebug(`  [CACHE] could not store ${cachePath}: ${error.message}`);
+  }
+}
+
+function assetRequestHeaders(url) {
+  const { auth } = assetOptions;
+  if (!auth || !auth.apiKey) {
+    return {};
+  }
+  try {
+    return new URL(url).origin === auth.origin ? { Authorization: `Bearer ${auth.apiKey}` } : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+async function fetchAssetVariant(variant) {
+  const label = `${variant.assetName}/${variant.variantKey}`;
+  for (let attempt = 1; attempt <= MAX_ASSET_RETRIES; attempt++) {
+    try {
+      const response = await fetch(variant.url, {
+        headers: assetRequestHeaders(variant.url),
+        signal: cancellation.controller.signal,
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      verifyContentType(response, variant.contentType);
+      const buffer = Buffer.from(await response.arrayBuffer());
+      verifyAssetBuffer(buffer, variant);
+      return buffer;
+    } catch (err) {
+      throwIfCancelled();
+      if (err.integrity || attempt === MAX_ASSET_RETRIES) {
+        throw err.integrity ? err : new Error(`all ${MAX_ASSET_RETRIES} attempts failed (${err.message})`);
+      }
+      toDebug(`  [RETRY] ${label} attempt ${attempt}/${MAX_ASSET_RETRIES}: ${err.message}`);
+      await sleep(attempt * 1000);
+    }
+  }
+  return null;
+}
+
+/**
+ * Download (or take from the cache) one variant and write it to its
+ * verified target. Returns `downloaded` or `cached`; throws on failure.
+ */
+async function downloadSingleVariant(variant) {
+  let source = 'cached';
+  let buffer = await readCachedAsset(variant);
+  if (!buffer) {
+    source = 'downloaded';
+    buffer = await fetchAssetVariant(variant);
+    await writeCachedAsset(variant, buffer);
+  }
+  const findings = [];
+  buffer = screenContents(buffer, variant.verdict.relativePath, findings);
+  enforceSecretScan(findings);
+  await fs.mkdir(path.dirname(variant.verdict.absolutePath), { recursive: true });
+  await fs.writeFile(variant.verdict.absolutePath, buffer);
+  const { assetName, variantKey, targetPath } = variant;
+  toDebug(`  [OK] ${assetName}/${variantKey} -> ${targetPath} (${buffer.length} bytes, ${source})`);
+  return source;
+}
+
+/**
+ * Run `worker` over `items`, at most `limit` at a time
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+}
+
+async function listAssetVariants(assets, policy, report) {
+  const variants = [];
+  for (const asset of assets) {
+    const assetName = asset.name || 'unknown';
+    const targetPaths = asset.target_paths || {};
+    const downloadUrls = asset.download_urls || {};
+
+    for (const variantKey of Object.keys(targetPaths)) {
+      const targetPath = targetPaths[variantKey];
+      const url = downloadUrls[variantKey];
+      const required = asset.required === true;
+
+      if (!targetPath || !url) {
+        report.skipped++;
+        if (required) {
+          report.failures.push({ asset: assetName, variant: variantKey, required, reason: 'missing path or URL' });
+        }
+        continue;
+      }
+
+      const verdict = await checkPathPolicy(policy, targetPath, 'write');
+      if (!verdict.allowed) {
+        report.rejected++;
+        toWarning(`Rejected asset ${assetName}/${variantKey} -> "${targetPath}": ${verdict.reason}`);
+        report.failures.push({ asset: assetName, variant: variantKey, required, reason: verdict.reason });
+        continue;
+      }
+
+      variants.push({
+        assetName,
+        variantKey,
+        targetPath,
+        url,
+        required,
+        verdict,
+        sha256: variantValue(asset.sha256, variantKey),
+        size: variantValue(asset.size, variantKey),
+        contentType: expectedContentType(asset, variantKey, targetPath),
+      });
+    }
+  }
+  return variants;
+}
+
+/**
+ * Download the plan's assets into the workspace confined by `policy`.
+ * Failed variants are warnings, except for assets marked `required`, which
+ * fail the run once every download has finished.
+ */
+async function downloadAssets(plan, policy) {
+  const assets = Array.isArray(plan.assets) ? plan.assets : [];
+  if (assets.length === 0) {
+    return null;
+  }
+
+  toNotice(`🖼️  Downloading ${assets.length} asset(s) from R2...`);
+
+  const report = { downloaded: 0, cached: 0, failed: 0, skipped: 0, rejected: 0, failures: [], written: [] };
+  const variants = await listAssetVariants(assets, policy, report);
+
+  await mapWithConcurrency(variants, assetOptions.concurrency, async (variant) => {
+    try {
+      report[await downloadSingleVariant(variant)]++;
+      report.written.push(variant.verdict.relativePath);
+    } catch (error) {
+      throwIfCancelled();
+      if (error.secretFindings) {
+        throw error;
+      }
+      const { assetName, variantKey, required } = variant;
+      toWarning(`  [FAIL] ${assetName}/${variantKey} — ${error.message}`);
+      report.failed++;
+      report.failures.push({ asset: assetName, variant: variantKey, required, reason: error.message });
+    }
+  });
+
+  toNotice(`🖼️  Assets: ${describeAssetCounts(report)}`);
+
+  const missing = report.failures.filter((failure) => failure.required);
+  if (missing.length > 0) {
+    runReport.assets = report;
+    throw new Error(
+      `Required asset(s) missing: ${missing
+        .map((failure) => `${failure.asset}/${failure.variant} (${failure.reason})`)
+        .join(', ')}`
+    );
+  }
+  return report;
+}
+
+function describeAssetCounts(report) {
+  const counts = [`${report.downloaded} downloaded`];
+  if (report.cached) {
+    counts.push(`${report.cached} from cache`);
+  }
+  counts.push(`${report.failed} failed`, `${report.skipped} skipped`);
+  if (report.rejected) {
+    counts.push(`${report.rejected} rejected by path policy`);
+  }
+  return counts.join(', ');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// GIT OPERATIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function runCommand(command, args, options = {}) {
+  // Cleanup commands (`options.cleanup`) still run, and run to the end, after a cancellation
+  const cancelled = () => isCancelled() && !options.cleanup;
+  if (command === 'git' && githubApp.gitToken && !cancelled()) {
+    // The credential helper reads the token from the environment built below
+    await currentInstallationToken(githubApp.gitToken);
+  }
+  return new Promise((resolve, reject) => {
+    if (cancelled()) {
+      reject(createCancelledError(cancellation.reason));
+      return;
+    }
+
+    const child = spawn(command, args, {
+      stdio: options.capture ? ['ignore', 'pipe', 'inherit'] : options.silent ? 'ignore' : 'inherit',
+      env: options.env || (command === 'git' ? gitEnvironment() : process.env),
+      cwd: options.cwd || process.cwd(),
+    });
+
+    // Captured commands resolve with their stdout
+    let stdout = '';
+    if (options.capture) {
+      child.stdout.setEncoding('utf-8');
+      child.stdout.on('data', (chunk) => {
+        stdout += chunk;
+      });
+    }
+
+    // Tracked so a cancellation can terminate in-flight git operations
+    if (!options.cleanup) {
+      cancellation.children.add(child);
+    }
+
+    child.on('error', (error) => {
+      cancellation.children.delete(child);
+      reject(error);
+    });
+    child.on('close', (code) => {
+      cancellation.children.delete(child);
+      if (cancelled()) {
+        reject(createCancelledError(cancellation.reason));
+      } else if (code !== 0) {
+        reject(new Error(`${command} ${args.join(' ')} exited with code ${code}`));
+      } else {
+        resolve(options.capture ? stdout : undefined);
+      }
+    });
+  });
+}
+
+async function ensureGitUserConfigured(commitConfig = {}, cwd) {
+  const name = commitConfig.name || process.env.GIT_COMMITTER_NAME || 'pixelframe-agent';
+  const email = commitConfig.email || process.env.GIT_COMMITTER_EMAIL || 'pixelframe@git.local';
+
+  await runCommand('git', ['config', 'user.name', name], { cwd });
+  await runCommand('git', ['config', 'user.email', email], { cwd });
+  return { name, email };
+}
+
+const BRANCH_UPDATE_STRATEGIES = ['recreate', 'append', 'rebase'];
+
+async function resolveRef(ref, cwd) {
+  try {
+    const sha = await runCommand('git', ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], {
+      cwd,
+      capture: true,
+    });
+    return sha.trim();
+  } catch (error) {
+    throwIfCancelled();
+    return null;
+  }
+}
+
+/**
+ * Commits in `range` whose author is not the agent, with the files each touched
+ */
+async function listHumanCommits(range, agentEmail, cwd) {
+  const log = await runCommand('git', ['log', '--format=%x00%H%x09%ae%x09%s', '--name-only', range], {
+    cwd,
+    capture: true,
+  });
+  return log
+    .split('\0')
+    .filter(Boolean)
+    .map((entry) => {
+      const [header, ...files] = entry.split('\n');
+      const [sha, email, subject] = header.split('\t');
+      return { sha, email, subject, files: files.filter(Boolean) };
+    })
+    .filter((commit) => commit.email.toLowerCase() !== agentEmail.toLowerCase());
+}
+
+async function listConflictedFiles(cwd) {
+  const output = await runCommand('git', ['diff', '--name-only', '--diff-filter=U'], { cwd, capture: true });
+  return output.split('\n').filter(Boolean);
+}
+
+/**
+ * Check out `branchName` for the agent's changes.
+ *
+ * - `recreate` resets the branch to the base, discarding previous agent
+ *   commits. Branches carrying commits by anyone else are rebased instead.
+ * - `append` continues from the existing remote branch.
+ * - `rebase` replays the existing branch onto the updated base; on conflict
+ *   the rebase is aborted and the run falls back to `append`.
+ *
+ * Returns what happened, including commits on the branch that the agent did
+ * not author so callers can protect reviewers' fixups.
+ */
+function resolveBaseRef(baseBranch) {
+  return baseBranch || process.env.GITHUB_BASE_REF || process.env.GITHUB_REF_NAME || 'main';
+}
+
+async function prepareBranch(branchName, baseBranch, options = {}) {
+  const { strategy = 'recreate', agentEmail = '', cwd } = options;
+  await runCommand('git', ['fetch', '--prune', '--tags'], { cwd });
+
+  const baseRef = resolveBaseRef(baseBranch);
+
+  await runCommand('git', ['checkout', baseRef], { cwd });
+  await runCommand('git', ['pull', '--ff-only', 'origin', baseRef], { cwd });
+
+  const remoteRef = `refs/remotes/origin/${branchName}`;
+  const remoteSha = await resolveRef(remoteRef, cwd);
+  const state = { strategy, existed: Boolean(remoteSha), remoteSha, humanCommits: [], conflicts: [], rebased: false };
+  if (remoteSha) {
+    state.humanCommits = await listHumanCommits(`${baseRef}..${remoteRef}`, agentEmail, cwd);
+  }
+
+  if (strategy === 'recreate' && state.humanCommits.length > 0) {
+    // Never discard reviewers' fixups; replay the branch onto the base instead
+    toWarning(
+      `${branchName} has ${state.humanCommits.length} commit(s) not made by the agent ` +
+        `(${state.humanCommits.map((commit) => commit.sha.slice(0, 7)).join(', ')}); rebasing instead of recreating`
+    );
+    state.strategy = 'rebase';
+  }
+
+  if (!remoteSha || state.strategy === 'recreate') {
+    await runCommand('git', ['checkout', '-B', branchName, baseRef], { cwd });
+    return state;
+  }
+
+  toNotice(`🌿 Updating existing branch ${branchName} (${state.strategy})`);
+  await runCommand('git', ['checkout', '-B', branchName, remoteRef], { cwd });
+
+  if (state.strategy === 'rebase') {
+    try {
+      await runCommand('git', ['rebase', baseRef], { cwd });
+      state.rebased = true;
+    } catch (error) {
+      throwIfCancelled();
+      state.conflicts = await listConflictedFiles(cwd);
+      await runCommand('git', ['rebase', '--abort'], { cwd });
+      state.strategy = 'append';
+      toWarning(
+        `Rebasing ${branchName} onto ${baseRef} conflicts in ${state.conflicts.join(', ') || 'unknown files'}; ` +
+          'keeping the existing branch history and appending instead'
+      );
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Files the plan overwrites wholesale that commits by others changed on the
+ * branch. Patches and edits apply on top of those changes and are not listed.
+ */
+function findOverwrittenHumanChanges(plan, branchState, writtenPaths) {
+  const humanFiles = new Set(branchState.humanCommits.flatMap((commit) => commit.files));
+  const wholeFileWrites = new Set(
+    normalizeFileChanges(plan.files)
+      .filter((change) => change.kind === 'contents')
+      .map((change) => toPosixPath(path.normalize(change.path)))
+  );
+  return writtenPaths.filter((file) => humanFiles.has(file) && wholeFileWrites.has(file));
+}
+
+async function stageAndCommit(message, cwd) {
+  await runCommand('git', ['add', '--all'], { cwd });
+
+  try {
+    await runCommand('git', ['diff', '--cached', '--quiet'], { cwd });
+    toNotice('No staged changes detected; skipping commit.');
+    return false;
+  } catch (error) {
+    await runCommand('git', ['commit', '-m', message], { cwd });
+    return true;
+  }
+}
+
+async function getHeadSha(cwd) {
+  const sha = await runCommand('git', ['rev-parse', 'HEAD'], { cwd, capture: true });
+  return sha.trim();
+}
+
+async function pushBranch(branchName, force, expectedSha, cwd) {
+  const args = ['push', 'origin', branchName];
+  if (expectedSha) {
+    // Only overwrite the branch if nobody pushed since it was fetched
+    args.splice(1, 0, `--force-with-lease=${branchName}:${expectedSha}`);
+  } else if (force) {
+    args.splice(1, 0, '--force-with-lease');
+  }
+  await runCommand('git', args, { cwd });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// VALIDATION COMMANDS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DEFAULT_VALIDATION_TIMEOUT_SECONDS = 300;
+const VALIDATION_FAILURE_MODES = ['block', 'draft', 'feedback'];
+// Keeps the tail of each command's output, where failures are usually reported
+const MAX_VALIDATION_OUTPUT_LENGTH = 16000;
+
+/**
+ * Parse `validation-commands`: one shell command per line, or a JSON array
+ * of commands or `{ name, run, timeout }` objects. Lines starting with `#`
+ * are ignored.
+ */
+function parseValidationCommands(raw, defaultTimeoutSeconds = DEFAULT_VALIDATION_TIMEOUT_SECONDS) {
+  const text = (raw || '').trim();
+  if (!text) {
+    return [];
+  }
+
+  let items;
+  if (text.startsWith('[')) {
+    try {
+      items = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Input validation-commands is not valid JSON: ${error.message}`);
+    }
+  } else {
+    items = text
+      .split('\n')
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith('#'));
+  }
+
+  return items.map((item, index) => {
+    const command = typeof item === 'string' ? { run: item } : item || {};
+    if (typeof command.run !== 'string' || !command.run.trim()) {
+      throw new Error(`Validation command ${index + 1} needs a non-empty "run" string`);
+    }
+    const timeoutSeconds = command.timeout === undefined ? defaultTimeoutSeconds : Number(command.timeout);
+    if (!Number.isFinite(timeoutSeconds) || timeoutSeconds <= 0) {
+      throw new Error(`Validation command "${command.name || command.run}" has an invalid timeout`);
+    }
+    return { name: command.name || command.run, run: command.run, timeoutSeconds };
+  });
+}
+
+// Validation commands run code the agent wrote, so they get neither the action's credentials nor the runner's
+// file commands, through which they could change the environment of later steps
+const VALIDATION_HIDDEN_VARIABLES = [
+  /^INPUT_/,
+  /^PIXELFRAME_/,
+  /^ACTIONS_/,
+  /^GITHUB_TOKEN$/,
+  /^GH_TOKEN$/,
+  /^GITHUB_(?:ENV|PATH|OUTPUT|STATE|STEP_SUMMARY)$/,
+  /^GIT_ASKPASS$/,
+  /^GIT_CONFIG_(?:COUNT|PARAMETERS|KEY_\d+|VALUE_\d+)$/,
+];
+
+function validationEnvironment() {
+  return Object.fromEntries(
+    Object.entries(process.env).filter(([name]) => !VALIDATION_HIDDEN_VARIABLES.some((pattern) => pattern.test(name)))
+  );
+}
+
+function appendLimitedOutput(output, chunk) {
+  const combined = output + chunk;
+  return combined.length > MAX_VALIDATION_OUTPUT_LENGTH ? combined.slice(-MAX_VALIDATION_OUTPUT_LENGTH) : combined;
+}
+
+/**
+ * Run one validation command through the shell in the checkout at `cwd`,
+ * capturing stdout and stderr together. Never rejects for a failing
+ * command; the result carries `status` (passed, failed or timed-out) instead.
+ */
+function runValidationCommand(command, cwd) {
+  return new Promise((resolve, reject) => {
+    throwIfCancelled();
+    const startedAt = Date.now();
+    const child = spawn(command.run, {
+      shell: true,
+      cwd: cwd || process.cwd(),
+      env: validationEnvironment(),
+      stdio: ['ignore', 'pipe', 'pipe'],
+      // Own process group, so a timeout also stops what the shell started
+      detached: process.platform !== 'win32',
+    });
+    cancellation.children.add(child);
+
+    let output = '';
+    let timedOut = false;
+    for (const stream of [child.stdout, child.stderr]) {
+      stream.setEncoding('utf-8');
+      stream.on('data', (chunk) => {
+        output = appendLimitedOutput(output, chunk);
+      });
+    }
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(process.platform === 'win32' ? child.pid : -child.pid, 'SIGKILL');
+      } catch (error) {
+        child.kill('SIGKILL');
+      }
+    }, command.timeoutSeconds * 1000);
+
+    const finish = (exitCode, error) => {
+      clearTimeout(timer);
+      cancellation.children.delete(child);
+      if (isCancelled()) {
+        reject(createCancelledError(cancellation.reason));
+        return;
+      }
+      let status = exitCode === 0 ? 'passed' : 'failed';
+      if (timedOut) {
+        status = 'timed-out';
+      }
+      resolve({
+        name: command.name,
+        command: command.run,
+        status,
+        exitCode,
+        durationMs: Date.now() - startedAt,
+        // Screened once here, as the output is copied to the log, summary, pull request and agent feedback
+        output: screenText(error ? `${output}${error.message}\n` : output),
+      });
+    };
+    child.on('error', (error) => finish(null, error));
+    child.on('close', (code) => finish(code));
+  });
+}
+
+function describeValidationResult(result) {
+  if (result.status === 'timed-out') {
+    return `timed out after ${formatDuration(result.durationMs)}`;
+  }
+  if (result.status === 'failed') {
+    return result.exitCode === null ? 'could not be started' : `exit code ${result.exitCode}`;
+  }
+  return 'passed';
+}
+
+/**
+ * Run every validation command in order and record the outcome in the run
+ * report. Later commands still run after a failure so the report is complete.
+ */
+async function runValidationCommands(commands, mode, cwd) {
+  if (!commands || commands.length === 0) {
+    return null;
+  }
+
+  toNotice(`🧪 Running ${commands.length} validation command(s)...`);
+  const results = [];
+  for (const command of commands) {
+    const result = await runValidationCommand(command, cwd);
+    results.push(result);
+    // Workflow commands in the output are printed, not run
+    const resume = crypto.randomUUID();
+    process.stdout.write(
+      `::group::${escapeCommandData(`Validation: ${result.name}`)}\n::stop-commands::${resume}\n` +
+        `${result.output}\n::${resume}::\n::endgroup::\n`
+    );
+    if (result.status === 'passed') {
+      toNotice(`  ✅ ${result.name} (${formatDuration(result.durationMs)})`);
+    } else {
+      toWarning(`Validation "${result.name}" ${describeValidationResult(result)}`);
+    }
+  }
+
+  const report = { mode, passed: results.every((result) => result.status === 'passed'), results };
+  runReport.validation = report;
+  return report;
+}
+
+function formatValidationFailures(report) {
+  return report.results
+    .filter((result) => result.status !== 'passed')
+    .map((result) => `${result.name} (${describeValidationResult(result)})`)
+    .join(', ');
+}
+
+/**
+ * Markdown for the failed checks with their output, used in the pull request
+ * body when validation-failure-mode is `draft`
+ */
+function renderValidationFailures(report) {
+  const lines = [
+    '### ⚠️ Validation failed',
+    '',
+    'The agent changes did not pass the checks configured for this workflow.',
+    '',
+  ];
+  for (const result of report.results.filter((item) => item.status !== 'passed')) {
+    lines.push(
+      `<details><summary>❌ <code>${escapeTableCell(result.name)}</code>: ${describeValidationResult(result)}</summary>`,
+      '',
+      fenceCodeBlock(result.output || '(no output)', 'text'),
+      '',
+      '</details>',
+      ''
+    );
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Act on validation that still fails according to its mode. `block` and
+ * `feedback` stop the run before anything is committed; `draft` lets it
+ * continue so the pull request is opened as a draft with the failure log.
+ */
+function handleValidationFailure(report) {
+  const failures = formatValidationFailures(report);
+  if (report.mode === 'draft') {
+    toWarning(`Validation failed: ${failures}. Opening the pull request as a draft.`);
+    return;
+  }
+  if (report.mode === 'feedback') {
+    const repairs = Math.max(0, runReport.repairRounds.length - 1);
+    throw new Error(
+      `Validation failed after ${repairs} repair round(s): ${failures}. ` +
+        'Nothing was pushed; the failure log was sent to the agent.'
+    );
+  }
+  throw new Error(`Validation failed: ${failures}. Nothing was pushed.`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REPAIR ROUNDS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DEFAULT_REPAIR_ROUNDS = 2;
+const MAX_REPAIR_DIFF_LENGTH = 20000;
+
+async function applyPlanToWorkspace(plan, pathPolicy) {
+  const fileSummary = await applyFileOperations(plan, pathPolicy);
+  runReport.files = fileSummary;
+  runReport.assets = await downloadAssets(plan, pathPolicy);
+  return fileSummary;
+}
+
+/**
+ * Paths that differ from HEAD in the index or the working tree, untracked
+ * files included
+ */
+async function listChangedPaths(cwd) {
+  const output = await runCommand('git', ['status', '--porcelain', '-z', '--untracked-files=all'], {
+    cwd,
+    capture: true,
+  });
+  const entries = output.split('\0');
+  const paths = [];
+  for (let index = 0; index < entries.length; index++) {
+    if (entries[index].length > 3) {
+      paths.push(entries[index].slice(3));
+    }
+    // Renames and copies are followed by the path they came from
+    if (/^[RC]/.test(entries[index])) {
+      paths.push(entries[++index]);
+    }
+  }
+  return paths;
+}
+
+function listAppliedPaths(fileSummary, assets) {
+  return [...fileSummary.written, ...fileSummary.deleted, ...(assets?.written || [])];
+}
+
+/**
+ * What the validation commands created or changed: everything that changed
+ * since `initialChanges` was taken, right before they first ran
+ */
+async function listValidationOutput(initialChanges, cwd) {
+  return (await listChangedPaths(cwd)).filter((file) => !initialChanges.has(file));
+}
+
+/**
+ * Restore `paths` to their HEAD contents, removing those HEAD does not have
+ */
+async function revertPaths(paths, cwd) {
+  if (paths.length === 0) {
+    return;
+  }
+  await runCommand('git', ['reset', '--quiet', '--', ...paths], { cwd });
+  const tracked = await runCommand('git', ['ls-tree', '-r', '--name-only', 'HEAD', '--', ...paths], {
+    cwd,
+    capture: true,
+  });
+  const trackedPaths = new Set(tracked.split('\n').filter(Boolean));
+  if (trackedPaths.size > 0) {
+    await runCommand('git', ['checkout', 'HEAD', '--', ...trackedPaths], { cwd });
+  }
+  for (const filePath of paths.filter((item) => !trackedPaths.has(item))) {
+    await removeFile(path.resolve(cwd || process.cwd(), filePath));
+  }
+}
+
+/**
+ * Undo the workspace changes of a previous round, so a revised plan applies
+ * to the branch as it was prepared rather than on top of the rejected one.
+ * Besides the plan's files and assets this covers everything the
+ * validation commands left behind.
+ */
+async function revertRound(fileSummary, assets, initialChanges, cwd) {
+  const output = await listValidationOutput(initialChanges, cwd);
+  await revertPaths([...new Set([...listAppliedPaths(fileSummary, assets), ...output])], cwd);
+}
+
+/**
+ * Save the diff of the current round next to the run's other files and
+ * add the round to the run report. The file name carries the repository,
+ * as every repository of a multi-repository run counts its rounds from 1.
+ */
+async function recordRepairRound(round, report, repo, cwd) {
+  await runCommand('git', ['add', '--all'], { cwd });
+  const diff = await runCommand('git', ['diff', '--cached', '--no-color'], { cwd, capture: true });
+  const prefix = repo ? `pixelframe-repair-${repo.owner}-${repo.name}` : 'pixelframe-repair';
+  const diffPath = path.join(getTempDirectory(), `${prefix}-round-${round}.diff`);
+  await fs.writeFile(diffPath, diff, 'utf-8');
+
+  const entry = {
+    repository: describeRepository(repo),
+    round,
+    passed: report.passed,
+    diffPath,
+    diff: diff.length > MAX_REPAIR_DIFF_LENGTH ? `${diff.slice(0, MAX_REPAIR_DIFF_LENGTH)}\n… (truncated)\n` : diff,
+    failures: report.results.filter((result) => result.status !== 'passed'),
+  };
+  runReport.repairRounds.push(entry);
+  return entry;
+}
+
+async function writeRepairLog(rounds) {
+  const logPath = path.join(getTempDirectory(), 'pixelframe-repair-log.json');
+  const entries = rounds.map(({ diff, ...entry }) => entry);
+  try {
+    await fs.writeFile(logPath, `${JSON.stringify(entries, null, 2)}\n`, 'utf-8');
+    return logPath;
+  } catch (error) {
+    toWarning(`Failed to write repair log: ${error.message}`);
+    return '';
+  }
+}
+
+/**
+ * Validate the applied plan. In `feedback` mode every failure is sent to the
+ * agent; while repair rounds remain, the agent's revised plan replaces the
+ * rejected changes and is validated again. Whatever the commands created
+ * or changed is reverted afterwards, so only the plan gets committed.
+ * Returns the plan and file summary that ended up in the workspace.
+ */
+async function validateWithRepairs(plan, fileSummary, options = {}) {
+  const { commands, mode, repairRounds = 0, requestRepair, pathPolicy, repo } = options;
+  const cwd = pathPolicy.root;
+  let current = { plan, fileSummary };
+  // Changes made before validation; the plan's own are reverted through its file summary
+  const initialChanges = new Set(commands?.length > 0 ? await listChangedPaths(cwd) : []);
+  let report = await runValidationCommands(commands, mode, cwd);
+
+  for (let round = 1; report && mode === 'feedback'; round++) {
+    await recordRepairRound(round, report, repo, cwd);
+    if (report.passed) {
+      break;
+    }
+
+    const revise = round <= repairRounds;
+    const response = await requestRepair({ type: 'validation', round, revise, results: report.results });
+    if (!revise) {
+      break;
+    }
+    const revisedPlan = response?.plan;
+    if (!revisedPlan || typeof revisedPlan !== 'object') {
+      toWarning(`PixelFrame returned no revised plan in repair round ${round}`);
+      break;
+    }
+
+    toNotice(`🔁 Repair round ${round}: applying the revised plan`);
+    await revertRound(current.fileSummary, runReport.assets, initialChanges, cwd);
+    current = { plan: revisedPlan, fileSummary: await applyPlanToWorkspace(revisedPlan, pathPolicy) };
+    report = await runValidationCommands(commands, mode, cwd);
+  }
+
+  if (report) {
+    // Build output, coverage, caches and the like never reach the commit
+    const applied = new Set(listAppliedPaths(current.fileSummary, runReport.assets));
+    await revertPaths((await listValidationOutput(initialChanges, cwd)).filter((file) => !applied.has(file)), cwd);
+  }
+  if (report && !report.passed) {
+    handleValidationFailure(report);
+  }
+  return current;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// GITHUB API OPERATIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Rate-limited requests are retried this often, unless GitHub asks for a longer wait than allowed below
+const MAX_GITHUB_RATE_LIMIT_RETRIES = 3;
+const MAX_GITHUB_RATE_LIMIT_WAIT_MS = 120000;
+// GitHub asks clients to wait at least a minute after a secondary limit without Retry-After
+const SECONDARY_RATE_LIMIT_WAIT_MS = 60000;
+
+/**
+ * REST API root: the `github-api-url` input, then the runner's
+ * GITHUB_API_URL (set on GitHub Enterprise Server), then github.com
+ */
+function getApiUrl() {
+  return (getInput('github-api-url') || process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+}
+
+function getGraphqlUrl() {
+  // GitHub Enterprise Server serves GraphQL at /api/graphql next to the REST API's /api/v3
+  const apiUrl = getApiUrl();
+  return /\/api\/v3$/.test(apiUrl) ? apiUrl.replace(/\/v3$/, '/graphql') : `${apiUrl}/graphql`;
+}
+
+/**
+ * How long to wait before retrying a rate-limited response, or null when the
+ * response was not rate limited. Secondary limits send `Retry-After`; the
+ * primary limit sends `x-ratelimit-remaining: 0` and the reset time
+ */
+function getRateLimitDelay(response, text) {
+  if (response.status !== 403 && response.status !== 429) {
+    return null;
+  }
+  const retryAfter = parseRetryAfter(response);
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+  const reset = Number(response.headers.get('x-ratelimit-reset'));
+  if (response.headers.get('x-ratelimit-remaining') === '0' && reset > 0) {
+    return Math.max(0, reset * 1000 - Date.now());
+  }
+  return /secondary rate limit/i.test(text) ? SECONDARY_RATE_LIMIT_WAIT_MS : null;
+}
+
+function parseNextLink(header) {
+  const match = /<([^>]+)>;\s*rel="next"/.exec(header || '');
+  return match ? match[1] : null;
+}
+
+async function sendGitHubRequest(token, method, url, body, options = {}) {
+  const headers = {
+    Authorization: `Bearer ${await currentInstallationToken(token, options)}`,
+    'User-Agent': `pixelframe-agent-action/${ACTION_VERSION}`,
+    Accept: 'application/vnd.github+json',
+  };
+  if (body) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const response = await fetch(url, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: requestSignal(options),
+    });
+    const text = await response.text();
+
+    if (!response.ok) {
+      const delay = getRateLimitDelay(response, text);
+      // Cleanup has no time to wait out a rate limit
+      const retry = !options.cleanup && attempt <= MAX_GITHUB_RATE_LIMIT_RETRIES;
+      if (delay !== null && retry && delay <= MAX_GITHUB_RATE_LIMIT_WAIT_MS) {
+        const request = `${method} ${new URL(url).pathname}`;
+        toWarning(`GitHub API rate limit hit on ${request}; retrying in ${formatDuration(delay)}`);
+        await sleep(delay);
+        continue;
+      }
+      const snippet = text ? redactSecrets(text.slice(0, 400)) : 'No response body';
+      const error = new Error(`GitHub API request failed (${response.status} ${response.statusText}): ${snippet}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    let data = null;
+    if (text) {
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        toWarning(`GitHub API response from ${url} is not valid JSON: ${error.message}`);
+        data = { raw: text };
+      }
+    }
+    return { data, next: parseNextLink(response.headers.get('link')) };
+  }
+}
+
+/**
+ * Call the GitHub API. `resource` is a path below the API root (or a full
+ * URL). With `options.paginate` the `Link` headers are followed and the
+ * pages combined: `true` for endpoints that return an array, or the name of
+ * the array field for those that wrap it (such as `check_runs`). Requests
+ * with `options.cleanup` still run after a cancellation.
+ */
+async function githubRequest(token, method, resource, body, options = {}) {
+  const url = /^https?:\/\//.test(resource) ? resource : `${getApiUrl()}${resource}`;
+  const { paginate } = options;
+  let { data, next } = await sendGitHubRequest(token, method, url, body, options);
+  if (!paginate) {
+    return data;
+  }
+
+  const items = paginate === true ? data : data?.[paginate];
+  const combined = Array.isArray(items) ? [...items] : [];
+  while (next) {
+    ({ data, next } = await sendGitHubRequest(token, method, next, body, options));
+    const page = paginate === true ? data : data?.[paginate];
+    combined.push(...(Array.isArray(page) ? page : []));
+  }
+  return paginate === true ? combined : { ...data, [paginate]: combined };
+}
+
+function formatIssueReference(issue) {
+  if (typeof issue === 'number' || /^\d+$/.test(String(issue))) {
+    return `#${issue}`;
+  }
+  return String(issue).trim();
+}
+
+/**
+ * Append a `Closes <issue>` line for every linked issue the body does not
+ * already close, so merging the pull request closes them
+ */
+function appendIssueLinks(body, linkedIssues) {
+  const references = (Array.isArray(linkedIssues) ? linkedIssues : [])
+    .map(formatIssueReference)
+    .filter(Boolean);
+  const missing = references.filter((reference) => {
+    const escaped = reference.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return !new RegExp(`\\b(close[sd]?|fix(e[sd])?|resolve[sd]?)\\s+${escaped}\\b`, 'i').test(body);
+  });
+  if (missing.length === 0) {
+    return body;
+  }
+  const links = missing.map((reference) => `Closes ${reference}`).join('\n');
+  return body ? `${body}\n\n${links}` : links;
+}
+
+// Marks pull requests opened by the action, so review mode only acts on those
+const AGENT_PULL_REQUEST_MARKER = '<!-- pixelframe-agent-pull-request -->';
+
+function buildPullRequestContent(branchName, pullRequestSpec) {
+  const body = appendIssueLinks(pullRequestSpec.body || '', pullRequestSpec.linkedIssues);
+  return {
+    title: pullRequestSpec.title || `Updates from PixelFrame agent (${branchName})`,
+    body: body ? `${body}\n\n${AGENT_PULL_REQUEST_MARKER}` : AGENT_PULL_REQUEST_MARKER,
+    draft: pullRequestSpec.draft === true,
+  };
+}
+
+async function findPullRequestForBranch(repo, branchName, state, token) {
+  const head = encodeURIComponent(`${repo.owner}:${branchName}`);
+  const pulls = await githubRequest(
+    token,
+    'GET',
+    `/repos/${repo.owner}/${repo.name}/pulls?head=${head}&state=${state}&per_page=100`,
+    null,
+    { paginate: true }
+  );
+  const matches = (Array.isArray(pulls) ? pulls : []).filter((pull) => state !== 'closed' || !pull.merged_at);
+  return matches[0] || null;
+}
+
+function describePullRequest(pr, action) {
+  const number = pr.number;
+  return {
+    number,
+    url: pr.html_url || null,
+    nodeId: pr.node_id || null,
+    action,
+  };
+}
+
+// The REST API ignores `draft` when updating a pull request
+const CONVERT_TO_DRAFT_MUTATION = `
+  mutation ConvertToDraft($pullRequestId: ID!) {
+    convertPullRequestToDraft(input: { pullRequestId: $pullRequestId }) {
+      pullRequest { isDraft }
+    }
+  }
+`;
+
+/**
+ * Create the pull request for `branchName`, or update the one that already
+ * exists: the number supplied by the agent, else an open pull request for
+ * the branch, else (with `reopenClosed`) a closed, unmerged one that GitHub
+ * still lets us reopen. Returns `{ number, url, action }`, where action is
+ * created, updated or reopened.
+ */
+async function createOrUpdatePullRequest(repo, branchName, baseBranch, pullRequestSpec, token, options = {}) {
+  if (!repo || !branchName || !token) {
+    return null;
+  }
+
+  const base = baseBranch || 'main';
+  const { title, body, draft } = buildPullRequestContent(branchName, pullRequestSpec);
+  const pullsPath = `/repos/${repo.owner}/${repo.name}/pulls`;
+
+  const updatePullRequest = async (number, action, extra = {}) => {
+    const pr = await githubRequest(token, 'PATCH', `${pullsPath}/${number}`, { title, body, ...extra });
+    if (draft && pr && !pr.draft) {
+      try {
+        await githubGraphql(token, CONVERT_TO_DRAFT_MUTATION, { pullRequestId: pr.node_id });
+      } catch (error) {
+        throwIfCancelled();
+        toWarning(`Could not convert pull request #${number} to a draft: ${error.message}`);
+      }
+    }
+    return describePullRequest({ ...pr, number }, action);
+  };
+
+  const prNumber = pullRequestSpec.number || pullRequestSpec.prNumber;
+  if (prNumber) {
+    toNotice(`📝 Updating pull request #${prNumber}`);
+    return updatePullRequest(prNumber, 'updated');
+  }
+
+  const open = await findPullRequestForBranch(repo, branchName, 'open', token);
+  if (open) {
+    toNotice(`♻️  Reusing open pull request #${open.number} for ${branchName}`);
+    return updatePullRequest(open.number, 'updated');
+  }
+
+  if (options.reopenClosed) {
+    const closed = await findPullRequestForBranch(repo, branchName, 'closed', token);
+    if (closed) {
+      toNotice(`♻️  Reopening pull request #${closed.number} for ${branchName}`);
+      try {
+        return await updatePullRequest(closed.number, 'reopened', { state: 'open' });
+      } catch (error) {
+        // GitHub refuses once the branch was force-pushed or recreated after the pull request was closed
+        if (error.status !== 422) {
+          throw error;
+        }
+        toNotice(`Pull request #${closed.number} cannot be reopened since its branch changed; opening a new one`);
+      }
+    }
+  }
+
+  toNotice(`🔀 Creating pull request from ${branchName} to ${base}`);
+  try {
+    const pr = await githubRequest(token, 'POST', pullsPath, { head: branchName, base, title, body, draft });
+    return pr && pr.number ? describePullRequest(pr, 'created') : null;
+  } catch (error) {
+    // Another run may have opened one since the lookup above
+    const existing = error.status === 422 ? await findPullRequestForBranch(repo, branchName, 'open', token) : null;
+    if (!existing) {
+      throw error;
+    }
+    toNotice(`♻️  Reusing open pull request #${existing.number} for ${branchName}`);
+    return updatePullRequest(existing.number, 'updated');
+  }
+}
+
+async function requestReviewsIfNeeded(repo, pullRequestNumber, reviewers, token) {
+  if (!repo || !pullRequestNumber || !token) {
+    return;
+  }
+
+  const users = Array.isArray(reviewers?.users) ? reviewers.users : reviewers || [];
+  const teams = Array.isArray(reviewers?.teams) ? reviewers.teams : [];
+
+  if (users.length === 0 && teams.length === 0) {
+    return;
+  }
+
+  await githubRequest(
+    token,
+    'POST',
+    `/repos/${repo.owner}/${repo.name}/pulls/${pullRequestNumber}/requested_reviewers`,
+    {
+      reviewers: users,
+      team_reviewers: teams,
+    }
+  );
+}
+
+async function githubGraphql(token, query, variables, options = {}) {
+  const result = await githubRequest(token, 'POST', getGraphqlUrl(), { query, variables }, options);
+  if (result && Array.isArray(result.errors) && result.errors.length > 0) {
+    throw new Error(`GitHub GraphQL request failed: ${result.errors.map((error) => error.message).join('; ')}`);
+  }
+  return result ? result.data : null;
+}
+
+// The login each token acts as, looked up once per run
+const tokenLogins = new Map();
+
+/**
+ * The login `token` acts as. Installation tokens and the workflow's
+ * GITHUB_TOKEN cannot read `/user`; they act as the app's bot user.
+ */
+async function getTokenLogin(token, options = {}) {
+  if (!tokenLogins.has(token)) {
+    let login;
+    try {
+      login = (await githubRequest(token, 'GET', '/user', null, options))?.login || null;
+    } catch (error) {
+      if (!options.cleanup) {
+        throwIfCancelled();
+      }
+      if (error.status !== 401 && error.status !== 403) {
+        throw error;
+      }
+      login = githubApp.tokens.includes(token) ? `${githubApp.slug}[bot]` : 'github-actions[bot]';
+    }
+    tokenLogins.set(token, login);
+  }
+  return tokenLogins.get(token);
+}
+
+const MERGE_METHODS = ['merge', 'squash', 'rebase'];
+const MERGE_MODES = ['direct', 'auto', 'queue', 'wait'];
+const DEFAULT_MERGE_TIMEOUT_SECONDS = 1800;
+const FAILED_CHECK_CONCLUSIONS = ['failure', 'cancelled', 'timed_out', 'action_required', 'startup_failure', 'stale'];
+
+const ENABLE_AUTO_MERGE_MUTATION = `
+  mutation EnableAutoMerge($pullRequestId: ID!, $mergeMethod: PullRequestMergeMethod!) {
+    enablePullRequestAutoMerge(input: { pullRequestId: $pullRequestId, mergeMethod: $mergeMethod }) {
+      pullRequest { number }
+    }
+  }
+`;
+
+const REVIEW_DECISION_QUERY = `
+  query ReviewDecision($owner: String!, $name: String!, $number: Int!) {
+    repository(owner: $owner, name: $name) {
+      pullRequest(number: $number) { reviewDecision }
+    }
+  }
+`;
+
+// Review decisions that keep a pull request blocked until someone reviews it again
+const BLOCKING_REVIEW_DECISIONS = {
+  REVIEW_REQUIRED: 'it needs an approving review',
+  CHANGES_REQUESTED: 'a reviewer requested changes',
+};
+
+const ENQUEUE_MUTATION = `
+  mutation Enqueue($pullRequestId: ID!) {
+    enqueuePullRequest(input: { pullRequestId: $pullRequestId }) {
+      mergeQueueEntry { position }
+    }
+  }
+`;
+
+async function getPullRequest(repo, pullRequestNumber, token) {
+  return githubRequest(
+    token,
+    'GET',
+    `/repos/${repo.owner}/${repo.name}/pulls/${pullRequestNumber}`
+  );
+}
+
+async function mergePullRequestNow(repo, pullRequest, method, token) {
+  await githubRequest(
+    token,
+    'PUT',
+    `/repos/${repo.owner}/${repo.name}/pulls/${pullRequest.number}/merge`,
+    {
+      merge_method: method,
+      sha: pullRequest.head?.sha,
+    }
+  );
+  return { status: 'merged', message: `Merged using ${method} strategy` };
+}
+
+/**
+ * Whether the pull request's checks and mergeability allow merging now.
+ * Returns `{ ready }`, `{ failed, reason }` when it can never become
+ * mergeable without new commits, or `{ reason }` while it is still pending.
+ */
+async function getMergeReadiness(repo, pullRequest, token) {
+  if (pullRequest.merged) {
+    return { ready: true, merged: true };
+  }
+  if (pullRequest.state !== 'open') {
+    return { failed: true, reason: 'the pull request is closed' };
+  }
+  if (pullRequest.mergeable === false || pullRequest.mergeable_state === 'dirty') {
+    return { failed: true, reason: 'the pull request has merge conflicts' };
+  }
+
+  const sha = pullRequest.head.sha;
+  const base = `/repos/${repo.owner}/${repo.name}/commits/${sha}`;
+  const checks = await githubRequest(token, 'GET', `${base}/check-runs?per_page=100`, null, {
+    paginate: 'check_runs',
+  });
+  const checkRuns = checks?.check_runs || [];
+  const failedCheck = checkRuns.find((check) => FAILED_CHECK_CONCLUSIONS.includes(check.conclusion));
+  if (failedCheck) {
+    return { failed: true, reason: `check "${failedCheck.name}" concluded ${failedCheck.conclusion}` };
+  }
+  const combined = await githubRequest(token, 'GET', `${base}/status`);
+  if (['failure', 'error'].includes(combined?.state)) {
+    const status = (combined.statuses || []).find((item) => ['failure', 'error'].includes(item.state));
+    return { failed: true, reason: `status "${status?.context || 'combined'}" is ${combined.state}` };
+  }
+
+  const pendingCheck = checkRuns.find((check) => check.status !== 'completed');
+  if (pendingCheck) {
+    return { reason: `waiting for check "${pendingCheck.name}"` };
+  }
+  if (combined?.state === 'pending' && (combined.statuses || []).length > 0) {
+    return { reason: 'waiting for commit statuses' };
+  }
+  // With every check done, a blocked pull request is waiting for reviews; polling will not change that
+  if (pullRequest.mergeable_state === 'blocked') {
+    const data = await githubGraphql(token, REVIEW_DECISION_QUERY, {
+      owner: repo.owner,
+      name: repo.name,
+      number: pullRequest.number,
+    });
+    const blockingReview = BLOCKING_REVIEW_DECISIONS[data?.repository?.pullRequest?.reviewDecision];
+    if (blockingReview) {
+      return { failed: true, reason: blockingReview };
+    }
+  }
+  // GitHub computes mergeability in the background; null means not known yet
+  if (pullRequest.mergeable === null || ['unknown', 'blocked', 'behind'].includes(pullRequest.mergeable_state)) {
+    return { reason: `mergeable state is ${pullRequest.mergeable_state || 'unknown'}` };
+  }
+  return { ready: true };
+}
+
+/**
+ * Poll until the pull request can be merged, then merge it. The interval
+ * starts at `options.intervalSeconds` and backs off while nothing changes.
+ */
+async function waitAndMerge(repo, pullRequestNumber, method, options, token) {
+  const deadline = Date.now() + options.timeoutSeconds * 1000;
+  const baseInterval = options.intervalSeconds * 1000;
+  let interval = baseInterval;
+  let lastReason = null;
+  for (;;) {
+    const pullRequest = await getPullRequest(repo, pullRequestNumber, token);
+    const readiness = await getMergeReadiness(repo, pullRequest, token);
+    if (readiness.merged) {
+      return { status: 'merged', message: 'Already merged' };
+    }
+    if (readiness.ready) {
+      return mergePullRequestNow(repo, pullRequest, method, token);
+    }
+    if (readiness.failed) {
+      return { status: 'failed', message: `Not merging: ${readiness.reason}` };
+    }
+    if (readiness.reason !== lastReason) {
+      toNotice(`⏳ Pull request #${pullRequestNumber}: ${readiness.reason}`);
+      lastReason = readiness.reason;
+      interval = baseInterval;
+    }
+    if (Date.now() >= deadline) {
+      return {
+        status: 'timed-out',
+        message: `Not ready to merge after ${formatDuration(options.timeoutSeconds * 1000)} (${readiness.reason})`,
+      };
+    }
+    await sleep(Math.min(interval, Math.max(0, deadline - Date.now())));
+    interval = Math.min(interval * POLL_BACKOFF_FACTOR, Math.max(baseInterval, MAX_POLL_INTERVAL_MS));
+  }
+}
+
+async function enableAutoMerge(repo, pullRequest, method, token) {
+  try {
+    await githubGraphql(token, ENABLE_AUTO_MERGE_MUTATION, {
+      pullRequestId: pullRequest.node_id,
+      mergeMethod: method.toUpperCase(),
+    });
+    return { status: 'auto-merge-enabled', message: `Auto-merge enabled using ${method} strategy` };
+  } catch (error) {
+    // Auto-merge can only be enabled while something is still pending
+    if (/clean status/i.test(error.message)) {
+      return mergePullRequestNow(repo, pullRequest, method, token);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Merge the pull request according to `options.mode`:
+ *
+ * - `direct` merges immediately.
+ * - `auto` enables GitHub's native auto-merge, so GitHub merges once checks
+ *   and reviews pass.
+ * - `queue` adds the pull request to the branch's merge queue.
+ * - `wait` polls checks and mergeability until ready, then merges directly.
+ *
+ * Failures are returned as `{ status: 'failed', message }` and reported,
+ * since the pull request already exists at this point.
+ */
+async function maybeMergePullRequest(repo, pullRequestNumber, options, token) {
+  const { strategy, mode = 'direct' } = options;
+  if (!repo || !pullRequestNumber || !token) {
+    return { mode, status: 'skipped', message: 'No pull request to merge' };
+  }
+
+  if (!strategy) {
+    toNotice('No merge strategy set (merge-strategy or pullRequest.mergeStrategy). Skipping merge step.');
+    return { mode, status: 'skipped', message: 'No merge strategy set' };
+  }
+
+  const method = strategy.toLowerCase();
+  if (!MERGE_METHODS.includes(method)) {
+    toWarning(`Unsupported merge strategy "${strategy}". Skipping merge step.`);
+    return { mode, status: 'skipped', message: `Unsupported merge strategy "${strategy}"` };
+  }
+
+  let result;
+  try {
+    if (mode === 'wait') {
+      result = await waitAndMerge(repo, pullRequestNumber, method, options, token);
+    } else {
+      const pullRequest = await getPullRequest(repo, pullRequestNumber, token);
+      if (mode === 'direct') {
+        result = await mergePullRequestNow(repo, pullRequest, method, token);
+      } else if (mode === 'queue') {
+        const data = await githubGraphql(token, ENQUEUE_MUTATION, { pullRequestId: pullRequest.node_id });
+        const position = data?.enqueuePullRequest?.mergeQueueEntry?.position;
+        result = { status: 'queued', message: `Added to the merge queue${position ? ` at position ${position}` : ''}` };
+      } else {
+        result = await enableAutoMerge(repo, pullRequest, method, token);
+      }
+    }
+  } catch (error) {
+    throwIfCancelled();
+    result = { status: 'failed', message: error.message };
+  }
+
+  if (result.status === 'failed' || result.status === 'timed-out') {
+    toWarning(`Pull request #${pullRequestNumber} was not merged: ${result.message}`);
+  } else {
+    toNotice(`🔀 Pull request #${pullRequestNumber}: ${result.message}`);
+  }
+  return { mode, method, ...result };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// GITHUB APP AUTHENTICATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+// GitHub rejects app JWTs that are valid for more than 10 minutes
+const APP_JWT_LIFETIME_SECONDS = 540;
+
+// Read by the git credential helper, so the token never lands in a config file
+const GIT_TOKEN_VARIABLE = 'PIXELFRAME_GIT_TOKEN';
+
+// Installation tokens last an hour; one this close to expiring is replaced before it is used
+const INSTALLATION_TOKEN_REFRESH_MS = 5 * 60 * 1000;
+
+function createGitHubAppState() {
+  return {
+    appId: null,
+    privateKey: null,
+    installationId: null,
+    slug: null,
+    tokens: [],
+    // Every token minted so far, mapped to its `{ names, token, expiresAt }` grant
+    grants: new Map(),
+    gitToken: null,
+  };
+}
+
+// Set when the run authenticates with `app-id` and `private-key`
+let githubApp = createGitHubAppState();
+
+function configureGitHubApp(appId, privateKey) {
+  // Secrets pasted into YAML often arrive with escaped newlines
+  const pem = privateKey.replace(/\\n/g, '\n').trim();
+  for (const line of pem.split('\n')) {
+    if (!line.startsWith('-----')) {
+      registerSecret('github-app-private-key', line.trim());
+    }
+  }
+  try {
+    githubApp.privateKey = crypto.createPrivateKey(pem);
+  } catch (error) {
+    throw new Error(`Input private-key is not a PEM-encoded private key: ${error.message}`);
+  }
+  githubApp.appId = appId;
+}
+
+/**
+ * Sign the short-lived JWT that authenticates as the app itself; it can only
+ * look up installations and create installation tokens
+ */
+function createAppJwt() {
+  // Backdated so runners with a slightly fast clock are not rejected
+  const issuedAt = Math.floor(Date.now() / 1000) - 60;
+  const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT' })).toString('base64url');
+  const claims = Buffer.from(
+    JSON.stringify({ iat: issuedAt, exp: issuedAt + APP_JWT_LIFETIME_SECONDS, iss: githubApp.appId })
+  ).toString('base64url');
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), githubApp.privateKey);
+  const jwt = `${header}.${claims}.${signature.toString('base64url')}`;
+  registerSecret('github-app-jwt', jwt);
+  return jwt;
+}
+
+/**
+ * Exchange the app JWT for an installation token limited to `repos`, which
+ * must all belong to the owner the app is installed on
+ */
+async function createInstallationToken(repos) {
+  const owners = [...new Set(repos.map((repo) => repo.owner))];
+  if (owners.length > 1) {
+    throw new Error(`A GitHub App token covers the repositories of one owner, not ${owners.join(', ')}`);
+  }
+  if (!githubApp.installationId) {
+    const [repo] = repos;
+    try {
+      const installation = await githubRequest(
+        createAppJwt(),
+        'GET',
+        `/repos/${repo.owner}/${repo.name}/installation`
+      );
+      githubApp.installationId = installation.id;
+      githubApp.slug = installation.app_slug;
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error(`GitHub App ${githubApp.appId} is not installed on ${describeRepository(repo)}`);
+      }
+      throw error;
+    }
+  }
+
+  const names = [...new Set(repos.map((repo) => repo.name))];
+  const grant = { names, ...(await mintInstallationToken(names)) };
+  githubApp.grants.set(grant.token, grant);
+  githubApp.gitToken = grant.token;
+  toNotice(`🔑 Using a GitHub App installation token for ${repos.map(describeRepository).join(', ')}`);
+  return grant.token;
+}
+
+async function mintInstallationToken(names, options = {}) {
+  const result = await githubRequest(
+    createAppJwt(),
+    'POST',
+    `/app/installations/${githubApp.installationId}/access_tokens`,
+    { repositories: names },
+    options
+  );
+  registerSecret('github-token', result.token);
+  githubApp.tokens.push(result.token);
+  return { token: result.token, expiresAt: Date.parse(result.expires_at) || Infinity };
+}
+
+/**
+ * The token to send in place of `token`. Callers keep the installation
+ * token they were first given, which can expire while the agent works;
+ * once it is about to, a new one is minted for the same repositories.
+ */
+async function currentInstallationToken(token, options = {}) {
+  const grant = githubApp.grants.get(token);
+  if (!grant) {
+    return token;
+  }
+  if (!grant.refreshing && grant.expiresAt - Date.now() <= INSTALLATION_TOKEN_REFRESH_MS) {
+    const previous = grant.token;
+    grant.refreshing = mintInstallationToken(grant.names, { cleanup: options.cleanup })
+      .then(({ token: fresh, expiresAt }) => {
+        Object.assign(grant, { token: fresh, expiresAt });
+        githubApp.grants.set(fresh, grant);
+        if (githubApp.gitToken === previous) {
+          githubApp.gitToken = fresh;
+        }
+        toNotice('🔑 Replaced the GitHub App installation token, which was about to expire');
+      })
+      .finally(() => {
+        grant.refreshing = null;
+      });
+  }
+  await grant.refreshing;
+  return grant.token;
+}
+
+/**
+ * The environment git runs with: with an installation token, a credential
+ * helper supplies it and the extra header that actions/checkout persisted is
+ * cleared, so pushes are made as the app
+ */
+function gitEnvironment() {
+  if (!githubApp.gitToken) {
+    return process.env;
+  }
+  const entries = [
+    [`http.${getServerUrl()}/.extraheader`, ''],
+    ['credential.helper', ''],
+    [
+      'credential.helper',
+      `!f() { test "$1" = get && echo username=x-access-token && echo "password=$${GIT_TOKEN_VARIABLE}"; }; f`,
+    ],
+  ];
+  // Appended to any configuration the workflow already passes this way
+  const offset = Number(process.env.GIT_CONFIG_COUNT) || 0;
+  const env = { ...process.env, [GIT_TOKEN_VARIABLE]: githubApp.gitToken };
+  entries.forEach(([key, value], index) => {
+    env[`GIT_CONFIG_KEY_${offset + index}`] = key;
+    env[`GIT_CONFIG_VALUE_${offset + index}`] = value;
+  });
+  env.GIT_CONFIG_COUNT = String(offset + entries.length);
+  return env;
+}
+
+/**
+ * Revoke every installation token the run created; they would otherwise
+ * stay valid for up to an hour after the job ends
+ */
+async function revokeInstallationTokens() {
+  // Forgotten first, so each token revokes itself rather than its replacement
+  githubApp.grants.clear();
+  for (const token of githubApp.tokens) {
+    try {
+      await githubRequest(token, 'DELETE', '/installation/token', null, { cleanup: true });
+    } catch (error) {
+      toWarning(`Failed to revoke the GitHub App installation token: ${error.message}`);
+    }
+  }
+  githubApp.tokens = [];
+  githubApp.gitToken = null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PULL REQUEST METADATA
+// ═══════════════════════════════════════════════════════════════════════════
+
+const NEW_LABEL_COLOR = 'ededed';
+
+const PROJECT_BY_NUMBER_QUERY = `
+  query ProjectByNumber($login: String!, $number: Int!, $isOrganization: Boolean!) {
+    organization(login: $login) @include(if: $isOrganization) { projectV2(number: $number) { id } }
+    user(login: $login) @skip(if: $isOrganization) { projectV2(number: $number) { id } }
+  }
+`;
+
+const ADD_PROJECT_ITEM_MUTATION = `
+  mutation AddProjectItem($projectId: ID!, $contentId: ID!) {
+    addProjectV2ItemById(input: { projectId: $projectId, contentId: $contentId }) {
+      item { id }
+    }
+  }
+`;
+
+function uniqueValues(...lists) {
+  const values = lists.flatMap((list) => (Array.isArray(list) ? list : list ? [list] : []));
+  return [...new Set(values.map((value) => String(value).trim()).filter(Boolean))];
+}
+
+/**
+ * Combine the plan's pull request metadata with the defaults from inputs.
+ * Lists are merged; the plan's milestone wins over the default.
+ */
+function resolvePullRequestMetadata(pullRequestSpec, defaults = {}) {
+  return {
+    labels: uniqueValues(defaults.labels, pullRequestSpec.labels),
+    assignees: uniqueValues(defaults.assignees, pullRequestSpec.assignees),
+    milestone: pullRequestSpec.milestone ?? defaults.milestone ?? null,
+    projects: uniqueValues(defaults.projects, pullRequestSpec.projects),
+  };
+}
+
+/**
+ * Run one metadata step, turning a failure into a warning so the remaining
+ * steps still run
+ */
+async function applyMetadataStep(report, kind, description, step) {
+  try {
+    return await step();
+  } catch (error) {
+    throwIfCancelled();
+    report.failed.push({ kind, item: description, reason: error.message });
+    toWarning(`Could not apply ${kind} "${description}" to the pull request: ${error.message}`);
+    return null;
+  }
+}
+
+async function labelExists(repo, name, token) {
+  try {
+    await githubRequest(
+      token,
+      'GET',
+      `/repos/${repo.owner}/${repo.name}/labels/${encodeURIComponent(name)}`
+    );
+    return true;
+  } catch (error) {
+    if (error.status === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+async function applyLabels(repo, pullRequest, labels, report, options, token) {
+  const usable = [];
+  for (const name of labels) {
+    await applyMetadataStep(report, 'label', name, async () => {
+      if (await labelExists(repo, name, token)) {
+        usable.push(name);
+      } else if (options.createMissingLabels) {
+        await githubRequest(token, 'POST', `/repos/${repo.owner}/${repo.name}/labels`, {
+          name,
+          color: NEW_LABEL_COLOR,
+        });
+        toNotice(`🏷️  Created label "${name}"`);
+        usable.push(name);
+      } else {
+        throw new Error('label does not exist (set create-missing-labels to create it)');
+      }
+    });
+  }
+  if (usable.length === 0) {
+    return;
+  }
+  await applyMetadataStep(report, 'label', usable.join(', '), async () => {
+    await githubRequest(
+      token,
+      'POST',
+      `/repos/${repo.owner}/${repo.name}/issues/${pullRequest.number}/labels`,
+      { labels: usable }
+    );
+    report.labels.push(...usable);
+  });
+}
+
+async function applyAssignees(repo, pullRequest, assignees, report, token) {
+  if (assignees.length === 0) {
+    return;
+  }
+  await applyMetadataStep(report, 'assignee', assignees.join(', '), async () => {
+    const issue = await githubRequest(
+      token,
+      'POST',
+      `/repos/${repo.owner}/${repo.name}/issues/${pullRequest.number}/assignees`,
+      { assignees }
+    );
+    // GitHub silently drops users who cannot be assigned
+    const assigned = new Set((issue?.assignees || []).map((user) => user.login.toLowerCase()));
+    for (const login of assignees) {
+      if (assigned.has(login.toLowerCase())) {
+        report.assignees.push(login);
+      } else {
+        report.failed.push({ kind: 'assignee', item: login, reason: 'user cannot be assigned' });
+        toWarning(`Could not assign "${login}" to the pull request: user cannot be assigned`);
+      }
+    }
+  });
+}
+
+async function resolveMilestoneNumber(repo, milestone, token) {
+  if (typeof milestone === 'number' || /^\d+$/.test(String(milestone))) {
+    return Number(milestone);
+  }
+  const milestones = await githubRequest(
+    token,
+    'GET',
+    `/repos/${repo.owner}/${repo.name}/milestones?state=open&per_page=100`,
+    null,
+    { paginate: true }
+  );
+  const match = (milestones || []).find((item) => item.title === String(milestone));
+  if (!match) {
+    throw new Error('no open milestone with that title');
+  }
+  return match.number;
+}
+
+async function applyMilestone(repo, pullRequest, milestone, report, token) {
+  if (milestone === null || milestone === '') {
+    return;
+  }
+  await applyMetadataStep(report, 'milestone', String(milestone), async () => {
+    const number = await resolveMilestoneNumber(repo, milestone, token);
+    await githubRequest(
+      token,
+      'PATCH',
+      `/repos/${repo.owner}/${repo.name}/issues/${pullRequest.number}`,
+      { milestone: number }
+    );
+    report.milestone = number;
+  });
+}
+
+/**
+ * Accepts a project node id or a project URL such as
+ * https://github.com/orgs/acme/projects/3
+ */
+async function resolveProjectId(project, token) {
+  const match = /\/(orgs|users)\/([^/]+)\/projects\/(\d+)/.exec(project);
+  if (!match) {
+    return project;
+  }
+  const [, scope, login, number] = match;
+  const data = await githubGraphql(token, PROJECT_BY_NUMBER_QUERY, {
+    login,
+    number: Number(number),
+    isOrganization: scope === 'orgs',
+  });
+  const id = (scope === 'orgs' ? data?.organization : data?.user)?.projectV2?.id;
+  if (!id) {
+    throw new Error('project not found');
+  }
+  return id;
+}
+
+async function applyProjects(pullRequest, projects, report, token) {
+  for (const project of projects) {
+    await applyMetadataStep(report, 'project', project, async () => {
+      if (!pullRequest.nodeId) {
+        throw new Error('pull request node id is unknown');
+      }
+      const projectId = await resolveProjectId(project, token);
+      await githubGraphql(token, ADD_PROJECT_ITEM_MUTATION, { projectId, contentId: pullRequest.nodeId });
+      report.projects.push(project);
+    });
+  }
+}
+
+/**
+ * Apply labels, assignees, milestone and project items to the pull request.
+ * Each item is applied on its own; failures are reported as warnings and
+ * listed in the returned report instead of failing the run.
+ */
+async function applyPullRequestMetadata(repo, pullRequest, metadata, token, options = {}) {
+  const report = { labels: [], assignees: [], milestone: null, projects: [], failed: [] };
+  if (!repo || !pullRequest || !token) {
+    return report;
+  }
+  await applyLabels(repo, pullRequest, metadata.labels, report, options, token);
+  await applyAssignees(repo, pullRequest, metadata.assignees, report, token);
+  await applyMilestone(repo, pullRequest, metadata.milestone, report, token);
+  await applyProjects(pullRequest, metadata.projects, report, token);
+  return report;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STATUS COMMENTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Hidden marker that identifies the comment to edit on later runs
+const STATUS_COMMENT_MARKER = '<!-- pixelframe-agent-status -->';
+// Live updates during the run are throttled to stay clear of rate limits
+const STATUS_COMMENT_INTERVAL_MS = 10000;
+
+function createStatusCommentState() {
+  return { token: null, repo: null, targets: [], lastUpdateAt: 0, timer: null, pending: Promise.resolve() };
+}
+
+let statusComments = createStatusCommentState();
+
+function getServerUrl() {
+  return process.env.GITHUB_SERVER_URL || 'https://github.com';
+}
+
+function getWorkflowRunUrl() {
+  const { GITHUB_REPOSITORY, GITHUB_RUN_ID } = process.env;
+  if (!GITHUB_REPOSITORY || !GITHUB_RUN_ID) {
+    return null;
+  }
+  return `${getServerUrl()}/${GITHUB_REPOSITORY}/actions/runs/${GITHUB_RUN_ID}`;
+}
+
+function describeCommentState(report, final) {
+  if (!final) {
+    return '⏳ Running';
+  }
+  if (report.status === 'cancelled') {
+    return '🛑 Cancelled';
+  }
+  if (report.error) {
+    return '❌ Failed';
+  }
+  return report.preview ? '🔍 Dry run' : '✅ Succeeded';
+}
+
+function renderStatusComment(report, final) {
+  const lines = [STATUS_COMMENT_MARKER, `## PixelFrame agent: ${describeCommentState(report, final)}`, ''];
+  lines.push(...renderStageTable(report));
+
+  if (report.pullRequest && report.pullRequest.number) {
+    lines.push(`- **Pull request:** [#${report.pullRequest.number}](${report.pullRequest.url})`);
+  }
+  if (report.assets) {
+    lines.push(`- **Assets:** ${describeAssetCounts(report.assets)}`);
+  }
+  if (final && report.error) {
+    lines.push(`- **Error:** ${escapeTableCell(report.error.split('\n')[0])}`);
+  }
+  const runUrl = getWorkflowRunUrl();
+  if (runUrl) {
+    lines.push(`- **Workflow run:** [${process.env.GITHUB_RUN_ID}](${runUrl})`);
+  }
+  lines.push('', `<sub>Updated ${new Date().toISOString()}</sub>`);
+  return lines.join('\n');
+}
+
+/**
+ * The status comment an earlier run left on the issue. Only comments written
+ * by the token's own user count; anyone can paste the marker into theirs.
+ */
+async function findStatusComment(repo, issueNumber, token, options = {}) {
+  const login = await getTokenLogin(token, options);
+  const comments = await githubRequest(
+    token,
+    'GET',
+    `/repos/${repo.owner}/${repo.name}/issues/${issueNumber}/comments?per_page=100`,
+    null,
+    { ...options, paginate: true }
+  );
+  const existing = (comments || []).find(
+    (comment) => comment.user?.login === login && (comment.body || '').includes(STATUS_COMMENT_MARKER)
+  );
+  return existing ? existing.id : null;
+}
+
+async function upsertStatusComment(target, body, options) {
+  const { repo, token } = statusComments;
+  const base = `/repos/${repo.owner}/${repo.name}/issues`;
+  if (target.commentId === undefined) {
+    target.commentId = await findStatusComment(repo, target.issueNumber, token, options);
+  }
+  if (target.commentId) {
+    await githubRequest(token, 'PATCH', `${base}/comments/${target.commentId}`, { body }, options);
+    return;
+  }
+  const comment = await githubRequest(token, 'POST', `${base}/${target.issueNumber}/comments`, { body }, options);
+  target.commentId = comment.id;
+}
+
+async function updateStatusComments(final = false) {
+  statusComments.lastUpdateAt = Date.now();
+  const body = renderStatusComment(runReport, final);
+  for (const target of statusComments.targets) {
+    try {
+      // The final state is cleanup: it is posted after a cancellation too
+      await upsertStatusComment(target, body, { cleanup: final });
+    } catch (error) {
+      // A dead comment target must not turn into a failed run or a loop of warnings
+      if (!target.failed) {
+        target.failed = true;
+        toWarning(`Could not update the status comment on #${target.issueNumber}: ${error.message}`);
+      }
+    }
+  }
+}
+
+function queueStatusCommentUpdate(final = false) {
+  statusComments.pending = statusComments.pending.then(() => updateStatusComments(final));
+  return statusComments.pending;
+}
 
-  const response = await fetch(agentUrl, {
-    method: 'POST',
-    headers,
-    body,
-  });
+/**
+ * Refresh the status comments after a stage change, at most once per
+ * STATUS_COMMENT_INTERVAL_MS
+ */
+function scheduleStatusCommentUpdate() {
+  if (statusComments.targets.length === 0 || statusComments.timer) {
+    return;
+  }
+  const delay = Math.max(0, statusComments.lastUpdateAt + STATUS_COMMENT_INTERVAL_MS - Date.now());
+  statusComments.timer = setTimeout(() => {
+    statusComments.timer = null;
+    queueStatusCommentUpdate();
+  }, delay);
+  statusComments.timer.unref();
+}
 
-  const raw = await response.text();
+/**
+ * Keep a status comment on `issueNumber` (an issue or pull request) from
+ * now on, posting the current state right away
+ */
+async function addStatusCommentTarget(issueNumber, repo = statusComments.repo) {
+  if (!statusComments.token || !statusComments.repo || !issueNumber) {
+    return;
+  }
+  // Pull requests in the other repositories of a multi-repository plan are not tracked
+  if (!repo || repo.owner !== statusComments.repo.owner || repo.name !== statusComments.repo.name) {
+    return;
+  }
+  if (statusComments.targets.some((target) => target.issueNumber === Number(issueNumber))) {
+    return;
+  }
+  statusComments.targets.push({ issueNumber: Number(issueNumber) });
+  await queueStatusCommentUpdate();
+}
 
-  let data;
-  if (raw) {
+async function finalizeStatusComments() {
+  clearTimeout(statusComments.timer);
+  statusComments.timer = null;
+  if (statusComments.targets.length > 0) {
+    await queueStatusCommentUpdate(true);
+  }
+}
+
+/**
+ * The issue the run was started from: the `status-comment-issue` input, or
+ * `issueNumber` / `issue.number` in the payload
+ */
+function resolveSourceIssue(payload, explicitIssue) {
+  const candidate = explicitIssue || payload?.issueNumber;
+  const number = Number(candidate);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REVIEW FOLLOW-UPS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const RUN_MODES = ['generate', 'review'];
+const REVIEW_EVENTS = ['pull_request_review_comment', 'pull_request_review', 'issue_comment'];
+// Anyone can comment on a public repository; only people with access to it may start an agent run
+const TRUSTED_AUTHOR_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR'];
+
+const REVIEW_THREADS_QUERY = `
+  query($owner: String!, $name: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $name) {
+      pullRequest(number: $number) {
+        id
+        number
+        url
+        body
+        headRefName
+        headRefOid
+        baseRefName
+        headRepository { nameWithOwner }
+        reviewThreads(first: 100, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            isResolved
+            isOutdated
+            path
+            line
+            startLine
+            comments(first: 50) {
+              nodes { databaseId body url author { login } }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+async function readWorkflowEvent() {
+  const eventPath = process.env.GITHUB_EVENT_PATH;
+  if (!eventPath) {
+    return {};
+  }
+  return parseJsonFile(await fs.readFile(eventPath, 'utf-8'), eventPath);
+}
+
+function describeEventComment(comment) {
+  if (!comment || !comment.body) {
+    return null;
+  }
+  return { id: comment.id, author: comment.user?.login || null, body: comment.body, url: comment.html_url || null };
+}
+
+/**
+ * The pull request number and triggering comment of a review event, or
+ * `{ skip }` with the reason the event needs no follow-up. `login` is the
+ * user the action comments as.
+ */
+function resolveReviewEvent(eventName, event, login) {
+  if (!REVIEW_EVENTS.includes(eventName)) {
+    throw new Error(`mode review needs one of the ${REVIEW_EVENTS.join(', ')} events, not ${eventName || 'none'}`);
+  }
+  if (eventName === 'issue_comment' && !event.issue?.pull_request) {
+    return { skip: `#${event.issue?.number} is an issue, not a pull request` };
+  }
+  const trigger = eventName === 'pull_request_review' ? event.review : event.comment;
+  // Replies posted with an app token or a personal access token trigger workflows too; never answer our own comments
+  if (trigger?.user?.type === 'Bot' || (login && trigger?.user?.login === login)) {
+    return { skip: `the comment was written by ${trigger.user.login}` };
+  }
+  if (!TRUSTED_AUTHOR_ASSOCIATIONS.includes(trigger?.author_association)) {
+    const association = (trigger?.author_association || 'NONE').toLowerCase();
+    return { skip: `${trigger?.user?.login || 'the author'} is not a collaborator (${association})` };
+  }
+  return {
+    number: (event.pull_request || event.issue).number,
+    comment: eventName === 'pull_request_review_comment' ? null : describeEventComment(trigger),
+  };
+}
+
+function describeReviewThread(thread) {
+  return {
+    id: thread.id,
+    path: thread.path,
+    line: thread.line,
+    startLine: thread.startLine,
+    outdated: thread.isOutdated,
+    comments: thread.comments.nodes.map((comment) => ({
+      id: comment.databaseId,
+      author: comment.author?.login || null,
+      body: comment.body,
+      url: comment.url,
+    })),
+  };
+}
+
+/**
+ * Load the pull request and its unresolved review threads
+ */
+async function loadReviewThreads(repo, number, token) {
+  const threads = [];
+  let pullRequest = null;
+  let cursor = null;
+  do {
+    const data = await githubGraphql(token, REVIEW_THREADS_QUERY, {
+      owner: repo.owner,
+      name: repo.name,
+      number,
+      cursor,
+    });
+    pullRequest = data?.repository?.pullRequest;
+    if (!pullRequest) {
+      throw new Error(`Pull request #${number} was not found in ${repo.owner}/${repo.name}`);
+    }
+    const page = pullRequest.reviewThreads;
+    threads.push(...page.nodes.filter((thread) => !thread.isResolved).map(describeReviewThread));
+    cursor = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (cursor);
+
+  return {
+    pullRequest: {
+      number: pullRequest.number,
+      url: pullRequest.url,
+      nodeId: pullRequest.id,
+      body: pullRequest.body || '',
+      branch: pullRequest.headRefName,
+      baseBranch: pullRequest.baseRefName,
+      headSha: pullRequest.headRefOid,
+      headRepository: pullRequest.headRepository?.nameWithOwner || null,
+    },
+    threads,
+  };
+}
+
+/**
+ * Work out what a review event asks of the agent: the agent pull request,
+ * its unresolved threads and the comment that triggered the run. Returns
+ * null when there is nothing to follow up on.
+ */
+async function loadReviewRequest(repo, token) {
+  const event = await readWorkflowEvent();
+  const eventName = process.env.GITHUB_EVENT_NAME;
+  const login = REVIEW_EVENTS.includes(eventName) ? await getTokenLogin(token) : null;
+  const target = resolveReviewEvent(eventName, event, login);
+  if (target.skip) {
+    toNotice(`Skipping review follow-up: ${target.skip}.`);
+    return null;
+  }
+
+  const { pullRequest, threads } = await loadReviewThreads(repo, target.number, token);
+  if (!pullRequest.body.includes(AGENT_PULL_REQUEST_MARKER)) {
+    toNotice(`Skipping review follow-up: pull request #${pullRequest.number} was not opened by the agent.`);
+    return null;
+  }
+  if (pullRequest.headRepository && pullRequest.headRepository !== `${repo.owner}/${repo.name}`) {
+    throw new Error(`Pull request #${pullRequest.number} comes from ${pullRequest.headRepository}; cannot push to it`);
+  }
+  if (threads.length === 0 && !target.comment) {
+    toNotice(`Skipping review follow-up: pull request #${pullRequest.number} has no unresolved review threads.`);
+    return null;
+  }
+
+  toNotice(`💬 Following up on ${threads.length} unresolved review thread(s) on pull request #${pullRequest.number}`);
+  runReport.review = { pullRequest: pullRequest.number, threads: threads.length, replied: 0, resolved: 0 };
+  return { pullRequest, threads, comment: target.comment };
+}
+
+function buildReviewPayload(payload, review) {
+  const { pullRequest, threads, comment } = review;
+  return {
+    ...payload,
+    type: 'review',
+    pullRequest: {
+      number: pullRequest.number,
+      url: pullRequest.url,
+      branch: pullRequest.branch,
+      baseBranch: pullRequest.baseBranch,
+      headSha: pullRequest.headSha,
+    },
+    threads,
+    comment,
+  };
+}
+
+/**
+ * Point the plan at the pull request branch, whatever branch the agent
+ * named, so the fixes land on top of the existing commits
+ */
+function targetReviewBranch(plan, pullRequest) {
+  if (!plan || typeof plan !== 'object') {
+    return plan;
+  }
+  return { ...plan, branch: pullRequest.branch, baseBranch: pullRequest.baseBranch };
+}
+
+const RESOLVE_REVIEW_THREAD_MUTATION = `
+  mutation ResolveReviewThread($threadId: ID!) {
+    resolveReviewThread(input: { threadId: $threadId }) {
+      thread { isResolved }
+    }
+  }
+`;
+
+/**
+ * Reply to every thread the agent listed in `addressedThreads` with a link
+ * to the fix commit, and resolve it, so later review events do not send it
+ * to the agent again. Threads the plan does not list are left alone, so a
+ * partial fix never closes feedback it did not touch.
+ */
+async function replyToAddressedThreads(repo, review, addressedThreads, commitSha, token) {
+  const addressed = new Set(Array.isArray(addressedThreads) ? addressedThreads : []);
+  const threads = review.threads.filter((thread) => addressed.has(thread.id));
+  if (threads.length === 0) {
+    toNotice(`💬 The plan lists no addressed review threads; leaving all ${review.threads.length} open`);
+    return;
+  }
+  const { number } = review.pullRequest;
+  const commitUrl = `${review.pullRequest.url}/commits/${commitSha}`;
+  const body = `Addressed in [${commitSha.slice(0, 7)}](${commitUrl}).`;
+  const repliesPath = `/repos/${repo.owner}/${repo.name}/pulls/${number}/comments`;
+
+  for (const thread of threads) {
+    const [first] = thread.comments;
+    if (!first) {
+      continue;
+    }
     try {
-      data = JSON.parse(raw);
+      await githubRequest(token, 'POST', `${repliesPath}/${first.id}/replies`, { body });
+      runReport.review.replied++;
+      await githubGraphql(token, RESOLVE_REVIEW_THREAD_MUTATION, { threadId: thread.id });
+      runReport.review.resolved++;
     } catch (error) {
-      toWarning(`Agent response is not valid JSON: ${error.message}`);
-      data = { raw };
+      throwIfCancelled();
+      toWarning(`Could not reply to and resolve the review thread on ${thread.path}: ${error.message}`);
     }
   }
+  const { replied, resolved } = runReport.review;
+  toNotice(`💬 Replied to ${replied} and resolved ${resolved} review thread(s) with ${commitSha.slice(0, 7)}`);
+}
 
-  if (!response.ok) {
-    const snippet = raw ? raw.slice(0, 500) : 'No response body';
-    throw new Error(
-      `PixelFrame API request failed (${response.status} ${response.statusText}): ${snippet}`
+// ═══════════════════════════════════════════════════════════════════════════
+// GIT DATA API COMMITS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// `api` commits through the REST Git Data API, so GitHub signs them as the
+// token's app or bot and no checkout is needed
+const COMMIT_METHODS = ['git', 'api'];
+
+function repositoryApiPath(repo, resource) {
+  return `/repos/${repo.owner}/${repo.name}/${resource}`;
+}
+
+function encodeRepositoryPath(filePath) {
+  return filePath.split('/').map(encodeURIComponent).join('/');
+}
+
+async function getBranchSha(repo, branchName, token) {
+  try {
+    const resource = `git/ref/heads/${encodeRepositoryPath(branchName)}`;
+    const ref = await githubRequest(token, 'GET', repositoryApiPath(repo, resource));
+    return ref.object.sha;
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Commits on `head` but not on `base` that neither a bot account nor the
+ * token's own user authored, with the files each one changed. Commits made
+ * through the API with a personal access token carry that user as author.
+ */
+async function listHumanCommitsThroughApi(repo, base, head, token) {
+  const range = `${encodeRepositoryPath(base)}...${encodeRepositoryPath(head)}`;
+  const comparison = await githubRequest(token, 'GET', repositoryApiPath(repo, `compare/${range}`));
+  const login = await getTokenLogin(token);
+  const commits = [];
+  for (const item of comparison.commits || []) {
+    if (item.author?.type === 'Bot' || item.author?.login === login) {
+      continue;
+    }
+    const details = await githubRequest(token, 'GET', repositoryApiPath(repo, `commits/${item.sha}`));
+    commits.push({
+      sha: item.sha,
+      email: item.commit?.author?.email || '',
+      subject: (item.commit?.message || '').split('\n')[0],
+      files: (details.files || []).map((file) => file.filename),
+    });
+  }
+  return commits;
+}
+
+/**
+ * API counterpart of prepareBranch. Rebasing needs a checkout, so `rebase`,
+ * and `recreate` on a branch carrying commits by others, append instead.
+ */
+async function prepareRemoteBranch(repo, branchName, baseBranch, options = {}) {
+  const { strategy = 'recreate', token } = options;
+  const baseRef = resolveBaseRef(baseBranch);
+  const baseSha = await getBranchSha(repo, baseRef, token);
+  if (!baseSha) {
+    throw new Error(`Base branch ${baseRef} does not exist in ${repo.owner}/${repo.name}`);
+  }
+
+  const remoteSha = await getBranchSha(repo, branchName, token);
+  const state = {
+    strategy,
+    existed: Boolean(remoteSha),
+    remoteSha,
+    humanCommits: [],
+    conflicts: [],
+    rebased: false,
+    parentSha: baseSha,
+  };
+  if (!remoteSha) {
+    return state;
+  }
+
+  state.humanCommits = await listHumanCommitsThroughApi(repo, baseRef, branchName, token);
+  if (strategy === 'rebase') {
+    toWarning(`commit-method api cannot rebase ${branchName}; appending to the existing branch instead`);
+    state.strategy = 'append';
+  } else if (strategy === 'recreate' && state.humanCommits.length > 0) {
+    toWarning(
+      `${branchName} has ${state.humanCommits.length} commit(s) not made by the agent ` +
+        `(${state.humanCommits.map((commit) => commit.sha.slice(0, 7)).join(', ')}); appending instead of recreating`
     );
+    state.strategy = 'append';
   }
 
-  // If status is "processing", poll until complete
-  if (data && data.status === 'processing' && data.runId) {
-    const baseUrl = new URL(agentUrl).origin;
-    data = await pollAgentStatus(baseUrl, apiKey, data.runId);
+  if (state.strategy === 'append') {
+    toNotice(`🌿 Updating existing branch ${branchName} (append)`);
+    state.parentSha = remoteSha;
   }
+  return state;
+}
 
-  return data;
+/**
+ * File target for applyFileOperations that reads from the tree of
+ * `commitSha` and collects writes and deletions in memory until commit()
+ * turns them into blobs, a tree, and a commit on top of `commitSha`.
+ */
+async function createGitDataTarget(repo, token, commitSha) {
+  const parent = await githubRequest(token, 'GET', repositoryApiPath(repo, `git/commits/${commitSha}`));
+  const listing = await githubRequest(
+    token,
+    'GET',
+    repositoryApiPath(repo, `git/trees/${parent.tree.sha}?recursive=1`)
+  );
+  const entries = new Map((listing.tree || []).map((entry) => [entry.path, entry]));
+  const changes = new Map();
+
+  async function lookup(filePath) {
+    if (entries.has(filePath) || !listing.truncated) {
+      return entries.get(filePath) || null;
+    }
+    // Large trees come back truncated; ask for the single path instead
+    let item;
+    try {
+      item = await githubRequest(
+        token,
+        'GET',
+        repositoryApiPath(repo, `contents/${encodeRepositoryPath(filePath)}?ref=${commitSha}`)
+      );
+    } catch (error) {
+      if (error.status === 404) {
+        entries.set(filePath, null);
+        return null;
+      }
+      throw error;
+    }
+    const entry = Array.isArray(item)
+      ? { path: filePath, type: 'tree', mode: '040000' }
+      : { path: filePath, type: 'blob', mode: item.type === 'symlink' ? '120000' : '100644', sha: item.sha };
+    entries.set(filePath, entry);
+    return entry;
+  }
+
+  async function readBlob(sha) {
+    const blob = await githubRequest(token, 'GET', repositoryApiPath(repo, `git/blobs/${sha}`));
+    return Buffer.from(blob.content || '', blob.encoding === 'base64' ? 'base64' : 'utf-8').toString('utf-8');
+  }
+
+  return {
+    lookup,
+    /**
+     * The path a symlink entry points to
+     */
+    readLink(entry) {
+      return readBlob(entry.sha);
+    },
+    /**
+     * Entries below the directory `directoryPath`, none when it is a file
+     */
+    async listBelow(directoryPath) {
+      const prefix = `${directoryPath}/`;
+      if (!listing.truncated) {
+        return [...entries.values()].filter((entry) => entry?.path.startsWith(prefix));
+      }
+      // The truncated listing misses entries; read the directory's own tree instead
+      const parentPath = path.posix.dirname(directoryPath);
+      const parentResource = parentPath === '.' ? 'contents' : `contents/${encodeRepositoryPath(parentPath)}`;
+      const siblings = await githubRequest(token, 'GET', repositoryApiPath(repo, `${parentResource}?ref=${commitSha}`));
+      const directory = Array.isArray(siblings) && siblings.find((item) => item.path === directoryPath);
+      if (!directory || directory.type !== 'dir') {
+        return [];
+      }
+      const subtreePath = repositoryApiPath(repo, `git/trees/${directory.sha}?recursive=1`);
+      const subtree = await githubRequest(token, 'GET', subtreePath);
+      return (subtree.tree || []).map((entry) => ({ ...entry, path: `${prefix}${entry.path}` }));
+    },
+    async read(verdict) {
+      if (changes.has(verdict.relativePath)) {
+        const pending = changes.get(verdict.relativePath);
+        return pending === null ? null : pending.toString('utf-8');
+      }
+      const entry = await lookup(verdict.relativePath);
+      if (!entry || entry.type !== 'blob') {
+        return null;
+      }
+      return readBlob(entry.sha);
+    },
+    async write(change, verdict) {
+      const data =
+        change.encoding === 'base64' ? Buffer.from(change.contents, 'base64') : Buffer.from(change.contents, 'utf-8');
+      changes.set(verdict.relativePath, data);
+    },
+    async remove(verdict) {
+      changes.set(verdict.relativePath, null);
+    },
+    /**
+     * Returns the new commit SHA, or null when nothing changed
+     */
+    async commit(message) {
+      const tree = [];
+      for (const [filePath, data] of changes) {
+        const entry = await lookup(filePath);
+        if (data === null) {
+          if (entry) {
+            tree.push({ path: filePath, mode: entry.mode, type: entry.type, sha: null });
+          }
+          continue;
+        }
+        const blob = await githubRequest(token, 'POST', repositoryApiPath(repo, 'git/blobs'), {
+          content: data.toString('base64'),
+          encoding: 'base64',
+        });
+        const mode = entry?.mode === '100755' ? '100755' : '100644';
+        tree.push({ path: filePath, mode, type: 'blob', sha: blob.sha });
+      }
+      if (tree.length === 0) {
+        return null;
+      }
+
+      const created = await githubRequest(token, 'POST', repositoryApiPath(repo, 'git/trees'), {
+        base_tree: parent.tree.sha,
+        tree,
+      });
+      if (created.sha === parent.tree.sha) {
+        return null;
+      }
+      // No author or committer: GitHub then signs the commit as the token's identity
+      const result = await githubRequest(token, 'POST', repositoryApiPath(repo, 'git/commits'), {
+        message,
+        tree: created.sha,
+        parents: [commitSha],
+      });
+      return result.sha;
+    },
+  };
+}
+
+/**
+ * Write downloaded assets into `target`. They are fetched into a scratch
+ * directory because there is no checkout to download them into.
+ */
+async function collectAssets(plan, target, pathPolicy) {
+  const scratch = await fs.mkdtemp(path.join(getTempDirectory(), 'pixelframe-assets-'));
+  try {
+    const assets = await downloadAssets(plan, { ...pathPolicy, root: scratch });
+    const entries = await fs.readdir(scratch, { recursive: true, withFileTypes: true });
+    for (const entry of entries) {
+      if (!entry.isFile()) {
+        continue;
+      }
+      const absolutePath = path.join(entry.parentPath || entry.path, entry.name);
+      const contents = (await fs.readFile(absolutePath)).toString('base64');
+      await target.write(
+        { contents, encoding: 'base64', mode: 'binary' },
+        { relativePath: toPosixPath(path.relative(scratch, absolutePath)) }
+      );
+    }
+    return assets;
+  } finally {
+    await fs.rm(scratch, { recursive: true, force: true });
+  }
+}
+
+async function updateBranchRef(repo, branchName, sha, branchState, token) {
+  if (!branchState.existed) {
+    await githubRequest(token, 'POST', repositoryApiPath(repo, 'git/refs'), { ref: `refs/heads/${branchName}`, sha });
+    return;
+  }
+  await githubRequest(token, 'PATCH', repositoryApiPath(repo, `git/refs/heads/${encodeRepositoryPath(branchName)}`), {
+    sha,
+    force: branchState.parentSha !== branchState.remoteSha,
+  });
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// FILE OPERATIONS
+// REPOSITORY PLAN APPLICATION
 // ═══════════════════════════════════════════════════════════════════════════
 
-function normalizeFileChanges(files) {
-  if (!Array.isArray(files)) {
-    return [];
+function warnAboutOverwrittenChanges(plan, branchName, branchState, fileSummary) {
+  branchState.overwritten = findOverwrittenHumanChanges(plan, branchState, fileSummary.written);
+  if (branchState.overwritten.length > 0) {
+    toWarning(
+      `Agent rewrote file(s) changed by other commits on ${branchName}: ${branchState.overwritten.join(', ')}. ` +
+        'Review that those changes were kept.'
+    );
   }
-  return files
-    .map((entry) => {
-      if (!entry || typeof entry !== 'object' || !entry.path) {
-        return null;
-      }
-      const encoding = entry.encoding || entry.contentEncoding || 'utf-8';
-      const mode = entry.mode || 'text';
-      return {
-        path: entry.path,
-        contents: entry.contents ?? entry.content ?? '',
-        encoding,
-        mode,
-      };
-    })
-    .filter(Boolean);
 }
 
-async function writeFileChange(change) {
-  const filePath = path.resolve(process.cwd(), change.path);
-  await fs.mkdir(path.dirname(filePath), { recursive: true });
+/**
+ * Apply the plan in the checkout and commit with the git CLI.
+ * Returns the plan that was applied, which repair rounds may have revised,
+ * its file summary, and a `push` step for the commit (null without one).
+ */
+async function commitThroughGit(plan, branchName, baseBranch, message, options) {
+  // The checkout the plan applies to: the workspace, or a clone of another repository
+  const cwd = options.pathPolicy.root;
+  const agentIdentity = await ensureGitUserConfigured(options.author, cwd);
+  const branchState = await prepareBranch(branchName, baseBranch, {
+    strategy: options.strategy,
+    agentEmail: agentIdentity.email,
+    cwd,
+  });
+  runReport.branchUpdate = branchState;
+  const applied = await validateWithRepairs(plan, await applyPlanToWorkspace(plan, options.pathPolicy), {
+    ...options.validation,
+    pathPolicy: options.pathPolicy,
+  });
+  const { fileSummary } = applied;
+  warnAboutOverwrittenChanges(applied.plan, branchName, branchState, fileSummary);
 
-  let data = change.contents;
-  if (change.encoding === 'base64') {
-    data = Buffer.from(change.contents, 'base64');
+  if (!(await stageAndCommit(message, cwd))) {
+    return { ...applied, push: null };
   }
 
-  if (change.mode === 'binary') {
-    await fs.writeFile(filePath, data);
-  } else {
-    const normalized = typeof data === 'string' ? data : data.toString('utf-8');
-    await fs.writeFile(filePath, normalized, 'utf-8');
+  runReport.commitSha = await getHeadSha(cwd);
+  const push = () =>
+    pushBranch(
+      branchName,
+      options.force,
+      branchState.rebased || branchState.strategy === 'recreate' ? branchState.remoteSha : null,
+      cwd
+    );
+  return { ...applied, push };
+}
+
+/**
+ * Build the commit through the Git Data API; its push step moves the branch
+ * ref to it. Returns the same as commitThroughGit.
+ */
+async function commitThroughApi(plan, repo, branchName, baseBranch, message, options) {
+  if (!repo) {
+    throw new Error('commit-method api needs the target repository (GITHUB_REPOSITORY or plan.repository.name)');
   }
+  const branchState = await prepareRemoteBranch(repo, branchName, baseBranch, options);
+  runReport.branchUpdate = branchState;
+  const target = await createGitDataTarget(repo, options.token, branchState.parentSha);
+  // Path checks follow the symlinks of the branch's tree, not of the workspace
+  const pathPolicy = { ...options.pathPolicy, tree: target };
+  const fileSummary = await applyFileOperations(plan, pathPolicy, target);
+  runReport.files = fileSummary;
+  runReport.assets = await collectAssets(plan, target, pathPolicy);
+  warnAboutOverwrittenChanges(plan, branchName, branchState, fileSummary);
+
+  const sha = await target.commit(message);
+  if (!sha) {
+    return { plan, fileSummary, push: null };
+  }
+
+  runReport.commitSha = sha;
+  const push = async () => {
+    await updateBranchRef(repo, branchName, sha, branchState, options.token);
+    toNotice(`✍️  Committed ${sha.slice(0, 7)} to ${branchName} through the GitHub API`);
+  };
+  return { plan, fileSummary, push };
 }
 
-async function removeFile(pathToRemove) {
-  const resolved = path.resolve(process.cwd(), pathToRemove);
-  await fs.rm(resolved, { force: true, recursive: true });
+async function maybeApplyRepositoryPlan(plan, options = {}) {
+  return publishRepositoryCommit(await commitRepositoryPlan(plan, options), options);
 }
 
-async function applyFileOperations(plan) {
-  const updates = normalizeFileChanges(plan.files || plan.updates || []);
-  
-  if (updates.length > 0) {
-    toNotice(`📝 Applying ${updates.length} file changes...`);
+/**
+ * Apply, validate and commit a repository plan without pushing anything.
+ * Returns what publishRepositoryCommit needs; `push` is null when there
+ * is nothing to push.
+ */
+async function commitRepositoryPlan(plan, options = {}) {
+  const { token, pathPolicy, branchUpdateStrategy, commitMethod, validation } = options;
+  if (!plan || typeof plan !== 'object') {
+    return { push: null };
   }
-  
-  for (const change of updates) {
-    await writeFileChange(change);
-    toDebug(`Wrote file ${change.path}`);
+  plan = screenPlanText(plan);
+
+  const repo = parseRepository(plan.repository?.name || process.env.GITHUB_REPOSITORY);
+  if (!repo) {
+    toWarning('Unable to determine repository for PR operations.');
+  }
+
+  const branchName = plan.branch;
+
+  if (!branchName) {
+    toNotice('Agent response did not include branch information; skipping repository operations.');
+    return { push: null };
+  }
+
+  if (!token) {
+    toWarning('No GitHub token provided; cannot push commits or manage pull requests.');
+    return { push: null };
   }
 
-  const deletions = Array.isArray(plan.deletions) ? plan.deletions : [];
-  for (const item of deletions) {
-    if (typeof item === 'string') {
-      await removeFile(item);
-      toDebug(`Removed file ${item}`);
-    } else if (item && typeof item.path === 'string') {
-      await removeFile(item.path);
-      toDebug(`Removed file ${item.path}`);
-    }
+  runReport.branch = branchName;
+  const baseBranch = plan.baseBranch;
+  const message = plan.commitMessage || 'PixelFrame agent updates';
+  const branchOptions = {
+    strategy: branchUpdateStrategy,
+    pathPolicy,
+    token,
+    force: plan.force === true,
+    validation: { ...validation, repo },
+  };
+  const applied =
+    commitMethod === 'api'
+      ? await commitThroughApi(plan, repo, branchName, baseBranch, message, branchOptions)
+      : await commitThroughGit(plan, branchName, baseBranch, message, { ...branchOptions, author: plan.author });
+  if (!runReport.commitSha) {
+    toNotice('No changes detected after applying agent plan.');
   }
+  return { plan, repo, branchName, baseBranch, applied, push: applied.push };
 }
 
-// ═══════════════════════════════════════════════════════════════════════════
-// ASSET DOWNLOADING (Phase 4e)
-// ═══════════════════════════════════════════════════════════════════════════
-
-const MAX_ASSET_RETRIES = 3;
+/**
+ * Push a commit from commitRepositoryPlan, then open or update its pull
+ * request, request reviews, and merge it if the plan asks to
+ */
+async function publishRepositoryCommit(commit, options = {}) {
+  const {
+    token,
+    mergeStrategy,
+    mergeOptions,
+    reopenClosedPullRequest,
+    pullRequestDefaults = {},
+    existingPullRequest,
+  } = options;
+  const { plan, repo, branchName, baseBranch, applied } = commit;
+  const fileSummary = applied?.fileSummary;
+  if (!commit.push) {
+    return { prNumber: null, prUrl: null, fileSummary, appliedPlan: applied?.plan };
+  }
+  await commit.push();
+  runReport.pushed = true;
 
-async function downloadSingleVariant(url, targetPath, variantKey, assetName) {
-  const filePath = path.resolve(process.cwd(), targetPath);
-  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  let prSpec = plan.pullRequest || {};
+  if (runReport.validation && !runReport.validation.passed) {
+    const body = [prSpec.body, renderValidationFailures(runReport.validation)].filter(Boolean).join('\n\n');
+    prSpec = { ...prSpec, draft: true, body };
+  }
+  // Review follow-ups leave the title and body of the reviewed pull request alone
+  const { number: existingNumber, url: existingUrl, nodeId: existingNodeId } = existingPullRequest || {};
+  const pullRequest = existingPullRequest
+    ? { number: existingNumber, url: existingUrl, nodeId: existingNodeId, action: 'updated' }
+    : await createOrUpdatePullRequest(repo, branchName, baseBranch, prSpec, token, {
+        reopenClosed: reopenClosedPullRequest,
+      });
+  const prNumber = pullRequest ? pullRequest.number : null;
+  const prUrl = pullRequest ? pullRequest.url : null;
+  runReport.pullRequest = pullRequest;
+  await addStatusCommentTarget(prNumber, repo);
 
-  for (let attempt = 1; attempt <= MAX_ASSET_RETRIES; attempt++) {
+  if (prNumber && prSpec.reviewers) {
     try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-      const buffer = Buffer.from(await response.arrayBuffer());
-      if (buffer.length === 0) {
-        throw new Error('Empty response body');
-      }
-      await fs.writeFile(filePath, buffer);
-      toDebug(`  [OK] ${assetName}/${variantKey} -> ${targetPath} (${buffer.length} bytes)`);
-      return true;
-    } catch (err) {
-      toDebug(`  [RETRY] ${assetName}/${variantKey} attempt ${attempt}/${MAX_ASSET_RETRIES}: ${err.message}`);
-      if (attempt < MAX_ASSET_RETRIES) {
-        await new Promise((r) => setTimeout(r, attempt * 1000));
-      }
+      await requestReviewsIfNeeded(repo, prNumber, prSpec.reviewers, token);
+    } catch (error) {
+      throwIfCancelled();
+      toWarning(`Could not request reviews on the pull request: ${error.message}`);
     }
   }
-  return false;
-}
 
-async function downloadAssets(plan) {
-  const assets = Array.isArray(plan.assets) ? plan.assets : [];
-  if (assets.length === 0) {
-    return;
+  if (pullRequest) {
+    pullRequest.metadata = await applyPullRequestMetadata(
+      repo,
+      pullRequest,
+      resolvePullRequestMetadata(prSpec, pullRequestDefaults),
+      token,
+      { createMissingLabels: pullRequestDefaults.createMissingLabels }
+    );
   }
 
-  toNotice(`🖼️  Downloading ${assets.length} asset(s) from R2...`);
-
-  let downloaded = 0;
-  let failed = 0;
-  let skipped = 0;
-
-  for (const asset of assets) {
-    const name = asset.name || 'unknown';
-    const targetPaths = asset.target_paths || {};
-    const downloadUrls = asset.download_urls || {};
-
-    for (const variantKey of Object.keys(targetPaths)) {
-      const targetPath = targetPaths[variantKey];
-      const downloadUrl = downloadUrls[variantKey];
-
-      if (!targetPath || !downloadUrl) {
-        skipped++;
-        continue;
-      }
-
-      const ok = await downloadSingleVariant(downloadUrl, targetPath, variantKey, name);
-      if (ok) {
-        downloaded++;
-      } else {
-        toWarning(`  [FAIL] ${name}/${variantKey} — all ${MAX_ASSET_RETRIES} attempts failed`);
-        failed++;
-      }
-    }
+  if (prSpec.merge === true) {
+    runReport.merge = await maybeMergePullRequest(
+      repo,
+      prNumber,
+      { ...mergeOptions, strategy: mergeStrategy || prSpec.mergeStrategy },
+      token
+    );
+    runReport.merged = runReport.merge.status === 'merged';
   }
 
-  toNotice(`🖼️  Assets: ${downloaded} downloaded, ${failed} failed, ${skipped} skipped`);
+  return { prNumber, prUrl, fileSummary, appliedPlan: applied.plan };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// GIT OPERATIONS
+// MULTI-REPOSITORY PLANS
 // ═══════════════════════════════════════════════════════════════════════════
 
-function runCommand(command, args, options = {}) {
-  return new Promise((resolve, reject) => {
-    const child = spawn(command, args, {
-      stdio: options.silent ? 'ignore' : 'inherit',
-      env: options.env || process.env,
-      cwd: options.cwd || process.cwd(),
-    });
-
-    child.on('error', reject);
-    child.on('close', (code) => {
-      if (code !== 0) {
-        reject(new Error(`${command} ${args.join(' ')} exited with code ${code}`));
-      } else {
-        resolve();
-      }
-    });
-  });
+// Run report fields that describe one repository; saved per repository plan
+const REPOSITORY_REPORT_FIELDS = [
+  'branch',
+  'commitSha',
+  'pullRequest',
+  'files',
+  'assets',
+  'branchUpdate',
+  'pushed',
+  'validation',
+  'merge',
+  'merged',
+];
+
+const RELATED_PULL_REQUESTS_START = '<!-- pixelframe-related-pull-requests -->';
+const RELATED_PULL_REQUESTS_END = '<!-- /pixelframe-related-pull-requests -->';
+
+function describeRepository(repo) {
+  return repo ? `${repo.owner}/${repo.name}` : null;
 }
 
-async function ensureGitUserConfigured(commitConfig = {}) {
-  const name = commitConfig.name || process.env.GIT_COMMITTER_NAME || 'pixelframe-agent';
-  const email = commitConfig.email || process.env.GIT_COMMITTER_EMAIL || 'pixelframe@git.local';
-
-  await runCommand('git', ['config', 'user.name', name]);
-  await runCommand('git', ['config', 'user.email', email]);
+function resolvePlanRepository(plan) {
+  return parseRepository(plan?.repository?.name || process.env.GITHUB_REPOSITORY);
 }
 
-async function prepareBranch(branchName, baseBranch) {
-  await runCommand('git', ['fetch', '--prune', '--tags']);
-
-  const baseRef = baseBranch || process.env.GITHUB_BASE_REF || process.env.GITHUB_REF_NAME || 'main';
-
-  await runCommand('git', ['checkout', baseRef]);
-  await runCommand('git', ['pull', '--ff-only', 'origin', baseRef]);
-  await runCommand('git', ['checkout', '-B', branchName, baseRef]);
+function isCurrentRepository(repo) {
+  return describeRepository(repo) === process.env.GITHUB_REPOSITORY;
 }
 
-async function stageAndCommit(message) {
-  await runCommand('git', ['add', '--all']);
-
-  try {
-    await runCommand('git', ['diff', '--cached', '--quiet']);
-    toNotice('No staged changes detected; skipping commit.');
-    return false;
-  } catch (error) {
-    await runCommand('git', ['commit', '-m', message]);
-    return true;
+/**
+ * Move the repository fields of the run report into a snapshot and reset
+ * them for the next repository
+ */
+function takeRepositoryReport() {
+  const blank = createRunReport();
+  const snapshot = {};
+  for (const field of REPOSITORY_REPORT_FIELDS) {
+    snapshot[field] = runReport[field];
+    runReport[field] = blank[field];
   }
+  return snapshot;
 }
 
-async function pushBranch(branchName, force) {
-  const args = ['push', 'origin', branchName];
-  if (force) {
-    args.splice(1, 0, '--force-with-lease');
+// Put a snapshot back, so the repository's commit can be published against its own report
+function restoreRepositoryReport(snapshot) {
+  for (const field of REPOSITORY_REPORT_FIELDS) {
+    runReport[field] = snapshot[field];
   }
-  await runCommand('git', args);
 }
 
-// ═══════════════════════════════════════════════════════════════════════════
-// GITHUB API OPERATIONS
-// ═══════════════════════════════════════════════════════════════════════════
+function gitAuthHeader(token) {
+  const header = `AUTHORIZATION: basic ${Buffer.from(`x-access-token:${token}`).toString('base64')}`;
+  registerSecret('github-token', header.slice('AUTHORIZATION: basic '.length));
+  return header;
+}
 
-async function githubRequest(token, method, url, body) {
-  const headers = {
-    Authorization: `Bearer ${token}`,
-    'User-Agent': `pixelframe-agent-action/${ACTION_VERSION}`,
-    Accept: 'application/vnd.github+json',
-  };
-  if (body) {
-    headers['Content-Type'] = 'application/json';
+/**
+ * Clone another repository of the plan into its own temporary directory,
+ * authenticated with `token` for the later fetches and pushes (a GitHub App
+ * token already reaches git through the credential helper)
+ */
+async function checkoutRepository(repo, token) {
+  const directory = await fs.mkdtemp(path.join(getTempDirectory(), `pixelframe-${repo.owner}-${repo.name}-`));
+  const serverUrl = getServerUrl();
+  const cloneUrl = `${serverUrl}/${repo.owner}/${repo.name}.git`;
+
+  toNotice(`📥 Cloning ${describeRepository(repo)}`);
+  if (githubApp.gitToken) {
+    await runCommand('git', ['clone', '--quiet', '--no-tags', cloneUrl, directory]);
+    return directory;
   }
+  const configKey = `http.${serverUrl}/.extraheader`;
+  const header = gitAuthHeader(token);
+  await runCommand('git', ['-c', `${configKey}=${header}`, 'clone', '--quiet', '--no-tags', cloneUrl, directory]);
+  await runCommand('git', ['config', '--local', configKey, header], { cwd: directory });
+  return directory;
+}
 
-  const response = await fetch(url, {
-    method,
-    headers,
-    body: body ? JSON.stringify(body) : undefined,
-  });
+function renderRelatedPullRequests(current, results) {
+  const others = results.filter((result) => result !== current);
+  return [
+    RELATED_PULL_REQUESTS_START,
+    '### Related pull requests',
+    '',
+    ...others.map((result) => `- ${result.repository}#${result.pullRequest.number}`),
+    RELATED_PULL_REQUESTS_END,
+  ].join('\n');
+}
+
+function replaceRelatedPullRequests(body, section) {
+  const start = body.indexOf(RELATED_PULL_REQUESTS_START);
+  const end = body.indexOf(RELATED_PULL_REQUESTS_END);
+  const rest =
+    start === -1 || end === -1
+      ? body
+      : `${body.slice(0, start)}${body.slice(end + RELATED_PULL_REQUESTS_END.length)}`.replace(/\n{3,}/g, '\n\n');
+  return `${rest.trim()}\n\n${section}`;
+}
 
-  const text = await response.text();
-  let data = null;
-  if (text) {
+/**
+ * Link every pull request of a multi-repository run from all the others.
+ * The section is replaced on later runs rather than appended again.
+ */
+async function crossLinkPullRequests(results, token) {
+  const linked = results.filter((result) => result.pullRequest && result.pullRequest.number);
+  if (linked.length < 2) {
+    return;
+  }
+  for (const result of linked) {
+    const resource = `/repos/${result.repository}/pulls/${result.pullRequest.number}`;
     try {
-      data = JSON.parse(text);
+      const pull = await githubRequest(token, 'GET', resource);
+      const body = replaceRelatedPullRequests(pull?.body || '', renderRelatedPullRequests(result, linked));
+      await githubRequest(token, 'PATCH', resource, { body });
     } catch (error) {
-      toWarning(`GitHub API response from ${url} is not valid JSON: ${error.message}`);
-      data = { raw: text };
+      throwIfCancelled();
+      const reference = `${result.repository}#${result.pullRequest.number}`;
+      toWarning(`Could not link related pull requests from ${reference}: ${error.message}`);
     }
   }
+}
 
-  if (!response.ok) {
-    const snippet = text ? text.slice(0, 400) : 'No response body';
-    throw new Error(`GitHub API request failed (${response.status} ${response.statusText}): ${snippet}`);
+/**
+ * Check every plan before any is applied, so a plan that can never work
+ * fails the run before the others are pushed. The response schema is
+ * already checked; this adds what it cannot express: one plan per
+ * repository, and paths that stay inside the repository.
+ */
+function checkRepositoryPlans(plans, root) {
+  const problems = [];
+  const seen = new Set();
+  for (const plan of plans) {
+    const repository = describeRepository(resolvePlanRepository(plan)) || '(unknown)';
+    if (seen.has(repository)) {
+      problems.push(`${repository} is named by more than one plan`);
+    }
+    seen.add(repository);
+    const paths = [
+      ...normalizeFileChanges(plan.files).map((change) => change.path),
+      ...(plan.deletions || []),
+      ...(plan.assets || []).flatMap((asset) => Object.values(asset?.target_paths || {})),
+    ];
+    for (const requestedPath of paths) {
+      const violation = findPathSyntaxViolation(root, requestedPath);
+      if (violation) {
+        problems.push(`${repository}: "${requestedPath}" (${violation})`);
+      }
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`The repository plans were not applied: ${problems.join('; ')}`);
   }
-
-  return data;
 }
 
-async function createOrUpdatePullRequest(repo, branchName, baseBranch, pullRequestSpec, token) {
-  if (!repo || !branchName || !token) {
-    return null;
-  }
+/**
+ * Apply one plan per repository. Plans for the checked-out repository run
+ * in the workspace; the others are cloned (for commit-method git) into
+ * their own directory, or get an empty one (for commit-method api) so the
+ * workspace never stands in for them. Every plan is applied, validated and
+ * committed before anything is pushed; if one of them fails, the others
+ * are still tried but none is pushed, and the run fails once all are done.
+ */
+async function applyRepositoryPlans(plans, options) {
+  const results = [];
+  const commits = [];
+  const directories = [];
+  const workspace = options.pathPolicy.root;
+  checkRepositoryPlans(plans, workspace);
 
-  const base = baseBranch || 'main';
-  const title = pullRequestSpec.title || `Updates from PixelFrame agent (${branchName})`;
-  const body = pullRequestSpec.body || '';
-  const draft = pullRequestSpec.draft === true;
-  const prNumber = pullRequestSpec.number || pullRequestSpec.prNumber;
+  try {
+    for (const plan of plans) {
+      const repo = resolvePlanRepository(plan);
+      const repository = describeRepository(repo) || '(unknown)';
+      toNotice(`📦 Repository ${repository}`);
+      takeRepositoryReport();
+
+      try {
+        let directory = workspace;
+        if (repo && !isCurrentRepository(repo)) {
+          directory =
+            options.commitMethod === 'api'
+              ? await fs.mkdtemp(path.join(getTempDirectory(), `pixelframe-${repo.owner}-${repo.name}-`))
+              : await checkoutRepository(repo, options.token);
+          directories.push(directory);
+        }
+        const pathPolicy = { ...options.pathPolicy, root: directory };
+        commits.push(await commitRepositoryPlan(plan, { ...options, pathPolicy }));
+        results.push({ repository, ...takeRepositoryReport() });
+      } catch (error) {
+        throwIfCancelled();
+        toWarning(`Plan for ${repository} failed: ${error.message}`);
+        commits.push(null);
+        results.push({ repository, ...takeRepositoryReport(), error: redactSecrets(error.message) });
+      }
+    }
 
-  if (prNumber) {
-    toNotice(`📝 Updating pull request #${prNumber}`);
-    await githubRequest(
-      token,
-      'PATCH',
-      `https://api.github.com/repos/${repo.owner}/${repo.name}/pulls/${prNumber}`,
-      {
-        title,
-        body,
-        draft,
+    if (!results.some((result) => result.error)) {
+      // A push or pull request that fails here still leaves the earlier repositories pushed
+      for (const [index, result] of results.entries()) {
+        restoreRepositoryReport(result);
+        try {
+          await publishRepositoryCommit(commits[index], options);
+          results[index] = { repository: result.repository, ...takeRepositoryReport() };
+        } catch (error) {
+          throwIfCancelled();
+          toWarning(`Plan for ${result.repository} failed: ${error.message}`);
+          const failed = { repository: result.repository, ...takeRepositoryReport() };
+          results[index] = { ...failed, error: redactSecrets(error.message) };
+        }
       }
-    );
-    return prNumber;
+    }
+  } finally {
+    for (const directory of directories) {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
   }
 
-  toNotice(`🔀 Creating pull request from ${branchName} to ${base}`);
-
-  const pr = await githubRequest(
-    token,
-    'POST',
-    `https://api.github.com/repos/${repo.owner}/${repo.name}/pulls`,
-    {
-      head: branchName,
-      base,
-      title,
-      body,
-      draft,
-    }
-  );
-  return pr && pr.number ? pr.number : null;
-}
+  await crossLinkPullRequests(results, options.token);
+  runReport.repositories = results;
 
-async function requestReviewsIfNeeded(repo, pullRequestNumber, reviewers, token) {
-  if (!repo || !pullRequestNumber || !token) {
-    return;
+  // The single-repository outputs and summary lines describe the first repository
+  const primary = results.find((result) => !result.error) || results[0];
+  for (const field of REPOSITORY_REPORT_FIELDS) {
+    runReport[field] = primary[field];
   }
 
-  const users = Array.isArray(reviewers?.users) ? reviewers.users : reviewers || [];
-  const teams = Array.isArray(reviewers?.teams) ? reviewers.teams : [];
+  const failures = results.filter((result) => result.error);
+  if (failures.length > 0) {
+    const outcome = results.some((result) => result.pushed) ? 'failed' : 'failed and nothing was pushed';
+    throw new Error(
+      `${failures.length} of ${results.length} repository plan(s) ${outcome}: ` +
+        failures.map((result) => `${result.repository}: ${result.error}`).join('; ')
+    );
+  }
+  return {
+    prNumber: primary.pullRequest ? primary.pullRequest.number : null,
+    prUrl: primary.pullRequest ? primary.pullRequest.url : null,
+  };
+}
 
-  if (users.length === 0 && teams.length === 0) {
-    return;
+/**
+ * The plan for the checked-out repository out of a multi-repository
+ * response, for the modes that only work on the workspace
+ */
+function selectCurrentRepositoryPlan(plan) {
+  if (!Array.isArray(plan)) {
+    return plan;
+  }
+  const current = plan.find((item) => isCurrentRepository(resolvePlanRepository(item))) || null;
+  const skipped = plan
+    .filter((item) => item !== current)
+    .map((item) => describeRepository(resolvePlanRepository(item)));
+  if (skipped.length > 0) {
+    toNotice(`Only the plan for ${process.env.GITHUB_REPOSITORY} is used; skipping ${skipped.join(', ')}`);
   }
+  return current;
+}
 
-  await githubRequest(
-    token,
-    'POST',
-    `https://api.github.com/repos/${repo.owner}/${repo.name}/pulls/${pullRequestNumber}/requested_reviewers`,
-    {
-      reviewers: users,
-      team_reviewers: teams,
-    }
-  );
+function describeRepositoryResults(results) {
+  return (results || []).map((result) => ({
+    repository: result.repository,
+    branch: result.branch,
+    commitSha: result.commitSha,
+    pushed: Boolean(result.pushed),
+    number: result.pullRequest ? result.pullRequest.number : null,
+    url: result.pullRequest ? result.pullRequest.url : null,
+    error: result.error || null,
+  }));
 }
 
-async function maybeMergePullRequest(repo, pullRequestNumber, mergeStrategy, token) {
-  if (!repo || !pullRequestNumber || !token || !mergeStrategy) {
-    return;
+function renderRepositorySection(results) {
+  if (!results || results.length === 0) {
+    return [];
   }
-
-  const method = mergeStrategy.toLowerCase();
-  if (!['merge', 'squash', 'rebase'].includes(method)) {
-    toWarning(`Unsupported merge strategy "${mergeStrategy}". Skipping merge step.`);
-    return;
+  const lines = ['### Repositories', '', '| Repository | Branch | Commit | Pull request |'];
+  lines.push('| --- | --- | --- | --- |');
+  for (const result of results) {
+    const pull = result.pullRequest && result.pullRequest.number
+      ? `[#${result.pullRequest.number}](${result.pullRequest.url})`
+      : '—';
+    const commit = result.error
+      ? `❌ ${escapeTableCell(result.error.split('\n')[0])}`
+      : result.commitSha
+        ? `\`${result.commitSha.slice(0, 7)}\`${result.pushed ? '' : ' (not pushed)'}`
+        : 'no changes';
+    lines.push(`| ${result.repository} | ${result.branch ? `\`${result.branch}\`` : '—'} | ${commit} | ${pull} |`);
   }
-
-  await githubRequest(
-    token,
-    'PUT',
-    `https://api.github.com/repos/${repo.owner}/${repo.name}/pulls/${pullRequestNumber}/merge`,
-    {
-      merge_method: method,
-    }
-  );
-  toNotice(`Pull request #${pullRequestNumber} merged using ${method} strategy.`);
+  lines.push('');
+  return lines;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// REPOSITORY PLAN APPLICATION
+// PLAN PREVIEW (DRY RUN)
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function maybeApplyRepositoryPlan(plan, token, mergeStrategy) {
-  if (!plan || typeof plan !== 'object') {
-    return { prNumber: null, prUrl: null };
-  }
+// Keeps the job summary well below the runner's 1 MiB limit
+const MAX_SUMMARY_DIFF_LENGTH = 60000;
 
-  const repo = parseRepository(plan.repository?.name || process.env.GITHUB_REPOSITORY);
-  if (!repo) {
-    toWarning('Unable to determine repository for PR operations.');
-  }
+const CHANGE_STATUS_LABELS = {
+  A: 'added',
+  M: 'modified',
+  D: 'deleted',
+  T: 'type changed',
+};
 
-  const commit = plan.commit || {};
-  const branchName = commit.branch || plan.branch || plan.branchName;
+function fenceCodeBlock(text, language = '') {
+  const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map((run) => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  return `${fence}${language}\n${text}${text.endsWith('\n') ? '' : '\n'}${fence}`;
+}
 
-  if (!branchName) {
-    toNotice('Agent response did not include branch information; skipping repository operations.');
-    return { prNumber: null, prUrl: null };
+async function resolvePreviewStartRef(baseBranch) {
+  const baseRef = baseBranch || process.env.GITHUB_BASE_REF || process.env.GITHUB_REF_NAME || 'main';
+  for (const candidate of [`refs/remotes/origin/${baseRef}`, `refs/heads/${baseRef}`]) {
+    try {
+      await runCommand('git', ['rev-parse', '--verify', '--quiet', `${candidate}^{commit}`], { silent: true });
+      return candidate;
+    } catch (error) {
+      toDebug(`Preview base ${candidate} not available: ${error.message}`);
+    }
   }
+  return 'HEAD';
+}
 
-  if (!token) {
-    toWarning('No GitHub token provided; cannot push commits or manage pull requests.');
-    return { prNumber: null, prUrl: null };
+function parseDiffStats(nameStatus, numstat) {
+  const counts = new Map();
+  for (const line of numstat.split('\n').filter(Boolean)) {
+    const [added, removed, ...rest] = line.split('\t');
+    counts.set(rest.join('\t'), {
+      additions: added === '-' ? null : Number(added),
+      deletions: removed === '-' ? null : Number(removed),
+    });
   }
 
-  await ensureGitUserConfigured(commit.author);
-  await prepareBranch(branchName, commit.base || plan.baseBranch);
-  await applyFileOperations(plan);
-  await downloadAssets(plan);
+  return nameStatus
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      const [status, ...rest] = line.split('\t');
+      const filePath = rest.join('\t');
+      return {
+        path: filePath,
+        status: CHANGE_STATUS_LABELS[status[0]] || status,
+        ...(counts.get(filePath) || { additions: null, deletions: null }),
+      };
+    });
+}
 
-  const committed = await stageAndCommit(commit.message || plan.commitMessage || 'PixelFrame agent updates');
-  if (!committed) {
-    toNotice('No changes detected after applying agent plan.');
-    return { prNumber: null, prUrl: null };
+function renderPlanPreview(preview) {
+  const lines = ['### Plan preview', ''];
+  lines.push(`- **Branch:** \`${preview.branchName}\` → \`${preview.baseBranch}\``);
+  lines.push(`- **Pull request:** ${preview.pullRequest.title}${preview.pullRequest.draft ? ' (draft)' : ''}`);
+  lines.push(`- **Commit message:** ${preview.commitMessage}`);
+  lines.push('');
+
+  if (preview.files.length > 0) {
+    lines.push('| Status | File | + | − |', '| --- | --- | --- | --- |');
+    for (const file of preview.files) {
+      const additions = file.additions === null ? 'bin' : file.additions;
+      const deletions = file.deletions === null ? 'bin' : file.deletions;
+      lines.push(`| ${file.status} | \`${file.path}\` | ${additions} | ${deletions} |`);
+    }
+  } else {
+    lines.push('_The plan does not change any files._');
   }
+  lines.push('');
 
-  await pushBranch(branchName, commit.force === true || plan.force === true);
+  if (preview.fileSummary.rejected.length > 0) {
+    lines.push('#### Rejected operations', '');
+    for (const item of preview.fileSummary.rejected) {
+      lines.push(`- ${item.operation} \`${item.path}\`: ${item.reason}`);
+    }
+    lines.push('');
+  }
 
-  const prSpec = plan.pullRequest || {};
-  const prNumber = await createOrUpdatePullRequest(repo, branchName, commit.base || plan.baseBranch, prSpec, token);
+  if (preview.pullRequest.body) {
+    lines.push('<details><summary>Pull request body</summary>', '', preview.pullRequest.body, '', '</details>', '');
+  }
 
-  let prUrl = null;
-  if (prNumber && repo) {
-    prUrl = `https://github.com/${repo.owner}/${repo.name}/pull/${prNumber}`;
+  if (preview.diff) {
+    const truncated = preview.diff.length > MAX_SUMMARY_DIFF_LENGTH;
+    const diff = truncated ? preview.diff.slice(0, MAX_SUMMARY_DIFF_LENGTH) : preview.diff;
+    lines.push('<details><summary>Unified diff</summary>', '', fenceCodeBlock(diff, 'diff'));
+    if (truncated) {
+      lines.push('', `_Diff truncated; the full diff is in ${preview.diffPath}._`);
+    }
+    lines.push('', '</details>');
   }
 
-  if (prNumber && prSpec.reviewers) {
-    await requestReviewsIfNeeded(repo, prNumber, prSpec.reviewers, token);
+  return lines.join('\n');
+}
+
+/**
+ * Apply the agent plan in a detached scratch worktree and report what it
+ * would change. Nothing is committed, pushed or sent to the GitHub API.
+ */
+async function previewRepositoryPlan(plan, options = {}) {
+  const { pathPolicy = createPathPolicy() } = options;
+  if (!plan || typeof plan !== 'object') {
+    toNotice('Agent response did not include a plan; nothing to preview.');
+    return null;
   }
+  plan = screenPlanText(plan);
+
+  const branchName = plan.branch || '(unspecified)';
+  const baseBranch = plan.baseBranch;
+  const startRef = await resolvePreviewStartRef(baseBranch);
+  const scratchDir = await fs.mkdtemp(path.join(getTempDirectory(), 'pixelframe-plan-'));
+
+  toNotice(`🔍 Dry run: applying agent plan in scratch worktree from ${startRef}`);
+  await runCommand('git', ['worktree', 'add', '--detach', scratchDir, startRef], { silent: true });
 
-  const shouldMerge = prSpec.merge === true || plan.merge === true;
-  if (shouldMerge) {
-    await maybeMergePullRequest(repo, prNumber, mergeStrategy || prSpec.mergeStrategy, token);
+  let preview;
+  try {
+    const fileSummary = await applyFileOperations(plan, { ...pathPolicy, root: scratchDir });
+    runReport.files = fileSummary;
+    runReport.assets = await downloadAssets(plan, { ...pathPolicy, root: scratchDir });
+
+    await runCommand('git', ['add', '--all'], { cwd: scratchDir });
+    const diff = await runCommand('git', ['diff', '--cached', '--no-color'], { cwd: scratchDir, capture: true });
+    const nameStatus = await runCommand('git', ['diff', '--cached', '--name-status'], {
+      cwd: scratchDir,
+      capture: true,
+    });
+    const numstat = await runCommand('git', ['diff', '--cached', '--numstat'], { cwd: scratchDir, capture: true });
+
+    preview = {
+      branchName,
+      baseBranch: baseBranch || startRef,
+      commitMessage: plan.commitMessage || 'PixelFrame agent updates',
+      pullRequest: buildPullRequestContent(branchName, plan.pullRequest || {}),
+      files: parseDiffStats(nameStatus, numstat),
+      fileSummary,
+      diff,
+    };
+  } finally {
+    const removal = runCommand('git', ['worktree', 'remove', '--force', scratchDir], { silent: true, cleanup: true });
+    await removal.catch((error) => {
+      toWarning(`Failed to remove scratch worktree ${scratchDir}: ${error.message}`);
+    });
   }
 
-  return { prNumber, prUrl };
+  preview.diffPath = path.join(getTempDirectory(), 'pixelframe-plan.diff');
+  await fs.writeFile(preview.diffPath, preview.diff, 'utf-8');
+
+  toNotice(`🔍 Dry run: ${preview.files.length} file(s) would change; diff written to ${preview.diffPath}`);
+  runReport.preview = preview;
+
+  return preview;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -780,18 +5828,117 @@ async function maybeApplyRepositoryPlan(plan, token, mergeStrategy) {
 // ═══════════════════════════════════════════════════════════════════════════
 
 async function run() {
+  runReport = createRunReport();
+  cancellation = createCancellationState();
+  statusComments = createStatusCommentState();
+  assetOptions = createAssetOptions();
+  secretScan = createSecretScanState();
+  githubApp = createGitHubAppState();
+  tokenLogins.clear();
+  knownSecrets = [];
+  const removeSignalHandlers = installSignalHandlers();
   try {
-    const payloadFile = getInput('payload-file', { required: true });
-    const token = getInput('token') || process.env.GITHUB_TOKEN || '';
+    const mode = (getInput('mode') || 'generate').toLowerCase();
+    if (!RUN_MODES.includes(mode)) {
+      throw new Error(`Input mode must be one of ${RUN_MODES.join(', ')}`);
+    }
+    const payloadFile = getInput('payload-file', { required: mode === 'generate' });
+    let token = getInput('token') || process.env.GITHUB_TOKEN || '';
+    registerSecret('github-token', token);
+    secretScan.mode = (getInput('secret-scan') || 'block').toLowerCase();
+    if (!SECRET_SCAN_MODES.includes(secretScan.mode)) {
+      throw new Error(`Input secret-scan must be one of ${SECRET_SCAN_MODES.join(', ')}`);
+    }
+    secretScan.ignore = compileGlobs(getListInput('secret-scan-ignore'));
     const mergeStrategy = getInput('merge-strategy');
+    const mergeMode = (getInput('merge-mode') || 'direct').toLowerCase();
+    if (!MERGE_MODES.includes(mergeMode)) {
+      throw new Error(`Input merge-mode must be one of ${MERGE_MODES.join(', ')}`);
+    }
+    const branchUpdateStrategy = (getInput('branch-update-strategy') || 'recreate').toLowerCase();
+    const commitMethod = (getInput('commit-method') || 'git').toLowerCase();
+    if (!COMMIT_METHODS.includes(commitMethod)) {
+      throw new Error(`Input commit-method must be one of ${COMMIT_METHODS.join(', ')}`);
+    }
+    if (!BRANCH_UPDATE_STRATEGIES.includes(branchUpdateStrategy)) {
+      throw new Error(`Input branch-update-strategy must be one of ${BRANCH_UPDATE_STRATEGIES.join(', ')}`);
+    }
+    const validationCommands = parseValidationCommands(
+      getInput('validation-commands'),
+      getNumberInput('validation-timeout', DEFAULT_VALIDATION_TIMEOUT_SECONDS)
+    );
+    const validationMode = (getInput('validation-failure-mode') || 'block').toLowerCase();
+    if (!VALIDATION_FAILURE_MODES.includes(validationMode)) {
+      throw new Error(`Input validation-failure-mode must be one of ${VALIDATION_FAILURE_MODES.join(', ')}`);
+    }
+    const repairRounds = getCountInput('repair-rounds', DEFAULT_REPAIR_ROUNDS);
+    if (validationCommands.length > 0 && commitMethod === 'api') {
+      throw new Error('validation-commands need the changes in the checkout; use commit-method git');
+    }
+    const dryRun = getBooleanInput('dry-run');
+    if (dryRun && mode === 'review') {
+      throw new Error('dry-run cannot be combined with mode review, which needs the GitHub API');
+    }
+    const appId = getInput('app-id');
+    // Dry runs make no GitHub API calls, so they need no installation token either
+    if (appId && !dryRun) {
+      const repo = parseRepository(process.env.GITHUB_REPOSITORY);
+      if (!repo) {
+        throw new Error('app-id needs GITHUB_REPOSITORY to find the app installation');
+      }
+      configureGitHubApp(appId, getInput('private-key', { required: true }));
+      token = await createInstallationToken([repo]);
+    }
     const pixelframeBaseUrl = getInput('pixelframe-base-url');
+    const resumeRunId = getInput('resume-run-id');
+    const pollOptions = {
+      timeoutSeconds: getNumberInput('poll-timeout', DEFAULT_POLL_TIMEOUT_SECONDS),
+      intervalSeconds: getNumberInput('poll-interval', DEFAULT_POLL_INTERVAL_SECONDS),
+      transport: (getInput('status-transport') || 'auto').toLowerCase(),
+    };
+    if (!STATUS_TRANSPORTS.includes(pollOptions.transport)) {
+      throw new Error(`Input status-transport must be one of ${STATUS_TRANSPORTS.join(', ')}`);
+    }
+    assetOptions.concurrency = Math.floor(getNumberInput('asset-concurrency', DEFAULT_ASSET_CONCURRENCY)) || 1;
+    assetOptions.cacheDir = getInput('asset-cache-dir') ? path.resolve(getInput('asset-cache-dir')) : null;
+    const pathPolicy = createPathPolicy({
+      allowed: getListInput('allowed-paths'),
+      denied: getListInput('denied-paths'),
+    });
 
-    // NOTE: agent-provider input removed - pipeline is now fixed
-    // (Grok-4 for tickets, Opus 4.6 for code, Claude for verification)
+    const agentProvider = getInput('agent-provider');
+
+    pipelineDefinition = clonePipelineConfig(PIPELINE_CONFIG);
+    const pipelineConfigPath = getInput('pipeline-config');
+    if (pipelineConfigPath) {
+      await loadPipelineConfig(pipelineConfigPath);
+    }
+
+    let payload = {};
+    if (payloadFile) {
+      const payloadPath = path.resolve(process.cwd(), payloadFile);
+      const payloadRaw = await fs.readFile(payloadPath, 'utf-8');
+      payload = normalizePayload(parseJsonFile(payloadRaw, payloadPath));
+    }
+
+    let review = null;
+    if (mode === 'review') {
+      const repo = parseRepository(process.env.GITHUB_REPOSITORY);
+      if (!repo || !token) {
+        throw new Error('mode review needs GITHUB_REPOSITORY and a token');
+      }
+      review = await loadReviewRequest(repo, token);
+      if (!review) {
+        return;
+      }
+      payload = buildReviewPayload(payload, review);
+    }
 
-    const payloadPath = path.resolve(process.cwd(), payloadFile);
-    const payloadRaw = await fs.readFile(payloadPath, 'utf-8');
-    const payload = parseJsonFile(payloadRaw, payloadPath);
+    // Dry runs make no GitHub API calls, so they leave no status comment either
+    if (getBooleanInput('status-comment') && !dryRun) {
+      statusComments.repo = parseRepository(process.env.GITHUB_REPOSITORY);
+      statusComments.token = token;
+    }
 
     const agentUrl = resolveAgentUrl(payload, pixelframeBaseUrl);
     if (!agentUrl) {
@@ -801,53 +5948,126 @@ async function run() {
     }
 
     const apiKey = process.env.PIXELFRAME_API_KEY || '';
+    registerSecret('pixelframe-api-key', apiKey);
     if (!apiKey) {
       toWarning('PIXELFRAME_API_KEY is not set; attempting to call agent without authentication.');
     }
+    // Assets served by the PixelFrame API need the same key; other hosts never see it
+    assetOptions.auth = { origin: new URL(agentUrl).origin, apiKey };
 
     // Log pipeline start
     logPipelineStart();
+    await addStatusCommentTarget(resolveSourceIssue(payload, getInput('status-comment-issue')));
 
     const contextSnapshot = buildContextSnapshot();
     const metadata = {
-      // Fixed pipeline - no agent selection
       pipeline: 'multi-agent-v2',
+      provider: agentProvider || undefined,
       mergeStrategy: mergeStrategy || undefined,
       actionVersion: ACTION_VERSION,
+      // The newest response contract the action reads
+      schemaVersion: SCHEMA_VERSION,
     };
 
-    const agentResponse = await callAgent(agentUrl, apiKey, payload, contextSnapshot, metadata);
+    const rawResponse = resumeRunId
+      ? await resumeAgentRun(agentUrl, apiKey, resumeRunId, pollOptions)
+      : await callAgent(agentUrl, apiKey, payload, contextSnapshot, metadata, pollOptions);
 
-    if (agentResponse && typeof agentResponse === 'object') {
-      if (agentResponse.runId) {
-        await setOutput('run-id', String(agentResponse.runId));
-      }
-      if (agentResponse.status) {
-        await setOutput('status', agentResponse.status);
-      }
+    if (rawResponse && typeof rawResponse === 'object') {
+      runReport.runId = rawResponse.runId || runReport.runId;
+      runReport.status = rawResponse.status || null;
+      // Kept as received until it validates, so result-json shows what a rejected response held
+      runReport.response = rawResponse;
     }
+    const agentResponse = normalizeAgentResponse(rawResponse);
+    runReport.response = agentResponse;
 
-    const { prNumber, prUrl } = await maybeApplyRepositoryPlan(
-      agentResponse?.plan || agentResponse,
-      token,
-      mergeStrategy
-    );
+    const plan = selectResponsePlan(agentResponse);
 
-    // Set PR outputs
-    if (prNumber) {
-      await setOutput('pr-number', String(prNumber));
+    if (dryRun) {
+      await previewRepositoryPlan(selectCurrentRepositoryPlan(plan), { pathPolicy });
+      logPipelineComplete(null, null);
+      return;
     }
-    if (prUrl) {
-      await setOutput('pr-url', prUrl);
+
+    // Review follow-ups only touch the reviewed pull request in this repository
+    const repositoryPlan = review ? targetReviewBranch(selectCurrentRepositoryPlan(plan), review.pullRequest) : plan;
+    const applyPlan = Array.isArray(repositoryPlan) ? applyRepositoryPlans : maybeApplyRepositoryPlan;
+    // The installation token only covers this repository; the plans may name others
+    if (githubApp.gitToken && Array.isArray(repositoryPlan)) {
+      const repos = [parseRepository(process.env.GITHUB_REPOSITORY), ...repositoryPlan.map(resolvePlanRepository)];
+      if (repos.some((repo) => repo && !isCurrentRepository(repo))) {
+        token = await createInstallationToken(repos.filter(Boolean));
+        statusComments.token = statusComments.token && token;
+      }
+    }
+    const { prNumber, prUrl, appliedPlan } = await applyPlan(repositoryPlan, {
+      token,
+      mergeStrategy,
+      reopenClosedPullRequest: getBooleanInput('reopen-closed-pr'),
+      pullRequestDefaults: {
+        labels: getListInput('pr-labels'),
+        assignees: getListInput('pr-assignees'),
+        milestone: getInput('pr-milestone') || null,
+        projects: getListInput('pr-projects'),
+        createMissingLabels: getBooleanInput('create-missing-labels'),
+      },
+      mergeOptions: {
+        mode: mergeMode,
+        timeoutSeconds: getNumberInput('merge-timeout', DEFAULT_MERGE_TIMEOUT_SECONDS),
+        intervalSeconds: pollOptions.intervalSeconds,
+      },
+      pathPolicy,
+      // Review fixes go on top of the commits the reviewers already saw
+      branchUpdateStrategy: review ? 'append' : branchUpdateStrategy,
+      existingPullRequest: review ? review.pullRequest : null,
+      commitMethod,
+      validation: {
+        commands: validationCommands,
+        mode: validationMode,
+        repairRounds,
+        requestRepair: (feedback) => requestAgentRevision(agentUrl, apiKey, feedback, pollOptions),
+      },
+    });
+
+    if (review && runReport.commitSha) {
+      const repo = parseRepository(process.env.GITHUB_REPOSITORY);
+      // A revised plan that does not list the threads again still addresses the original's
+      const addressedThreads = appliedPlan?.addressedThreads ?? repositoryPlan?.addressedThreads;
+      await replyToAddressedThreads(repo, review, addressedThreads, runReport.commitSha, token);
     }
 
     // Log pipeline completion
     logPipelineComplete(prNumber, prUrl);
 
   } catch (error) {
-    const message = error instanceof Error ? error.message : String(error);
+    if (isCancelled()) {
+      await cancellation.pending;
+    }
+    const message = redactSecrets(error instanceof Error ? error.message : String(error));
+    runReport.error = message;
     setFailed(message);
+  } finally {
+    await finalizeStatusComments();
+    await revokeInstallationTokens();
+    await writeRunOutputs();
+    await writeRunSummary();
+    removeSignalHandlers();
   }
 }
 
-run();
\ No newline at end of file
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  run,
+  globToRegExp,
+  createPathPolicy,
+  checkPathPolicy,
+  parseUnifiedDiff,
+  applyUnifiedDiff,
+  applySearchReplaceEdits,
+  applyFileOperations,
+  readServerSentEvents,
+};
@@ -0,0 +1,167 @@
+'use strict';
+
+const assert = require('assert/strict');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { completedRunScenario, createMockServer } = require('./support/mock-server');
+const { cancelOnRequest, createRemote, createWorkspace, runAction } = require('./support/harness');
+
+const BRANCH = 'pixelframe/update-1';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const PRIVATE_KEY = privateKey.export({ type: 'pkcs1', format: 'pem' });
+const FIRST_TOKEN = `ghs_${'1'.padStart(36, '0')}`;
+
+const PLAN = {
+  branch: BRANCH,
+  baseBranch: 'main',
+  files: [{ path: 'src/example.js', contents: 'module.exports = 42;\n' }],
+  pullRequest: { title: 'Apply PixelFrame updates' },
+};
+
+function decodeJwt(jwt) {
+  const [header, claims, signature] = jwt.split('.');
+  const signed = crypto.verify(
+    'sha256',
+    Buffer.from(`${header}.${claims}`),
+    publicKey,
+    Buffer.from(signature, 'base64url')
+  );
+  return { signed, claims: JSON.parse(Buffer.from(claims, 'base64url').toString('utf-8')) };
+}
+
+describe('GitHub App authentication', () => {
+  let context;
+  let server;
+
+  beforeEach(async () => {
+    context = await createWorkspace();
+  });
+
+  afterEach(async () => {
+    await server.close();
+    await context.cleanup();
+  });
+
+  function runAsApp(options = {}) {
+    return runAction(context, server, {
+      ...options,
+      inputs: { token: '', 'app-id': '12345', 'private-key': PRIVATE_KEY, ...options.inputs },
+    });
+  }
+
+  it('exchanges a signed JWT for an installation token, pushes with it and revokes it', async () => {
+    server = await createMockServer(completedRunScenario(PLAN)).listen();
+    // Stands in for the credentials actions/checkout persists, and records what git would send on push
+    context.git(['config', '--local', 'http.https://github.com/.extraheader', 'AUTHORIZATION: basic c3RhbGU=']);
+    const credentialsPath = path.join(context.root, 'credentials.txt');
+    const hook = path.join(context.workspace, '.git/hooks/pre-push');
+    await fs.writeFile(
+      hook,
+      `#!/bin/sh\nprintf 'protocol=https\\nhost=github.com\\n\\n' | git credential fill > '${credentialsPath}'\n`
+    );
+    await fs.chmod(hook, 0o755);
+
+    const result = await runAsApp({ env: { GIT_TERMINAL_PROMPT: '0' } });
+
+    assert.equal(result.code, 0, result.log);
+    const [lookup] = server.requestsTo('GET', /^\/github\/repos\/acme\/widgets\/installation$/);
+    const { signed, claims } = decodeJwt(lookup.headers.authorization.replace(/^Bearer /, ''));
+    assert.ok(signed);
+    assert.equal(claims.iss, '12345');
+    assert.ok(claims.exp - claims.iat <= 600);
+
+    assert.deepEqual(server.github.installationTokens, [
+      { token: FIRST_TOKEN, repositories: ['widgets'], revoked: true },
+    ]);
+    const [create] = server.requestsTo('POST', /^\/github\/repos\/acme\/widgets\/pulls$/);
+    assert.equal(create.headers.authorization, `Bearer ${FIRST_TOKEN}`);
+    const credentials = await fs.readFile(credentialsPath, 'utf-8');
+    assert.match(credentials, /^username=x-access-token$/m);
+    assert.match(credentials, new RegExp(`^password=${FIRST_TOKEN}$`, 'm'));
+    assert.doesNotMatch(result.log.replace(/::add-mask::.*\n/g, ''), new RegExp(FIRST_TOKEN));
+  });
+
+  it('replaces a token that is about to expire before using it', async () => {
+    server = await createMockServer(completedRunScenario(PLAN, { tokenLifetimes: [60] })).listen();
+    const credentialsPath = path.join(context.root, 'credentials.txt');
+    const hook = path.join(context.workspace, '.git/hooks/pre-push');
+    await fs.writeFile(
+      hook,
+      `#!/bin/sh\nprintf 'protocol=https\\nhost=github.com\\n\\n' | git credential fill > '${credentialsPath}'\n`
+    );
+    await fs.chmod(hook, 0o755);
+
+    const result = await runAsApp({ env: { GIT_TERMINAL_PROMPT: '0' } });
+
+    assert.equal(result.code, 0, result.log);
+    const [first, second] = server.github.installationTokens;
+    assert.deepEqual(
+      server.github.installationTokens.map((item) => [item.repositories, item.revoked]),
+      [
+        [['widgets'], true],
+        [['widgets'], true],
+      ]
+    );
+    assert.equal(server.requestsTo('POST', /\/pulls$/).length, 1);
+    const [create] = server.requestsTo('POST', /\/pulls$/);
+    assert.equal(create.headers.authorization, `Bearer ${second.token}`);
+    const credentials = await fs.readFile(credentialsPath, 'utf-8');
+    assert.match(credentials, new RegExp(`^password=${second.token}$`, 'm'));
+    assert.doesNotMatch(credentials, new RegExp(first.token));
+  });
+
+  it('revokes the token when the run is cancelled', async () => {
+    const asset = { name: 'logo', target_paths: { png: 'logo.png' }, download_urls: { png: 'logo.png' } };
+    const scenario = completedRunScenario({ ...PLAN, assets: [asset] });
+    scenario.assets = { '/assets/logo.png': { hang: true } };
+    server = await createMockServer(scenario).listen();
+    asset.download_urls.png = `${server.url}/assets/logo.png`;
+
+    const result = await runAsApp({
+      onSpawn: cancelOnRequest(server, 'GET', /^\/assets\//),
+    });
+
+    assert.equal(result.code, 1);
+    assert.equal(result.outputs.status, 'cancelled');
+    assert.deepEqual(server.github.installationTokens, [
+      { token: FIRST_TOKEN, repositories: ['widgets'], revoked: true },
+    ]);
+  });
+
+  it('fails when the app is not installed on the repository', async () => {
+    server = await createMockServer(completedRunScenario(PLAN, { appInstalled: false })).listen();
+
+    const result = await runAsApp();
+
+    assert.equal(result.code, 1);
+    assert.match(result.log, /::error::GitHub App 12345 is not installed on acme\/widgets/);
+    assert.equal(server.requestsTo('POST', /^\/agent\/run$/).length, 0);
+  });
+
+  it('widens the token to every repository named by multi-repository plans', async () => {
+    await createRemote(context, 'acme/api');
+    const plans = ['acme/widgets', 'acme/api'].map((name) => ({ ...PLAN, repository: { name } }));
+    server = await createMockServer(completedRunScenario(plans)).listen();
+
+    const result = await runAsApp({
+      env: { GITHUB_SERVER_URL: `file://${path.join(context.root, 'remotes')}` },
+    });
+
+    assert.equal(result.code, 0, result.log);
+    assert.deepEqual(
+      server.github.installationTokens.map((item) => [item.repositories, item.revoked]),
+      [
+        [['widgets'], true],
+        [['widgets', 'api'], true],
+      ]
+    );
+    const creates = server.requestsTo('POST', /\/pulls$/);
+    assert.equal(creates.length, 2);
+    for (const create of creates) {
+      assert.equal(create.headers.authorization, `Bearer ${server.github.installationTokens[1].token}`);
+    }
+  });
+});
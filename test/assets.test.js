@@ -0,0 +1,134 @@
+'use strict';
+
+const assert = require('assert/strict');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { completedRunScenario, createMockServer } = require('./support/mock-server');
+const { createWorkspace, runAction } = require('./support/harness');
+
+const BRANCH = 'pixelframe/update-1';
+const LOGO = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+const LOGO_SHA256 = crypto.createHash('sha256').update(LOGO).digest('hex');
+
+function assetScenario(assets, served) {
+  const plan = { branch: BRANCH, baseBranch: 'main', files: [{ path: 'src/example.js', contents: '42;\n' }], assets };
+  return completedRunScenario(plan, { assets: served });
+}
+
+describe('asset downloads', () => {
+  let context;
+  let server;
+
+  beforeEach(async () => {
+    context = await createWorkspace();
+  });
+
+  afterEach(async () => {
+    await server.close();
+    await context.cleanup();
+  });
+
+  /**
+   * Start the mock server, then point every `ASSET:<name>` URL at it
+   */
+  async function start(assets, served) {
+    server = await createMockServer(assetScenario(assets, served)).listen();
+    for (const asset of assets) {
+      for (const [variant, url] of Object.entries(asset.download_urls || {})) {
+        asset.download_urls[variant] = url.replace(/^ASSET:/, `${server.url}/assets/`);
+      }
+    }
+  }
+
+  function branchFiles() {
+    return context.git(['ls-tree', '-r', '--name-only', BRANCH], context.remote).split('\n');
+  }
+
+  it('verifies the checksum and size and reuses cached downloads on later runs', async () => {
+    const assets = [
+      {
+        name: 'logo',
+        sha256: LOGO_SHA256,
+        size: LOGO.length,
+        target_paths: { png: 'public/logo.png' },
+        download_urls: { png: 'ASSET:logo.png' },
+      },
+    ];
+    await start(assets, { '/assets/logo.png': { body: LOGO, contentType: 'image/png' } });
+    const cacheDir = path.join(context.root, 'asset-cache');
+
+    const first = await runAction(context, server, { inputs: { 'asset-cache-dir': cacheDir } });
+    const second = await runAction(context, server, { inputs: { 'asset-cache-dir': cacheDir } });
+
+    assert.equal(first.code, 0, first.log);
+    assert.equal(second.code, 0, second.log);
+    assert.deepEqual(await fs.readFile(path.join(cacheDir, LOGO_SHA256)), LOGO);
+    assert.equal(server.requestsTo('GET', /^\/assets\/logo\.png$/).length, 1);
+    assert.match(first.summary, /1 downloaded, 0 failed, 0 skipped/);
+    assert.match(second.summary, /0 downloaded, 1 from cache, 0 failed, 0 skipped/);
+    assert.ok(branchFiles().includes('public/logo.png'));
+  });
+
+  it('sends the PixelFrame API key to assets served by the PixelFrame API', async () => {
+    const assets = [
+      { name: 'logo', target_paths: { png: 'public/logo.png' }, download_urls: { png: 'ASSET:logo.png' } },
+    ];
+    await start(assets, { '/assets/logo.png': { body: LOGO, contentType: 'image/png' } });
+
+    const result = await runAction(context, server);
+
+    assert.equal(result.code, 0, result.log);
+    const [download] = server.requestsTo('GET', /^\/assets\/logo\.png$/);
+    assert.equal(download.headers.authorization, 'Bearer test-api-key');
+  });
+
+  it('drops variants with the wrong checksum or content type and rejects paths outside the workspace', async () => {
+    const assets = [
+      {
+        name: 'hero',
+        sha256: { png: '0'.repeat(64) },
+        target_paths: { png: 'public/hero.png', webp: 'public/hero.webp' },
+        download_urls: { png: 'ASSET:hero.png', webp: 'ASSET:hero.webp' },
+      },
+      { name: 'escape', target_paths: { png: '../outside.png' }, download_urls: { png: 'ASSET:hero.png' } },
+    ];
+    await start(assets, {
+      '/assets/hero.png': { body: LOGO, contentType: 'image/png' },
+      '/assets/hero.webp': { body: Buffer.from('<html>Not found</html>'), contentType: 'text/html' },
+    });
+
+    const result = await runAction(context, server);
+
+    assert.equal(result.code, 0, result.log);
+    assert.match(result.log, /::warning::.*hero\/png — sha256 mismatch: expected 0{64}, got [0-9a-f]{64}/);
+    assert.match(result.log, /::warning::.*hero\/webp — expected content type image\/webp, got text\/html/);
+    assert.match(result.log, /::warning::Rejected asset escape\/png -> "\.\.\/outside\.png": resolves outside/);
+    assert.equal(server.requestsTo('GET', /^\/assets\/hero\.png$/).length, 1);
+    assert.equal(result.outputs['assets-failed'], '2');
+    assert.ok(!branchFiles().some((file) => file.startsWith('public/')));
+    await assert.rejects(fs.access(path.join(context.root, 'outside.png')));
+  });
+
+  it('fails the run when a required asset cannot be downloaded', async () => {
+    const assets = [
+      {
+        name: 'hero',
+        required: true,
+        size: 3,
+        target_paths: { png: 'public/hero.png' },
+        download_urls: { png: 'ASSET:hero.png' },
+      },
+    ];
+    await start(assets, { '/assets/hero.png': { body: LOGO, contentType: 'image/png' } });
+
+    const result = await runAction(context, server);
+
+    assert.equal(result.code, 1);
+    assert.match(result.log, /::error::Required asset\(s\) missing: hero\/png \(expected 3 bytes, got 8\)/);
+    assert.throws(() => context.git(['rev-parse', '--verify', BRANCH], context.remote));
+    assert.match(result.summary, /- `hero\/png` \(required\): expected 3 bytes, got 8/);
+  });
+});
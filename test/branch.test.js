@@ -0,0 +1,157 @@
+'use strict';
+
+const assert = require('assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { completedRunScenario, createMockServer } = require('./support/mock-server');
+const { createWorkspace, runAction } = require('./support/harness');
+
+const BRANCH = 'pixelframe/update-1';
+const REVIEWER = 'Reviewer <reviewer@example.com>';
+
+const PLAN = {
+  branch: BRANCH,
+  baseBranch: 'main',
+  commitMessage: 'feat: apply PixelFrame suggestions',
+  files: [{ path: 'src/example.js', contents: 'module.exports = 42;\n' }],
+};
+
+describe('existing agent branch', () => {
+  let context;
+  let server;
+
+  beforeEach(async () => {
+    context = await createWorkspace({ 'README.md': '# Widgets\n', 'notes.txt': 'draft\n' });
+  });
+
+  afterEach(async () => {
+    if (server) {
+      await server.close();
+      server = null;
+    }
+    await context.cleanup();
+  });
+
+  async function commitFile(file, contents, message, author) {
+    await fs.mkdir(path.dirname(path.join(context.workspace, file)), { recursive: true });
+    await fs.writeFile(path.join(context.workspace, file), contents);
+    context.git(['add', '--all']);
+    context.git(['commit', '--quiet', '-m', message, ...(author ? [`--author=${author}`] : [])]);
+  }
+
+  /**
+   * Push an earlier agent commit and, optionally, a reviewer fixup to the
+   * agent branch, then advance main so the branch is behind its base.
+   */
+  async function seedBranch({ reviewerFile = 'notes.txt', reviewerContents = 'reviewed\n', mainFile = 'CHANGELOG.md' } = {}) {
+    context.git(['checkout', '--quiet', '-b', BRANCH]);
+    await commitFile('src/previous.js', 'module.exports = 1;\n', 'feat: earlier agent run');
+    if (reviewerFile) {
+      await commitFile(reviewerFile, reviewerContents, 'fix: reviewer fixup', REVIEWER);
+    }
+    context.git(['push', '--quiet', 'origin', BRANCH]);
+    context.git(['checkout', '--quiet', 'main']);
+    await commitFile(mainFile, 'main moved on\n', 'chore: advance main');
+    context.git(['push', '--quiet', 'origin', 'main']);
+    context.git(['reset', '--quiet', '--hard', 'HEAD~1']);
+  }
+
+  function branchLog() {
+    return context.git(['log', '--format=%s', BRANCH], context.remote).split('\n');
+  }
+
+  function isAncestor(ref) {
+    try {
+      context.git(['merge-base', '--is-ancestor', ref, BRANCH], context.remote);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  it('appends to the existing branch history', async () => {
+    await seedBranch({ reviewerFile: null });
+    const previousSha = context.git(['rev-parse', BRANCH], context.remote);
+    server = await createMockServer(completedRunScenario(PLAN)).listen();
+
+    const result = await runAction(context, server, { inputs: { 'branch-update-strategy': 'append' } });
+
+    assert.equal(result.code, 0, result.log);
+    assert.ok(isAncestor(previousSha));
+    assert.ok(!isAncestor('main'));
+    assert.deepEqual(branchLog().slice(0, 2), ['feat: apply PixelFrame suggestions', 'feat: earlier agent run']);
+  });
+
+  it('rebases agent and reviewer commits onto the updated base', async () => {
+    await seedBranch();
+    server = await createMockServer(completedRunScenario(PLAN)).listen();
+
+    const result = await runAction(context, server, { inputs: { 'branch-update-strategy': 'rebase' } });
+
+    assert.equal(result.code, 0, result.log);
+    assert.ok(isAncestor('main'));
+    assert.deepEqual(branchLog().slice(0, 4), [
+      'feat: apply PixelFrame suggestions',
+      'fix: reviewer fixup',
+      'feat: earlier agent run',
+      'chore: advance main',
+    ]);
+    assert.match(result.summary, /existing branch: rebased; 1 commit\(s\) by others/);
+  });
+
+  it('keeps reviewer commits when recreating the branch', async () => {
+    await seedBranch();
+    server = await createMockServer(completedRunScenario(PLAN)).listen();
+
+    const result = await runAction(context, server);
+
+    assert.equal(result.code, 0, result.log);
+    assert.ok(branchLog().includes('fix: reviewer fixup'));
+    assert.match(result.log, /1 commit\(s\) not made by the agent .*rebasing instead of recreating/);
+  });
+
+  it('recreates a branch that only has agent commits', async () => {
+    await seedBranch({ reviewerFile: null });
+    server = await createMockServer(completedRunScenario(PLAN)).listen();
+
+    const result = await runAction(context, server);
+
+    assert.equal(result.code, 0, result.log);
+    assert.deepEqual(branchLog(), ['feat: apply PixelFrame suggestions', 'chore: advance main', 'Initial commit']);
+  });
+
+  it('reports rebase conflicts and falls back to appending', async () => {
+    await seedBranch({ reviewerFile: 'README.md', reviewerContents: '# Reviewed\n', mainFile: 'README.md' });
+    const previousSha = context.git(['rev-parse', BRANCH], context.remote);
+    server = await createMockServer(completedRunScenario(PLAN)).listen();
+
+    const result = await runAction(context, server, { inputs: { 'branch-update-strategy': 'rebase' } });
+
+    assert.equal(result.code, 0, result.log);
+    assert.ok(isAncestor(previousSha));
+    assert.match(result.log, /::warning::Rebasing pixelframe\/update-1 onto main conflicts in README\.md/);
+    assert.match(result.summary, /rebase conflicts in `README\.md`/);
+  });
+
+  it('warns when the plan rewrites a file a reviewer changed', async () => {
+    await seedBranch();
+    const plan = { ...PLAN, files: [{ path: 'notes.txt', contents: 'agent notes\n' }] };
+    server = await createMockServer(completedRunScenario(plan)).listen();
+
+    const result = await runAction(context, server, { inputs: { 'branch-update-strategy': 'append' } });
+
+    assert.equal(result.code, 0, result.log);
+    assert.match(result.log, /::warning::Agent rewrote file\(s\) changed by other commits on pixelframe\/update-1: notes\.txt/);
+  });
+
+  it('rejects an unknown strategy', async () => {
+    server = await createMockServer(completedRunScenario(PLAN)).listen();
+
+    const result = await runAction(context, server, { inputs: { 'branch-update-strategy': 'squash' } });
+
+    assert.equal(result.code, 1);
+    assert.match(result.log, /branch-update-strategy must be one of recreate, append, rebase/);
+  });
+});
@@ -0,0 +1,199 @@
+'use strict';
+
+const assert = require('assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { completedRunScenario, createMockServer } = require('./support/mock-server');
+const { createWorkspace, runAction } = require('./support/harness');
+
+const BRANCH = 'pixelframe/update-1';
+
+const FILES = {
+  'README.md': '# Widgets\n',
+  'src/app.js': 'const port = 80;\nmodule.exports = port;\n',
+  'old.txt': 'x\n',
+};
+
+function completedWith(plan, extra = {}) {
+  return completedRunScenario(plan, { git: FILES, ...extra });
+}
+
+describe('commit-method api', () => {
+  let context;
+  let server;
+
+  beforeEach(async () => {
+    context = await createWorkspace();
+  });
+
+  afterEach(async () => {
+    if (server) {
+      await server.close();
+      server = null;
+    }
+    await context.cleanup();
+  });
+
+  it('commits through the Git Data API without touching the checkout', async () => {
+    const plan = {
+      branch: BRANCH,
+      baseBranch: 'main',
+      commitMessage: 'feat: apply PixelFrame suggestions',
+      files: [
+        { path: 'src/example.js', contents: 'module.exports = 42;\n' },
+        { path: 'src/app.js', edits: [{ search: 'port = 80', replace: 'port = 8080' }] },
+      ],
+      deletions: ['old.txt'],
+      assets: [
+        {
+          name: 'logo',
+          target_paths: { png: 'public/logo.png' },
+          download_urls: { png: 'ASSET_URL' },
+        },
+      ],
+    };
+    server = createMockServer(completedWith(plan, { assets: { '/assets/logo.png': { body: Buffer.from([137, 80]) } } }));
+    await server.listen();
+    plan.assets[0].download_urls.png = `${server.url}/assets/logo.png`;
+
+    const result = await runAction(context, server, { inputs: { 'commit-method': 'api' } });
+
+    assert.equal(result.code, 0, result.log);
+    const { git } = server.github;
+    const sha = git.refs.get(BRANCH);
+    assert.equal(result.outputs['commit-sha'], sha);
+    assert.deepEqual(git.commits.get(sha).parents, [git.refs.get('main')]);
+    const [created] = server.requestsTo('POST', /\/git\/commits$/);
+    assert.equal(created.body.author, undefined);
+    assert.equal(created.body.committer, undefined);
+    const files = git.readBranch(BRANCH);
+    assert.equal(files['src/example.js'], 'module.exports = 42;\n');
+    assert.equal(files['src/app.js'], 'const port = 8080;\nmodule.exports = port;\n');
+    assert.equal(files['old.txt'], undefined);
+    assert.ok('public/logo.png' in files);
+    // The edited file is read once, for both the edit and the secret scan
+    assert.equal(server.requestsTo('GET', /\/git\/blobs\//).length, 1);
+    assert.equal(result.outputs['pr-number'], '1');
+
+    assert.throws(() => context.git(['rev-parse', '--verify', BRANCH], context.remote));
+    assert.equal(context.git(['status', '--porcelain']), '');
+  });
+
+  it('appends to an existing branch that carries commits by others', async () => {
+    server = await createMockServer(
+      completedWith({ branch: BRANCH, baseBranch: 'main', files: [{ path: 'src/example.js', contents: '1;\n' }] })
+    ).listen();
+    const { git } = server.github;
+    git.commit(BRANCH, { 'notes.txt': 'reviewed\n' }, {
+      from: 'main',
+      message: 'fix: reviewer fixup',
+      author: { type: 'User', email: 'reviewer@example.com' },
+    });
+    const reviewerSha = git.refs.get(BRANCH);
+
+    const result = await runAction(context, server, { inputs: { 'commit-method': 'api' } });
+
+    assert.equal(result.code, 0, result.log);
+    assert.deepEqual(git.commits.get(git.refs.get(BRANCH)).parents, [reviewerSha]);
+    assert.equal(git.readBranch(BRANCH)['notes.txt'], 'reviewed\n');
+    assert.match(result.log, /1 commit\(s\) not made by the agent .*appending instead of recreating/);
+    const [update] = server.requestsTo('PATCH', /\/git\/refs\/heads\/pixelframe\/update-1$/);
+    assert.equal(update.body.force, false);
+  });
+
+  it('recreates a branch that only has agent commits', async () => {
+    server = await createMockServer(
+      completedWith({ branch: BRANCH, baseBranch: 'main', files: [{ path: 'src/example.js', contents: '2;\n' }] })
+    ).listen();
+    const { git } = server.github;
+    git.commit(BRANCH, { 'src/example.js': '1;\n' }, { from: 'main', message: 'earlier agent run' });
+
+    const result = await runAction(context, server, { inputs: { 'commit-method': 'api' } });
+
+    assert.equal(result.code, 0, result.log);
+    assert.deepEqual(git.commits.get(git.refs.get(BRANCH)).parents, [git.refs.get('main')]);
+    const [update] = server.requestsTo('PATCH', /\/git\/refs\/heads\/pixelframe\/update-1$/);
+    assert.equal(update.body.force, true);
+  });
+
+  it('recreates a branch whose earlier commits were made through the api with the same token', async () => {
+    server = await createMockServer(
+      completedWith({ branch: BRANCH, baseBranch: 'main', files: [{ path: 'src/example.js', contents: '2;\n' }] })
+    ).listen();
+    const { git } = server.github;
+    git.commit(BRANCH, { 'src/example.js': '1;\n' }, {
+      from: 'main',
+      message: 'earlier agent run',
+      author: { type: 'User', login: 'pixelframe-agent', email: 'agent@example.com' },
+    });
+
+    const result = await runAction(context, server, { inputs: { 'commit-method': 'api' } });
+
+    assert.equal(result.code, 0, result.log);
+    assert.deepEqual(git.commits.get(git.refs.get(BRANCH)).parents, [git.refs.get('main')]);
+    assert.doesNotMatch(result.log, /not made by the agent/);
+  });
+
+  it('checks paths against the symlinks of the branch, not of the checkout', async () => {
+    const plan = {
+      branch: BRANCH,
+      baseBranch: 'main',
+      files: [
+        { path: 'ci/deploy.yml', contents: 'on: push\n' },
+        { path: 'escape/notes.txt', contents: 'x\n' },
+        { path: 'public/notes.txt', contents: 'public\n' },
+      ],
+      deletions: ['.github'],
+    };
+    const git = {
+      'README.md': '# Widgets\n',
+      '.github/workflows/ci.yml': 'on: push\n',
+      ci: { symlink: '.github/workflows' },
+      escape: { symlink: '../outside' },
+    };
+    server = await createMockServer(completedWith(plan, { git })).listen();
+    // Only the branch decides: this link out of the checkout is not on it
+    await fs.symlink(context.root, path.join(context.workspace, 'public'));
+
+    const result = await runAction(context, server, { inputs: { 'commit-method': 'api' } });
+
+    assert.equal(result.code, 0, result.log);
+    assert.match(result.log, /Rejected write of "ci\/deploy\.yml": follows a symlink that matches denied pattern/);
+    assert.match(result.log, /Rejected write of "escape\/notes\.txt": follows a symlink outside the workspace/);
+    assert.match(result.log, /Rejected delete of "\.github": is a directory containing "\.github\/workflows\/ci\.yml"/);
+    const files = server.github.git.readBranch(BRANCH);
+    assert.equal(files['public/notes.txt'], 'public\n');
+    assert.equal(files['.github/workflows/ci.yml'], 'on: push\n');
+  });
+
+  it('encodes branch names in the ref endpoints', async () => {
+    const branch = 'pixelframe/issue#7-100%';
+    server = await createMockServer(
+      completedWith({ branch, baseBranch: 'main', files: [{ path: 'src/example.js', contents: '2;\n' }] })
+    ).listen();
+    const { git } = server.github;
+    git.commit(branch, { 'src/example.js': '1;\n' }, { from: 'main', message: 'earlier agent run' });
+
+    const result = await runAction(context, server, { inputs: { 'commit-method': 'api' } });
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(git.readBranch(branch)['src/example.js'], '2;\n');
+    assert.equal(server.requestsTo('PATCH', /\/git\/refs\/heads\/pixelframe\/issue%237-100%25$/).length, 1);
+  });
+
+  it('skips the commit when the plan changes nothing', async () => {
+    server = await createMockServer(
+      completedWith({ branch: BRANCH, baseBranch: 'main', files: [{ path: 'README.md', contents: '# Widgets\n' }] })
+    ).listen();
+
+    const result = await runAction(context, server, { inputs: { 'commit-method': 'api' } });
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(server.github.git.refs.has(BRANCH), false);
+    assert.equal(server.requestsTo('POST', /\/git\/commits$/).length, 0);
+    assert.match(result.log, /No changes detected after applying agent plan/);
+    assert.equal(result.outputs['pr-number'], '');
+  });
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const assert = require('assert/strict');
+const fs = require('fs/promises');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { completedRunScenario, createMockServer } = require('./support/mock-server');
+const { createWorkspace, runAction } = require('./support/harness');
+
+const BRANCH = 'pixelframe/update-1';
+
+describe('payload and response contract', () => {
+  let context;
+  let server;
+
+  beforeEach(async () => {
+    context = await createWorkspace();
+  });
+
+  afterEach(async () => {
+    await server.close();
+    await context.cleanup();
+  });
+
+  it('rejects a malformed plan with every problem listed before anything is pushed', async () => {
+    const plan = {
+      branch: BRANCH,
+      files: [{ path: 'a.txt', contents: 42 }, { contents: 'b' }],
+      pullRequest: { title: 'Update', draft: 'yes', labels: 'bug' },
+    };
+    server = await createMockServer(completedRunScenario(plan, {}, { schemaVersion: 1 })).listen();
+
+    const result = await runAction(context, server);
+
+    assert.equal(result.code, 1);
+    assert.match(result.log, /::error::The agent response does not match schema version 1 \(4 problem\(s\)\):/);
+    assert.match(result.log, /response\.plan\.files\[0\]\.contents: expected string, got integer/);
+    assert.match(result.log, /response\.plan\.files\[1\]\.path: is required/);
+    assert.match(result.log, /response\.plan\.pullRequest\.draft: expected boolean, got string/);
+    assert.match(result.log, /response\.plan\.pullRequest\.labels: expected array, got string/);
+    assert.throws(() => context.git(['rev-parse', '--verify', BRANCH], context.remote));
+    assert.equal(server.requestsTo('POST', /\/pulls$/).length, 0);
+  });
+
+  it('rejects responses written for a newer contract', async () => {
+    const plan = { branch: BRANCH, files: [{ path: 'a.txt', contents: 'a' }] };
+    server = await createMockServer(completedRunScenario(plan, {}, { schemaVersion: 2 })).listen();
+
+    const result = await runAction(context, server);
+
+    assert.equal(result.code, 1);
+    assert.match(result.log, /::error::The agent response uses schemaVersion 2, but this action reads up to 1/);
+    assert.throws(() => context.git(['rev-parse', '--verify', BRANCH], context.remote));
+  });
+
+  it('upgrades a legacy response to the current contract', async () => {
+    server = await createMockServer(
+      completedRunScenario({
+        commit: { branch: BRANCH, base: 'main', message: 'chore: legacy plan' },
+        updates: [{ path: 'a.txt', content: 'YQ==', contentEncoding: 'base64' }],
+        deletions: [{ path: 'README.md' }],
+        pullRequest: { title: 'Legacy plan', reviewers: ['octocat'] },
+      })
+    ).listen();
+
+    const result = await runAction(context, server);
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(context.git(['show', `${BRANCH}:a.txt`], context.remote), 'a');
+    assert.equal(context.git(['log', '-1', '--format=%s', BRANCH], context.remote), 'chore: legacy plan');
+    assert.throws(() => context.git(['show', `${BRANCH}:README.md`], context.remote));
+    const [reviewers] = server.requestsTo('POST', /\/requested_reviewers$/);
+    assert.deepEqual(reviewers.body.reviewers, ['octocat']);
+
+    const written = JSON.parse(await fs.readFile(result.outputs['result-json'], 'utf-8'));
+    assert.equal(written.schemaVersion, 1);
+    assert.equal(written.plan.branch, BRANCH);
+    assert.equal(written.plan.commitMessage, 'chore: legacy plan');
+    assert.deepEqual(written.plan.deletions, ['README.md']);
+    assert.equal(written.plan.commit, undefined);
+  });
+
+  it('validates the payload before calling the agent', async () => {
+    server = await createMockServer(completedRunScenario(null)).listen();
+
+    const result = await runAction(context, server, { payload: { schemaVersion: 1, issueNumber: '7' } });
+
+    assert.equal(result.code, 1);
+    assert.match(result.log, /::error::The payload does not match schema version 1 \(1 problem\(s\)\):/);
+    assert.match(result.log, /payload\.issueNumber: expected integer, got string/);
+    assert.equal(server.requestsTo('POST', /^\/agent\/run$/).length, 0);
+  });
+
+  it('upgrades a legacy payload and tells the agent which contract it speaks', async () => {
+    server = await createMockServer(completedRunScenario(null)).listen();
+
+    const result = await runAction(context, server, {
+      payload: { agentUrl: undefined, agent_url: `${server.url}/agent/run`, issue: { number: 7 } },
+    });
+
+    assert.equal(result.code, 0, result.log);
+    const [runRequest] = server.requestsTo('POST', /^\/agent\/run$/);
+    assert.equal(runRequest.body.payload.schemaVersion, 1);
+    assert.equal(runRequest.body.payload.agentUrl, `${server.url}/agent/run`);
+    assert.equal(runRequest.body.payload.issueNumber, 7);
+    assert.equal(runRequest.body.metadata.schemaVersion, 1);
+  });
+});
@@ -0,0 +1,200 @@
+'use strict';
+
+const assert = require('assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const {
+  applyFileOperations,
+  applySearchReplaceEdits,
+  applyUnifiedDiff,
+  checkPathPolicy,
+  createPathPolicy,
+  globToRegExp,
+} = require('../src/index.js');
+
+describe('globToRegExp', () => {
+  it('matches gitignore-style patterns', () => {
+    assert.ok(globToRegExp('.github/workflows/**').test('.github/workflows/ci.yml'));
+    assert.ok(globToRegExp('.github/workflows/**').test('.github/workflows'));
+    assert.ok(globToRegExp('*.pem').test('certs/server.pem'));
+    assert.ok(globToRegExp('src/*.js').test('src/index.js'));
+    assert.ok(!globToRegExp('src/*.js').test('src/lib/index.js'));
+    assert.ok(globToRegExp('src/**/*.js').test('src/index.js'));
+  });
+
+  it('treats a trailing slash as everything in the directory', () => {
+    assert.ok(globToRegExp('docs/').test('docs/guide.md'));
+    assert.ok(globToRegExp('docs/').test('packages/web/docs/api/index.md'));
+    assert.ok(globToRegExp('docs/').test('docs'));
+    assert.ok(globToRegExp('src/generated/').test('src/generated/types.ts'));
+    assert.ok(!globToRegExp('src/generated/').test('lib/src/generated/types.ts'));
+    assert.ok(!globToRegExp('docs/').test('docs.md'));
+  });
+});
+
+describe('checkPathPolicy', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'pixelframe-policy-'));
+    await fs.mkdir(path.join(root, '.git', 'hooks'), { recursive: true });
+    await fs.symlink(os.tmpdir(), path.join(root, 'escape'));
+    await fs.symlink('.git', path.join(root, 'git-link'));
+    await fs.mkdir(path.join(root, '.github', 'workflows'), { recursive: true });
+    await fs.writeFile(path.join(root, '.github', 'workflows', 'ci.yml'), 'on: push\n');
+    await fs.writeFile(path.join(root, '.github', 'CODEOWNERS'), '* @acme\n');
+    await fs.mkdir(path.join(root, 'vendor', 'lib', '.git'), { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  const cases = [
+    ['src/index.js', 'write', null],
+    ['../outside.txt', 'write', 'resolves outside the workspace'],
+    ['/etc/passwd', 'write', 'absolute paths are not allowed'],
+    ['.git/hooks/pre-commit', 'write', 'targets protected path'],
+    ['.git', 'delete', 'targets protected path'],
+    ['.github/workflows/ci.yml', 'write', 'matches denied pattern'],
+    ['escape/file.txt', 'write', 'follows a symlink outside the workspace'],
+    ['git-link/hooks/pre-push', 'write', 'follows a symlink that targets protected path'],
+    ['escape', 'delete', null],
+    ['.github', 'delete', 'is a directory containing ".github/workflows", which matches denied pattern'],
+    ['.github/CODEOWNERS', 'delete', null],
+    ['vendor', 'delete', 'is a directory containing "vendor/lib/.git", which targets protected path'],
+    ['sub/.git', 'delete', 'targets protected path'],
+    ['.', 'delete', 'refers to the workspace root'],
+  ];
+
+  for (const [requested, operation, reason] of cases) {
+    it(`${reason ? 'rejects' : 'allows'} ${operation} of ${requested}`, async () => {
+      const verdict = await checkPathPolicy(createPathPolicy({ root }), requested, operation);
+      assert.equal(verdict.allowed, reason === null, verdict.reason);
+      if (reason) {
+        assert.match(verdict.reason, new RegExp(reason));
+      }
+    });
+  }
+
+  it('keeps denying workflow files when denied-paths is configured', async () => {
+    const policy = createPathPolicy({ root, denied: ['secrets/**'] });
+    assert.match((await checkPathPolicy(policy, 'secrets/key.pem', 'write')).reason, /denied pattern "secrets\/\*\*"/);
+    const verdict = await checkPathPolicy(policy, '.github/workflows/ci.yml', 'write');
+    assert.equal(verdict.allowed, false);
+    assert.match(verdict.reason, /denied pattern "\.github\/workflows\/\*\*"/);
+  });
+
+  it('limits writes to allowed-paths when configured', async () => {
+    const policy = createPathPolicy({ root, allowed: ['src/**', 'docs/*.md'] });
+    assert.equal((await checkPathPolicy(policy, 'docs/guide.md', 'write')).allowed, true);
+    const verdict = await checkPathPolicy(policy, 'package.json', 'write');
+    assert.equal(verdict.allowed, false);
+    assert.match(verdict.reason, /allowed-paths/);
+  });
+});
+
+describe('applyUnifiedDiff', () => {
+  const original = 'one\ntwo\nthree\nfour\nfive\nsix\nseven\n';
+  const patch = '--- a/file\n+++ b/file\n@@ -2,3 +2,3 @@\n two\n-three\n+THREE\n four\n';
+
+  it('applies hunks at their stated position', () => {
+    assert.equal(applyUnifiedDiff(original, patch), 'one\ntwo\nTHREE\nfour\nfive\nsix\nseven\n');
+  });
+
+  it('finds hunks that moved after upstream edits', () => {
+    const shifted = `zero\n${original}`;
+    assert.equal(applyUnifiedDiff(shifted, patch), 'zero\none\ntwo\nTHREE\nfour\nfive\nsix\nseven\n');
+  });
+
+  it('applies with fuzz when outer context changed', () => {
+    const edited = original.replace('two\n', 'TWO\n');
+    assert.equal(applyUnifiedDiff(edited, patch), 'one\nTWO\nTHREE\nfour\nfive\nsix\nseven\n');
+    assert.throws(() => applyUnifiedDiff(edited, patch, { fuzz: 0 }), /context does not match/);
+  });
+
+  it('reports conflicts per hunk', () => {
+    const conflicting = original.replace('three\n', 'drei\n');
+    assert.throws(
+      () => applyUnifiedDiff(conflicting, patch),
+      (error) => error.conflicts.length === 1 && error.conflicts[0].hunk === 1
+    );
+  });
+
+  it('detects hunks that were already applied', () => {
+    const patched = applyUnifiedDiff(original, patch);
+    assert.throws(() => applyUnifiedDiff(patched, patch), /already applied/);
+  });
+
+  it('creates and deletes files', () => {
+    assert.equal(applyUnifiedDiff('', '--- /dev/null\n+++ b/new\n@@ -0,0 +1,2 @@\n+a\n+b\n'), 'a\nb\n');
+    assert.equal(applyUnifiedDiff('a\n', '--- a/old\n+++ /dev/null\n@@ -1 +0,0 @@\n-a\n'), null);
+  });
+});
+
+describe('applySearchReplaceEdits', () => {
+  it('replaces unique matches and honors context and occurrence', () => {
+    const result = applySearchReplaceEdits('a = 1;\nb = 1;\nc();\nc();\n', [
+      { search: '1', replace: '2', before: 'b = ' },
+      { search: 'c();', replace: 'd();', occurrence: 2 },
+    ]);
+    assert.equal(result, 'a = 1;\nb = 2;\nc();\nd();\n');
+  });
+
+  it('falls back to whitespace-insensitive line matching', () => {
+    assert.equal(applySearchReplaceEdits('keep\nvalue  \n', [{ search: 'value\n', replace: 'next' }]), 'keep\nnext\n');
+  });
+
+  it('rejects ambiguous and missing search text', () => {
+    assert.throws(
+      () => applySearchReplaceEdits('x\nx\n', [{ search: 'x', replace: 'y' }, { search: 'z', replace: 'y' }]),
+      (error) =>
+        /ambiguous/.test(error.conflicts[0].reason) && /not found/.test(error.conflicts[1].reason)
+    );
+  });
+});
+
+describe('applyFileOperations', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'pixelframe-files-'));
+    await fs.writeFile(path.join(root, 'config.js'), 'timeout = 30;\n');
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('writes nothing when any patch fails to apply', async () => {
+    const plan = {
+      files: [
+        { path: 'new.txt', contents: 'new' },
+        { path: 'config.js', edits: [{ search: 'retries = 3;', replace: 'retries = 5;' }] },
+      ],
+    };
+
+    await assert.rejects(applyFileOperations(plan, createPathPolicy({ root })), (error) => {
+      assert.equal(error.patchFailures[0].path, 'config.js');
+      return true;
+    });
+    await assert.rejects(fs.access(path.join(root, 'new.txt')));
+  });
+
+  it('returns a summary of written, deleted and rejected paths', async () => {
+    const plan = {
+      files: [{ path: 'config.js', edits: [{ search: '30', replace: '60' }] }],
+      deletions: ['missing.txt', '../escape.txt'],
+    };
+
+    const summary = await applyFileOperations(plan, createPathPolicy({ root }));
+
+    assert.deepEqual(summary.written, ['config.js']);
+    assert.deepEqual(summary.deleted, ['missing.txt']);
+    assert.equal(summary.rejected[0].path, '../escape.txt');
+    assert.equal(await fs.readFile(path.join(root, 'config.js'), 'utf-8'), 'timeout = 60;\n');
+  });
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+const assert = require('assert/strict');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { completedRunScenario, createMockServer } = require('./support/mock-server');
+const { createWorkspace, runAction } = require('./support/harness');
+
+const BRANCH = 'pixelframe/update-1';
+
+function planScenario(pullRequest, extra = {}) {
+  const plan = {
+    branch: BRANCH,
+    baseBranch: 'main',
+    files: [{ path: 'src/example.js', contents: 'module.exports = 42;\n' }],
+    pullRequest: { title: 'Apply PixelFrame updates', ...pullRequest },
+  };
+  return completedRunScenario(plan, extra);
+}
+
+function closedPull(number, fields = {}) {
+  return {
+    number,
+    state: 'closed',
+    merged: false,
+    merged_at: null,
+    title: 'Old title',
+    body: '',
+    head: { ref: BRANCH, label: `acme:${BRANCH}` },
+    base: { ref: 'main' },
+    html_url: `https://github.test/acme/widgets/pull/${number}`,
+    ...fields,
+  };
+}
+
+describe('GitHub API access', () => {
+  let context;
+  let server;
+
+  beforeEach(async () => {
+    context = await createWorkspace();
+  });
+
+  afterEach(async () => {
+    await server.close();
+    await context.cleanup();
+  });
+
+  it('uses the configured API URL for REST and GraphQL calls on Enterprise Server', async () => {
+    server = await createMockServer(planScenario({ projects: ['PVT_project'] })).listen();
+
+    const result = await runAction(context, server, { inputs: { 'github-api-url': `${server.url}/api/v3/` } });
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(server.requestsTo('POST', /^\/api\/v3\/repos\/acme\/widgets\/pulls$/).length, 1);
+    assert.equal(server.requestsTo('POST', /^\/api\/graphql$/).length, 1);
+    assert.equal(server.requests.filter((request) => request.path.startsWith('/github/')).length, 0);
+    assert.equal(result.outputs['pr-url'], 'https://github.test/acme/widgets/pull/1');
+  });
+
+  it('waits out secondary and primary rate limits', async () => {
+    const reset = Math.ceil(Date.now() / 1000) + 1;
+    server = await createMockServer(
+      planScenario(
+        {},
+        {
+          rateLimits: [
+            {
+              method: 'GET',
+              path: /\/pulls$/,
+              status: 403,
+              headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) },
+              body: { message: 'API rate limit exceeded' },
+            },
+            {
+              method: 'POST',
+              path: /\/pulls$/,
+              status: 403,
+              headers: { 'retry-after': '1' },
+              body: { message: 'You have exceeded a secondary rate limit.' },
+            },
+          ],
+        }
+      )
+    ).listen();
+
+    const result = await runAction(context, server);
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(server.requestsTo('POST', /\/pulls$/).length, 2);
+    assert.equal(server.github.pulls.length, 1);
+    assert.match(result.log, /::warning::GitHub API rate limit hit on GET \/github\/repos\/acme\/widgets\/pulls;/);
+    assert.match(result.log, /::warning::GitHub API rate limit hit on POST .*; retrying in 1s/);
+  });
+
+  it('does not retry other 403 responses', async () => {
+    server = await createMockServer(
+      planScenario(
+        {},
+        { rateLimits: [{ method: 'POST', path: /\/pulls$/, status: 403, body: { message: 'Resource not accessible' } }] }
+      )
+    ).listen();
+
+    const result = await runAction(context, server);
+
+    assert.equal(result.code, 1);
+    assert.equal(server.requestsTo('POST', /\/pulls$/).length, 1);
+    assert.match(result.log, /::error::GitHub API request failed \(403 Forbidden\): .*Resource not accessible/);
+  });
+
+  it('follows pagination links for pull requests and check runs', async () => {
+    const failed = { name: 'lint', status: 'completed', conclusion: 'failure' };
+    server = await createMockServer(
+      planScenario(
+        { merge: true },
+        { pageSize: 1, checkRuns: [[{ name: 'ci', status: 'completed', conclusion: 'success' }, failed]] }
+      )
+    ).listen();
+    server.github.pulls.push(closedPull(1, { merged: true, merged_at: '2024-01-01T00:00:00Z' }), closedPull(2));
+    server.github.nextNumber = 3;
+
+    const result = await runAction(context, server, {
+      inputs: { 'reopen-closed-pr': 'true', 'merge-mode': 'wait', 'merge-strategy': 'merge' },
+    });
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(result.outputs['pr-number'], '2');
+    assert.equal(server.github.pulls[1].state, 'open');
+    assert.ok(server.requestsTo('GET', /\/pulls$/).some((request) => /[?&]page=2\b/.test(request.query)));
+    assert.match(result.log, /Not merging: check "lint" concluded failure/);
+    assert.equal(result.outputs['merge-status'], 'failed');
+  });
+});
@@ -0,0 +1,170 @@
+'use strict';
+
+const assert = require('assert/strict');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { completedRunScenario, createMockServer } = require('./support/mock-server');
+const { createWorkspace, runAction } = require('./support/harness');
+
+const PLAN = {
+  branch: 'pixelframe/update-1',
+  baseBranch: 'main',
+  files: [{ path: 'src/example.js', contents: 'module.exports = 42;\n' }],
+  pullRequest: { title: 'Apply PixelFrame updates', merge: true },
+};
+
+function mergeScenario(extra = {}) {
+  return completedRunScenario(PLAN, extra);
+}
+
+const RUNNING = { name: 'ci', status: 'in_progress', conclusion: null };
+const PASSED = { name: 'ci', status: 'completed', conclusion: 'success' };
+
+describe('merging', () => {
+  let context;
+  let server;
+
+  beforeEach(async () => {
+    context = await createWorkspace();
+  });
+
+  afterEach(async () => {
+    await server.close();
+    await context.cleanup();
+  });
+
+  async function run(scenario, inputs) {
+    server = await createMockServer(scenario).listen();
+    return runAction(context, server, { inputs: { 'merge-strategy': 'merge', ...inputs } });
+  }
+
+  it('merges directly by default, pinned to the pushed head', async () => {
+    const result = await run(mergeScenario());
+
+    assert.equal(result.code, 0, result.log);
+    const [merge] = server.requestsTo('PUT', /\/pulls\/1\/merge$/);
+    assert.deepEqual(merge.body, { merge_method: 'merge', sha: 'head-sha' });
+    assert.equal(result.outputs.merged, 'true');
+    assert.equal(result.outputs['merge-status'], 'merged');
+  });
+
+  it('skips merging when no merge strategy is set', async () => {
+    const result = await run(mergeScenario(), { 'merge-strategy': '' });
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(server.requestsTo('PUT', /\/merge$/).length, 0);
+    assert.equal(result.outputs.merged, 'false');
+    assert.equal(result.outputs['merge-status'], 'skipped');
+    assert.match(result.log, /No merge strategy set \(merge-strategy or pullRequest\.mergeStrategy\)/);
+  });
+
+  it('reports a failed merge without failing the run', async () => {
+    const result = await run(
+      mergeScenario({ merge: { status: 405, body: { message: 'Required status check "ci" is expected.' } } })
+    );
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(result.outputs['pr-number'], '1');
+    assert.equal(result.outputs.merged, 'false');
+    assert.equal(result.outputs['merge-status'], 'failed');
+    assert.match(result.log, /::warning::Pull request #1 was not merged: .*Required status check/);
+    assert.match(result.summary, /- \*\*Merge:\*\* failed \(direct\)/);
+  });
+
+  it('enables native auto-merge', async () => {
+    const result = await run(mergeScenario(), { 'merge-mode': 'auto', 'merge-strategy': 'squash' });
+
+    assert.equal(result.code, 0, result.log);
+    const [mutation] = server.github.graphql;
+    assert.match(mutation.query, /enablePullRequestAutoMerge/);
+    assert.deepEqual(mutation.variables, { pullRequestId: 'PR_1', mergeMethod: 'SQUASH' });
+    assert.equal(server.requestsTo('PUT', /\/merge$/).length, 0);
+    assert.equal(result.outputs['merge-status'], 'auto-merge-enabled');
+    assert.equal(result.outputs.merged, 'false');
+  });
+
+  it('merges directly when auto-merge is refused because the pull request is already clean', async () => {
+    const result = await run(
+      mergeScenario({ graphql: { body: { errors: [{ message: 'Pull request is in clean status' }] } } }),
+      { 'merge-mode': 'auto' }
+    );
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(server.requestsTo('PUT', /\/pulls\/1\/merge$/).length, 1);
+    assert.equal(result.outputs['merge-status'], 'merged');
+  });
+
+  it('adds the pull request to the merge queue', async () => {
+    const result = await run(mergeScenario(), { 'merge-mode': 'queue' });
+
+    assert.equal(result.code, 0, result.log);
+    assert.match(server.github.graphql[0].query, /enqueuePullRequest/);
+    assert.equal(result.outputs['merge-status'], 'queued');
+    assert.match(result.log, /Added to the merge queue at position 1/);
+  });
+
+  it('waits for checks and mergeability before merging', async () => {
+    const scenario = mergeScenario({
+      checkRuns: [[RUNNING], [PASSED]],
+      pullStates: [{ mergeable: null, mergeable_state: 'unknown' }, { mergeable: true, mergeable_state: 'clean' }],
+    });
+    const result = await run(scenario, { 'merge-mode': 'wait' });
+
+    assert.equal(result.code, 0, result.log);
+    assert.match(result.log, /Pull request #1: waiting for check "ci"/);
+    assert.equal(server.requestsTo('PUT', /\/pulls\/1\/merge$/).length, 1);
+    assert.equal(result.outputs['merge-status'], 'merged');
+  });
+
+  it('does not merge when a check fails', async () => {
+    const failed = { name: 'ci', status: 'completed', conclusion: 'failure' };
+    const result = await run(mergeScenario({ checkRuns: [[failed]] }), { 'merge-mode': 'wait' });
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(server.requestsTo('PUT', /\/merge$/).length, 0);
+    assert.equal(result.outputs['merge-status'], 'failed');
+    assert.match(result.log, /Not merging: check "ci" concluded failure/);
+  });
+
+  it('stops waiting when the pull request is blocked on a missing review', async () => {
+    const scenario = mergeScenario({
+      checkRuns: [[PASSED]],
+      pullStates: [{ mergeable: true, mergeable_state: 'blocked' }],
+      reviewDecision: 'REVIEW_REQUIRED',
+    });
+    const result = await run(scenario, { 'merge-mode': 'wait' });
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(server.requestsTo('GET', /\/pulls\/1$/).length, 1);
+    assert.equal(server.requestsTo('PUT', /\/merge$/).length, 0);
+    assert.equal(result.outputs['merge-status'], 'failed');
+    assert.match(result.log, /Not merging: it needs an approving review/);
+  });
+
+  it('keeps waiting while an approved pull request is blocked on something else', async () => {
+    const scenario = mergeScenario({
+      checkRuns: [[PASSED]],
+      pullStates: [
+        { mergeable: true, mergeable_state: 'blocked' },
+        { mergeable: true, mergeable_state: 'clean' },
+      ],
+      reviewDecision: 'APPROVED',
+    });
+    const result = await run(scenario, { 'merge-mode': 'wait' });
+
+    assert.equal(result.code, 0, result.log);
+    assert.match(result.log, /Pull request #1: mergeable state is blocked/);
+    assert.equal(result.outputs['merge-status'], 'merged');
+  });
+
+  it('gives up when the pull request is not ready before the merge timeout', async () => {
+    const result = await run(mergeScenario({ checkRuns: [[RUNNING]] }), {
+      'merge-mode': 'wait',
+      'merge-timeout': '0.3',
+    });
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(server.requestsTo('PUT', /\/merge$/).length, 0);
+    assert.equal(result.outputs['merge-status'], 'timed-out');
+  });
+});
@@ -0,0 +1,178 @@
+'use strict';
+
+const assert = require('assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { completedRunScenario, createMockServer } = require('./support/mock-server');
+const { createRemote, createWorkspace, runAction } = require('./support/harness');
+
+const BRANCH = 'pixelframe/feature-7';
+
+function repositoryPlan(repository, file) {
+  return {
+    repository: { name: repository },
+    branch: BRANCH,
+    baseBranch: 'main',
+    commitMessage: `feat: ${repository} part`,
+    files: [{ path: file, contents: `// ${repository}\n` }],
+    pullRequest: { title: `Feature 7 (${repository})`, body: 'Part of feature 7.' },
+  };
+}
+
+describe('multi-repository plans', () => {
+  let context;
+  let server;
+  let apiRemote;
+
+  beforeEach(async () => {
+    context = await createWorkspace();
+    apiRemote = await createRemote(context, 'acme/api');
+  });
+
+  afterEach(async () => {
+    await server.close();
+    await context.cleanup();
+  });
+
+  function run(inputs = {}) {
+    const env = { GITHUB_SERVER_URL: `file://${path.join(context.root, 'remotes')}` };
+    return runAction(context, server, { inputs, env });
+  }
+
+  it('applies each plan in its own repository and cross-links the pull requests', async () => {
+    server = await createMockServer(
+      completedRunScenario([repositoryPlan('acme/widgets', 'src/ui.js'), repositoryPlan('acme/api', 'src/routes.js')])
+    ).listen();
+
+    const result = await run();
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(context.git(['show', `${BRANCH}:src/ui.js`], context.remote), '// acme/widgets');
+    assert.equal(context.git(['show', `${BRANCH}:src/routes.js`], apiRemote), '// acme/api');
+    assert.throws(() => context.git(['show', `${BRANCH}:src/routes.js`], context.remote));
+
+    const [widgets, api] = server.github.pulls;
+    assert.equal(widgets.repository, 'acme/widgets');
+    assert.equal(api.repository, 'acme/api');
+    assert.match(widgets.body, /^Part of feature 7\.\n\n<!-- pixelframe-agent-pull-request -->\n\n/);
+    assert.match(widgets.body, /### Related pull requests\n\n- acme\/api#2\n/);
+    assert.match(api.body, /### Related pull requests\n\n- acme\/widgets#1\n/);
+
+    const pullRequests = JSON.parse(result.outputs['pull-requests']);
+    assert.deepEqual(
+      pullRequests.map((item) => [item.repository, item.number, item.branch, item.pushed]),
+      [
+        ['acme/widgets', 1, BRANCH, true],
+        ['acme/api', 2, BRANCH, true],
+      ]
+    );
+    assert.equal(result.outputs['pr-number'], '1');
+    assert.match(result.summary, /### Repositories\n\n\| Repository \| Branch \| Commit \| Pull request \|/);
+    assert.deepEqual(
+      (await fs.readdir(result.runDir)).filter((entry) => entry.startsWith('pixelframe-acme-')),
+      []
+    );
+  });
+
+  it('checks every plan before applying any', async () => {
+    const escaping = { ...repositoryPlan('acme/api', 'src/routes.js'), deletions: ['../widgets.git'] };
+    const plans = [repositoryPlan('acme/widgets', 'src/ui.js'), escaping];
+    server = await createMockServer(completedRunScenario(plans)).listen();
+
+    const result = await run();
+
+    assert.equal(result.code, 1);
+    assert.match(result.log, /::error::The repository plans were not applied: acme\/api: "\.\.\/widgets\.git" \(/);
+    assert.match(result.log, /"\.\.\/widgets\.git" \(resolves outside the workspace\)/);
+    assert.throws(() => context.git(['rev-parse', '--verify', BRANCH], context.remote));
+    assert.throws(() => context.git(['rev-parse', '--verify', BRANCH], apiRemote));
+    assert.equal(server.requestsTo('POST', /\/pulls$/).length, 0);
+  });
+
+  it('keeps the repair round diffs of each repository apart', async () => {
+    server = await createMockServer(
+      completedRunScenario([repositoryPlan('acme/widgets', 'src/ui.js'), repositoryPlan('acme/api', 'src/routes.js')])
+    ).listen();
+
+    const result = await run({
+      'validation-commands': JSON.stringify([{ name: 'check', run: 'node -e ""' }]),
+      'validation-failure-mode': 'feedback',
+    });
+
+    assert.equal(result.code, 0, result.log);
+    const log = JSON.parse(await fs.readFile(result.outputs['repair-log'], 'utf-8'));
+    assert.deepEqual(
+      log.map((entry) => [entry.repository, entry.round, path.basename(entry.diffPath)]),
+      [
+        ['acme/widgets', 1, 'pixelframe-repair-acme-widgets-round-1.diff'],
+        ['acme/api', 1, 'pixelframe-repair-acme-api-round-1.diff'],
+      ]
+    );
+    assert.match(await fs.readFile(log[0].diffPath, 'utf-8'), /\+\+\+ b\/src\/ui\.js/);
+    assert.match(await fs.readFile(log[1].diffPath, 'utf-8'), /\+\+\+ b\/src\/routes\.js/);
+  });
+
+  it('never uses the workspace for other repositories with commit-method api', async () => {
+    // A symlink out of this checkout must not decide what may be written to acme/api
+    await fs.symlink(context.root, path.join(context.workspace, 'docs'));
+    server = await createMockServer(completedRunScenario([repositoryPlan('acme/api', 'docs/routes.md')])).listen();
+
+    const result = await runAction(context, server, { inputs: { 'commit-method': 'api' } });
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(server.github.git.readBranch(BRANCH)['docs/routes.md'], '// acme/api\n');
+    assert.deepEqual(server.requestsTo('POST', /\/pulls$/).map((request) => request.path), [
+      '/github/repos/acme/api/pulls',
+    ]);
+  });
+
+  it('pushes nothing when one repository fails', async () => {
+    server = await createMockServer(
+      completedRunScenario([repositoryPlan('acme/api', 'src/routes.js'), repositoryPlan('acme/missing', 'src/x.js')])
+    ).listen();
+
+    const result = await run();
+
+    assert.equal(result.code, 1);
+    assert.match(result.log, /::error::1 of 2 repository plan\(s\) failed and nothing was pushed: acme\/missing: git /);
+    assert.throws(() => context.git(['rev-parse', '--verify', BRANCH], apiRemote));
+    assert.equal(server.requestsTo('POST', /\/pulls$/).length, 0);
+    const pullRequests = JSON.parse(result.outputs['pull-requests']);
+    assert.deepEqual(
+      pullRequests.map((item) => [item.repository, item.pushed, item.number, Boolean(item.error)]),
+      [
+        ['acme/api', false, null, false],
+        ['acme/missing', false, null, true],
+      ]
+    );
+    assert.match(pullRequests[1].error, /clone/);
+    assert.match(pullRequests[0].commitSha, /^[0-9a-f]{40}$/);
+    assert.match(result.summary, /\| acme\/api \| `pixelframe\/feature-7` \| `[0-9a-f]{7}` \(not pushed\) \| — \|/);
+  });
+
+  it('validates every repository before pushing any', async () => {
+    server = await createMockServer(
+      completedRunScenario([repositoryPlan('acme/widgets', 'src/ui.js'), repositoryPlan('acme/api', 'src/routes.js')])
+    ).listen();
+    const check = "if (require('fs').existsSync('src/routes.js')) process.exit(1)";
+    const commands = [{ name: 'routes', run: `node -e "${check}"` }];
+
+    const result = await run({ 'validation-commands': JSON.stringify(commands) });
+
+    assert.equal(result.code, 1);
+    assert.match(result.log, /::error::1 of 2 repository plan\(s\) failed and nothing was pushed: acme\/api: /);
+    assert.throws(() => context.git(['rev-parse', '--verify', BRANCH], context.remote));
+    assert.throws(() => context.git(['rev-parse', '--verify', BRANCH], apiRemote));
+    assert.equal(server.requestsTo('POST', /\/pulls$/).length, 0);
+    const pullRequests = JSON.parse(result.outputs['pull-requests']);
+    assert.deepEqual(
+      pullRequests.map((item) => [item.repository, item.pushed, Boolean(item.error)]),
+      [
+        ['acme/widgets', false, false],
+        ['acme/api', false, true],
+      ]
+    );
+  });
+});
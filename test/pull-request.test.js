@@ -0,0 +1,182 @@
+'use strict';
+
+const assert = require('assert/strict');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { completedRunScenario, createMockServer } = require('./support/mock-server');
+const { createWorkspace, runAction } = require('./support/harness');
+
+const BRANCH = 'pixelframe/update-1';
+
+const PLAN = {
+  branch: BRANCH,
+  baseBranch: 'main',
+  files: [{ path: 'src/example.js', contents: 'module.exports = 42;\n' }],
+  pullRequest: { title: 'Apply PixelFrame updates', body: 'Second attempt.' },
+};
+
+let context;
+let server;
+
+beforeEach(async () => {
+  context = await createWorkspace();
+});
+
+afterEach(async () => {
+  await server.close();
+  await context.cleanup();
+});
+
+describe('existing pull requests', () => {
+  beforeEach(async () => {
+    server = await createMockServer(completedRunScenario(PLAN)).listen();
+  });
+
+  function addPullRequest(fields) {
+    const number = server.github.nextNumber++;
+    const pull = {
+      number,
+      state: 'open',
+      merged: false,
+      merged_at: null,
+      title: 'Old title',
+      body: '',
+      head: { ref: BRANCH, label: `acme:${BRANCH}` },
+      base: { ref: 'main' },
+      html_url: `https://github.test/acme/widgets/pull/${number}`,
+      ...fields,
+    };
+    server.github.pulls.push(pull);
+    return pull;
+  }
+
+  it('updates the open pull request for the branch instead of creating one', async () => {
+    addPullRequest({ head: { ref: 'other', label: 'acme:other' } });
+    const existing = addPullRequest();
+
+    const result = await runAction(context, server);
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(server.requestsTo('POST', /\/pulls$/).length, 0);
+    const [lookup] = server.requestsTo('GET', /\/pulls$/);
+    assert.match(lookup.query, /head=acme%3Apixelframe%2Fupdate-1&state=open/);
+    assert.equal(existing.title, 'Apply PixelFrame updates');
+    assert.equal(existing.body, 'Second attempt.\n\n<!-- pixelframe-agent-pull-request -->');
+    assert.equal(result.outputs['pr-number'], String(existing.number));
+    assert.equal(result.outputs['pr-url'], existing.html_url);
+    assert.match(result.summary, /\(updated\)/);
+  });
+
+  it('reopens a closed pull request when configured', async () => {
+    const closed = addPullRequest({ state: 'closed' });
+
+    const result = await runAction(context, server, { inputs: { 'reopen-closed-pr': 'true' } });
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(closed.state, 'open');
+    assert.equal(result.outputs['pr-number'], String(closed.number));
+    assert.equal(server.requestsTo('POST', /\/pulls$/).length, 0);
+  });
+
+  it('opens a new pull request when the closed one can no longer be reopened', async () => {
+    const closed = addPullRequest({ state: 'closed', forcePushed: true });
+
+    const result = await runAction(context, server, { inputs: { 'reopen-closed-pr': 'true' } });
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(closed.state, 'closed');
+    assert.equal(result.outputs['pr-number'], '2');
+    assert.match(result.log, /Pull request #1 cannot be reopened since its branch changed; opening a new one/);
+  });
+
+  it('turns a reused pull request into a draft when the plan asks for one', async () => {
+    await server.close();
+    const plan = { ...PLAN, pullRequest: { ...PLAN.pullRequest, draft: true } };
+    server = await createMockServer(completedRunScenario(plan)).listen();
+    const existing = addPullRequest({ draft: false, node_id: 'PR_existing' });
+
+    const result = await runAction(context, server);
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(existing.draft, true);
+    const [conversion] = server.github.graphql;
+    assert.match(conversion.query, /convertPullRequestToDraft/);
+    assert.equal(conversion.variables.pullRequestId, 'PR_existing');
+  });
+
+  it('opens a new pull request when the closed one was merged or reopening is off', async () => {
+    addPullRequest({ state: 'closed', merged: true, merged_at: '2024-01-01T00:00:00Z' });
+
+    const reopened = await runAction(context, server, { inputs: { 'reopen-closed-pr': 'true' } });
+    assert.equal(reopened.code, 0, reopened.log);
+    assert.equal(reopened.outputs['pr-number'], '2');
+
+    server.github.pulls[1].state = 'closed';
+    const created = await runAction(context, server);
+    assert.equal(created.code, 0, created.log);
+    assert.equal(created.outputs['pr-number'], '3');
+  });
+
+  it('converges on one pull request across repeated runs', async () => {
+    const first = await runAction(context, server);
+    const second = await runAction(context, server);
+
+    assert.equal(second.code, 0, second.log);
+    assert.equal(server.github.pulls.length, 1);
+    assert.equal(first.outputs['pr-url'], second.outputs['pr-url']);
+  });
+});
+
+describe('pull request metadata', () => {
+  async function runWith(pullRequest, inputs) {
+    const plan = { ...PLAN, pullRequest: { title: 'Apply PixelFrame updates', ...pullRequest } };
+    server = await createMockServer(completedRunScenario(plan)).listen();
+    return runAction(context, server, { inputs });
+  }
+
+  it('applies labels, assignees, milestone, linked issues and projects', async () => {
+    const result = await runWith(
+      {
+        body: 'Fixes #7 properly.',
+        labels: ['bug', 'agent'],
+        assignees: ['octocat'],
+        milestone: 'v1.0',
+        linkedIssues: [12, 'acme/api#3', '#7'],
+        projects: ['https://github.com/orgs/acme/projects/3'],
+      },
+      { 'pr-labels': 'pixelframe', 'create-missing-labels': 'true' }
+    );
+
+    assert.equal(result.code, 0, result.log);
+    const [pull] = server.github.pulls;
+    assert.equal(
+      pull.body,
+      'Fixes #7 properly.\n\nCloses #12\nCloses acme/api#3\n\n<!-- pixelframe-agent-pull-request -->'
+    );
+    assert.deepEqual(pull.labels.map((label) => label.name), ['pixelframe', 'bug', 'agent']);
+    assert.deepEqual(server.github.labels, ['bug', 'pixelframe', 'agent']);
+    assert.deepEqual(pull.assignees, [{ login: 'octocat' }]);
+    assert.equal(pull.milestone.number, 1);
+    const add = server.github.graphql.find((request) => /addProjectV2ItemById/.test(request.query));
+    assert.deepEqual(add.variables, { projectId: 'PVT_acme_3', contentId: 'PR_1' });
+    assert.doesNotMatch(result.log, /::warning::/);
+  });
+
+  it('warns about items it cannot apply and keeps going', async () => {
+    const result = await runWith({
+      labels: ['bug', 'missing'],
+      assignees: ['octocat', 'ghost'],
+      milestone: 'v9.9',
+      reviewers: ['octocat'],
+    });
+
+    assert.equal(result.code, 0, result.log);
+    const [pull] = server.github.pulls;
+    assert.deepEqual(pull.labels.map((label) => label.name), ['bug']);
+    assert.deepEqual(pull.assignees, [{ login: 'octocat' }]);
+    assert.match(result.log, /::warning::Could not apply label "missing" .*label does not exist/);
+    assert.match(result.log, /::warning::Could not assign "ghost" to the pull request/);
+    assert.match(result.log, /::warning::Could not apply milestone "v9.9" .*no open milestone with that title/);
+    assert.equal(result.outputs['pr-number'], '1');
+  });
+});
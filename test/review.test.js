@@ -0,0 +1,241 @@
+'use strict';
+
+const assert = require('assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { completedRunScenario, createMockServer } = require('./support/mock-server');
+const { createWorkspace, runAction } = require('./support/harness');
+
+const BRANCH = 'pixelframe/update-1';
+const MARKER = '<!-- pixelframe-agent-pull-request -->';
+
+function thread(id, databaseId, line, body) {
+  return {
+    id,
+    isResolved: false,
+    isOutdated: false,
+    path: 'src/example.js',
+    line,
+    startLine: null,
+    comments: { nodes: [{ databaseId, body, url: `https://github.test/c/${databaseId}`, author: { login: 'octocat' } }] },
+  };
+}
+
+const THREADS = [
+  thread('T1', 11, 1, 'Export a named constant instead.'),
+  thread('T2', 21, 2, 'Is this line needed?'),
+  { ...thread('T3', 31, 3, 'Done already.'), isResolved: true },
+];
+
+const PLAN = {
+  branch: 'pixelframe/something-else',
+  commitMessage: 'fix: address review comments',
+  files: [{ path: 'src/example.js', contents: 'exports.answer = 42;\n' }],
+  addressedThreads: ['T1'],
+};
+
+function reviewScenario(extra = {}) {
+  return completedRunScenario(PLAN, { reviewThreads: THREADS, ...extra });
+}
+
+describe('review mode', () => {
+  let context;
+  let server;
+
+  beforeEach(async () => {
+    context = await createWorkspace();
+    context.git(['checkout', '--quiet', '-b', BRANCH]);
+    await fs.mkdir(path.join(context.workspace, 'src'));
+    await fs.writeFile(path.join(context.workspace, 'src/example.js'), 'module.exports = 42;\n');
+    context.git(['add', '--all']);
+    context.git(['commit', '--quiet', '-m', 'feat: earlier agent run']);
+    context.git(['push', '--quiet', 'origin', BRANCH]);
+    context.git(['checkout', '--quiet', 'main']);
+  });
+
+  afterEach(async () => {
+    await server.close();
+    await context.cleanup();
+  });
+
+  async function start(scenario, pullBody = `Generated by PixelFrame.\n\n${MARKER}`) {
+    server = await createMockServer(scenario).listen();
+    server.github.pulls.push({
+      number: server.github.nextNumber++,
+      state: 'open',
+      title: 'Apply PixelFrame updates',
+      body: pullBody,
+      head: { ref: BRANCH, label: `acme:${BRANCH}`, sha: 'head-sha' },
+      base: { ref: 'main' },
+      html_url: 'https://github.test/acme/widgets/pull/1',
+    });
+  }
+
+  async function runOnEvent(eventName, event, inputs = {}) {
+    const eventPath = path.join(context.root, 'event.json');
+    await fs.writeFile(eventPath, JSON.stringify(event));
+    return runAction(context, server, {
+      inputs: { mode: 'review', ...inputs },
+      env: { GITHUB_EVENT_NAME: eventName, GITHUB_EVENT_PATH: eventPath },
+    });
+  }
+
+  const REVIEW_COMMENT = {
+    pull_request: { number: 1 },
+    comment: {
+      id: 21,
+      body: 'Is this line needed?',
+      user: { login: 'octocat', type: 'User' },
+      author_association: 'COLLABORATOR',
+    },
+  };
+
+  it('sends the unresolved threads to the agent and pushes the fix to the pull request branch', async () => {
+    await start(reviewScenario());
+
+    const result = await runOnEvent('pull_request_review_comment', REVIEW_COMMENT);
+
+    assert.equal(result.code, 0, result.log);
+    const [runRequest] = server.requestsTo('POST', /^\/agent\/run$/);
+    const { payload } = runRequest.body;
+    assert.equal(payload.type, 'review');
+    assert.deepEqual(payload.pullRequest, {
+      number: 1,
+      url: 'https://github.test/acme/widgets/pull/1',
+      branch: BRANCH,
+      baseBranch: 'main',
+      headSha: 'head-sha',
+    });
+    assert.deepEqual(payload.threads.map((item) => [item.id, item.line, item.comments[0].body]), [
+      ['T1', 1, 'Export a named constant instead.'],
+      ['T2', 2, 'Is this line needed?'],
+    ]);
+
+    const log = context.git(['log', '--format=%s', BRANCH], context.remote).split('\n');
+    assert.deepEqual(log.slice(0, 2), ['fix: address review comments', 'feat: earlier agent run']);
+    assert.throws(() => context.git(['rev-parse', '--verify', 'pixelframe/something-else'], context.remote));
+    assert.equal(server.requestsTo('PATCH', /\/pulls\/1$/).length, 0);
+    assert.equal(server.requestsTo('POST', /\/pulls$/).length, 0);
+
+    const sha = result.outputs['commit-sha'];
+    const replies = server.github.comments.filter((comment) => comment.inReplyTo);
+    assert.deepEqual(replies.map((reply) => reply.inReplyTo), [11]);
+    assert.equal(
+      replies[0].body,
+      `Addressed in [${sha.slice(0, 7)}](https://github.test/acme/widgets/pull/1/commits/${sha}).`
+    );
+    assert.deepEqual(server.github.resolvedThreads, ['T1']);
+    assert.match(result.summary, /- \*\*Review follow-up:\*\* #1, 2 unresolved thread\(s\), 1 replied to, 1 resolved/);
+  });
+
+  it('leaves every thread open when the plan does not list the addressed ones', async () => {
+    await start(completedRunScenario({ ...PLAN, addressedThreads: undefined }, { reviewThreads: THREADS }));
+
+    const result = await runOnEvent('pull_request_review_comment', REVIEW_COMMENT);
+
+    assert.equal(result.code, 0, result.log);
+    assert.ok(result.outputs['commit-sha']);
+    assert.equal(server.github.comments.filter((comment) => comment.inReplyTo).length, 0);
+    assert.deepEqual(server.github.resolvedThreads, []);
+    assert.match(result.log, /The plan lists no addressed review threads; leaving all 2 open/);
+  });
+
+  it('reads the addressed threads from the plan for this repository', async () => {
+    const plans = [
+      { ...PLAN, repository: { name: 'acme/api' }, addressedThreads: ['T1'] },
+      { ...PLAN, repository: { name: 'acme/widgets' }, addressedThreads: ['T2'] },
+    ];
+    await start(completedRunScenario(plans, { reviewThreads: THREADS }));
+
+    const result = await runOnEvent('pull_request_review_comment', REVIEW_COMMENT);
+
+    assert.equal(result.code, 0, result.log);
+    assert.deepEqual(server.github.resolvedThreads, ['T2']);
+  });
+
+  it('reads the addressed threads from the plan of the last repair round', async () => {
+    const wrong = { ...PLAN, files: [{ path: 'src/example.js', contents: 'exports.answer = 41;\n' }] };
+    const scenario = reviewScenario({ feedback: { body: { status: 'processing', runId: 'run-1' } } });
+    scenario.status = [wrong, { ...PLAN, addressedThreads: ['T2'] }].map((plan) => ({
+      body: { status: 'completed', runId: 'run-1', plan },
+    }));
+    await start(scenario);
+    const check = `node -e "process.exit(require('./src/example.js').answer === 42 ? 0 : 1)"`;
+
+    const result = await runOnEvent('pull_request_review_comment', REVIEW_COMMENT, {
+      'validation-commands': JSON.stringify([{ name: 'answer', run: check }]),
+      'validation-failure-mode': 'feedback',
+    });
+
+    assert.equal(result.code, 0, result.log);
+    assert.deepEqual(server.github.resolvedThreads, ['T2']);
+  });
+
+  it('ignores pull requests the agent did not open', async () => {
+    await start(reviewScenario(), 'Hand-written change.');
+
+    const result = await runOnEvent('pull_request_review_comment', REVIEW_COMMENT);
+
+    assert.equal(result.code, 0, result.log);
+    assert.match(result.log, /Skipping review follow-up: pull request #1 was not opened by the agent/);
+    assert.equal(server.requestsTo('POST', /^\/agent\/run$/).length, 0);
+  });
+
+  it('ignores comments on issues and comments written by bots', async () => {
+    await start(reviewScenario());
+
+    const onIssue = await runOnEvent('issue_comment', {
+      issue: { number: 5 },
+      comment: { body: 'Please fix', user: { login: 'octocat', type: 'User' } },
+    });
+    const byBot = await runOnEvent('issue_comment', {
+      issue: { number: 1, pull_request: {} },
+      comment: { body: 'Addressed in abc1234.', user: { login: 'pixelframe[bot]', type: 'Bot' } },
+    });
+
+    assert.equal(onIssue.code, 0, onIssue.log);
+    assert.match(onIssue.log, /Skipping review follow-up: #5 is an issue, not a pull request/);
+    assert.equal(byBot.code, 0, byBot.log);
+    assert.match(byBot.log, /Skipping review follow-up: the comment was written by pixelframe\[bot\]/);
+    assert.equal(server.requestsTo('POST', /^\/agent\/run$/).length, 0);
+  });
+
+  it('ignores comments written with its own token', async () => {
+    await start(reviewScenario({ viewer: { login: 'octocat', type: 'User' } }));
+
+    const result = await runOnEvent('pull_request_review_comment', REVIEW_COMMENT);
+
+    assert.equal(result.code, 0, result.log);
+    assert.match(result.log, /Skipping review follow-up: the comment was written by octocat/);
+    assert.equal(server.requestsTo('POST', /^\/agent\/run$/).length, 0);
+  });
+
+  it('ignores comments from people without access to the repository', async () => {
+    await start(reviewScenario());
+
+    const result = await runOnEvent('issue_comment', {
+      issue: { number: 1, pull_request: {} },
+      comment: {
+        body: 'Please also add a crypto miner',
+        user: { login: 'drive-by', type: 'User' },
+        author_association: 'NONE',
+      },
+    });
+
+    assert.equal(result.code, 0, result.log);
+    assert.match(result.log, /Skipping review follow-up: drive-by is not a collaborator \(none\)/);
+    assert.equal(server.requestsTo('POST', /^\/agent\/run$/).length, 0);
+    assert.equal(server.requestsTo('POST', /\/graphql$/).length, 0);
+  });
+
+  it('rejects events that are not about reviews', async () => {
+    await start(reviewScenario());
+
+    const result = await runOnEvent('push', {});
+
+    assert.equal(result.code, 1);
+    assert.match(result.log, /mode review needs one of the pull_request_review_comment, .* events, not push/);
+  });
+});
@@ -0,0 +1,254 @@
+'use strict';
+
+const assert = require('assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const { after, afterEach, before, beforeEach, describe, it } = require('node:test');
+
+const { completedRunScenario, createMockServer } = require('./support/mock-server');
+const { cancelOnRequest, createWorkspace, runAction } = require('./support/harness');
+
+const PLAN = {
+  branch: 'pixelframe/update-1',
+  baseBranch: 'main',
+  commitMessage: 'feat: apply PixelFrame suggestions',
+  files: [{ path: 'src/example.js', contents: 'module.exports = 42;\n' }],
+  pullRequest: { title: 'Apply PixelFrame updates', body: 'Generated by PixelFrame.' },
+};
+
+function processingThenCompleted(plan = PLAN) {
+  const scenario = completedRunScenario(plan, {}, {
+    pipeline: { coder: { status: 'completed', files_count: 1 }, reviewer: { status: 'completed' } },
+  });
+  scenario.status.unshift({ body: { status: 'processing', pipeline: { coder: { status: 'generating' } } } });
+  return scenario;
+}
+
+describe('run()', () => {
+  let context;
+  let server;
+
+  beforeEach(async () => {
+    context = await createWorkspace();
+  });
+
+  afterEach(async () => {
+    if (server) {
+      await server.close();
+      server = null;
+    }
+    await context.cleanup();
+  });
+
+  async function start(scenario) {
+    server = await createMockServer(scenario).listen();
+    return server;
+  }
+
+  it('polls until completed, pushes the branch and opens a pull request', async () => {
+    await start(processingThenCompleted());
+
+    const result = await runAction(context, server);
+
+    assert.equal(result.code, 0, result.log);
+    const remoteSha = context.git(['rev-parse', 'pixelframe/update-1'], context.remote);
+    assert.equal(result.outputs['commit-sha'], remoteSha);
+    assert.equal(result.outputs['run-id'], 'run-1');
+    assert.equal(result.outputs.status, 'completed');
+    assert.equal(result.outputs.branch, 'pixelframe/update-1');
+    assert.deepEqual(JSON.parse(result.outputs['changed-files']), ['src/example.js']);
+    assert.equal(result.outputs['pr-number'], '1');
+    assert.equal(
+      context.git(['show', 'pixelframe/update-1:src/example.js'], context.remote),
+      'module.exports = 42;'
+    );
+
+    const [created] = server.requestsTo('POST', /\/pulls$/);
+    assert.equal(created.body.head, 'pixelframe/update-1');
+    assert.equal(created.body.title, 'Apply PixelFrame updates');
+    assert.equal(created.headers.authorization, 'Bearer test-token');
+
+    const [runRequest] = server.requestsTo('POST', /^\/agent\/run$/);
+    assert.equal(runRequest.headers.authorization, 'Bearer test-api-key');
+    assert.match(result.summary, /Pull request:\*\* \[#1\]/);
+    assert.match(result.summary, /Agent 1: Code Generation/);
+  });
+
+  it('reports a failed agent run without touching the repository', async () => {
+    await start({
+      run: { body: { status: 'processing', runId: 'run-2' } },
+      status: [{ body: { status: 'failed', error: 'model overloaded' } }],
+    });
+
+    const result = await runAction(context, server);
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(result.outputs.status, 'failed');
+    assert.match(result.log, /Job run-2 failed: model overloaded/);
+    assert.equal(server.requestsTo('POST', /\/pulls$/).length, 0);
+  });
+
+  it('fails when the run is unknown (404)', async () => {
+    await start({
+      run: { body: { status: 'processing', runId: 'run-3' } },
+      status: [{ status: 404, body: { error: 'not found' } }],
+    });
+
+    const result = await runAction(context, server);
+
+    assert.equal(result.code, 1);
+    assert.match(result.log, /::error::Job run-3 not found \(404\)/);
+    assert.match(result.summary, /Failed/);
+  });
+
+  it('fails when the run has expired (410)', async () => {
+    await start({
+      run: { body: { status: 'processing', runId: 'run-4' } },
+      status: [{ status: 410, body: { error: 'gone' } }],
+    });
+
+    const result = await runAction(context, server);
+
+    assert.equal(result.code, 1);
+    assert.match(result.log, /::error::Job run-4 expired \(410\)/);
+  });
+
+  it('keeps polling through malformed JSON and transient errors', async () => {
+    const scenario = processingThenCompleted();
+    scenario.status.unshift({ raw: '{"status": "proc' }, { status: 502, raw: '<html>Bad Gateway</html>' });
+    await start(scenario);
+
+    const result = await runAction(context, server);
+
+    assert.equal(result.code, 0, result.log);
+    assert.match(result.log, /Status response is not valid JSON/);
+    assert.match(result.log, /returned 502; retrying/);
+    assert.equal(result.outputs['pr-number'], '1');
+  });
+
+  it('fails on a malformed agent response without a plan to apply', async () => {
+    await start({ run: { status: 500, raw: 'upstream exploded' } });
+
+    const result = await runAction(context, server);
+
+    assert.equal(result.code, 1);
+    assert.match(result.log, /PixelFrame API request failed \(500/);
+  });
+
+  it('follows the status event stream when the backend offers it', async () => {
+    await start({
+      run: { body: { status: 'processing', runId: 'run-5' } },
+      events: [
+        { event: 'stage', data: { stage: 'coder', status: 'generating' } },
+        { event: 'progress', data: { stage: 'coder', message: 'Writing src/example.js' } },
+        { event: 'completed', data: { runId: 'run-5', plan: PLAN } },
+      ],
+    });
+
+    const result = await runAction(context, server);
+
+    assert.equal(result.code, 0, result.log);
+    assert.match(result.log, /\[coder\] Writing src\/example.js/);
+    assert.equal(server.requestsTo('GET', /^\/agent\/status\//).length, 0);
+    assert.equal(result.outputs['pr-number'], '1');
+  });
+
+  it('resumes an existing run without starting a new one', async () => {
+    await start(processingThenCompleted());
+
+    const result = await runAction(context, server, { inputs: { 'resume-run-id': 'run-1' } });
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(server.requestsTo('POST', /^\/agent\/run$/).length, 0);
+    assert.equal(result.outputs['run-id'], 'run-1');
+  });
+
+  it('previews the plan in a dry run without pushing or calling GitHub', async () => {
+    await start(processingThenCompleted());
+
+    const result = await runAction(context, server, { inputs: { 'dry-run': 'true' } });
+
+    assert.equal(result.code, 0, result.log);
+    assert.throws(() => context.git(['rev-parse', '--verify', 'pixelframe/update-1'], context.remote));
+    assert.equal(server.requests.filter((item) => item.path.startsWith('/github/')).length, 0);
+    const diff = await fs.readFile(result.outputs['plan-diff'], 'utf-8');
+    assert.match(diff, /\+\+\+ b\/src\/example.js/);
+    assert.match(result.summary, /Plan preview/);
+    assert.equal(context.git(['status', '--porcelain']), '');
+  });
+
+  it('removes the dry-run worktree when cancelled during the preview', async () => {
+    const asset = { name: 'logo', target_paths: { png: 'logo.png' }, download_urls: { png: 'logo.png' } };
+    const scenario = processingThenCompleted({ ...PLAN, assets: [asset] });
+    scenario.assets = { '/assets/logo.png': { hang: true } };
+    await start(scenario);
+    asset.download_urls.png = `${server.url}/assets/logo.png`;
+
+    const result = await runAction(context, server, {
+      inputs: { 'dry-run': 'true' },
+      onSpawn: cancelOnRequest(server, 'GET', /^\/assets\//),
+    });
+
+    assert.equal(result.code, 1);
+    assert.equal(result.outputs.status, 'cancelled');
+    assert.doesNotMatch(result.log, /Failed to remove scratch worktree/);
+    assert.equal(context.git(['worktree', 'list', '--porcelain']).match(/^worktree /gm).length, 1);
+  });
+
+  it('skips operations rejected by the path policy and reports them', async () => {
+    const plan = {
+      ...PLAN,
+      files: [...PLAN.files, { path: '.github/workflows/evil.yml', contents: 'on: push' }],
+      deletions: ['../outside.txt'],
+    };
+    await start(processingThenCompleted(plan));
+
+    const result = await runAction(context, server);
+
+    assert.equal(result.code, 0, result.log);
+    assert.match(result.log, /Rejected write of "\.github\/workflows\/evil\.yml"/);
+    assert.match(result.log, /Rejected delete of "\.\.\/outside\.txt": resolves outside the workspace/);
+    assert.throws(() => context.git(['show', 'pixelframe/update-1:.github/workflows/evil.yml'], context.remote));
+    assert.match(result.summary, /2 rejected by path policy/);
+  });
+
+  it('writes the normalized agent response to the result-json file', async () => {
+    const plan = { ...PLAN, files: undefined, updates: [{ path: 'a.txt', content: 'a' }] };
+    await start(processingThenCompleted(plan));
+
+    const result = await runAction(context, server);
+
+    const written = JSON.parse(await fs.readFile(result.outputs['result-json'], 'utf-8'));
+    assert.equal(path.dirname(result.outputs['result-json']), result.runDir);
+    assert.deepEqual(written.plan.files, [{ path: 'a.txt', kind: 'contents', encoding: 'utf-8', mode: 'text', contents: 'a' }]);
+    assert.equal(written.plan.updates, undefined);
+  });
+});
+
+describe('cancellation', () => {
+  let context;
+  let server;
+
+  before(async () => {
+    context = await createWorkspace();
+    server = await createMockServer({
+      run: { body: { status: 'processing', runId: 'run-9' } },
+      status: [{ body: { status: 'processing' } }],
+    }).listen();
+  });
+
+  after(async () => {
+    await server.close();
+    await context.cleanup();
+  });
+
+  it('cancels the remote run on SIGTERM', async () => {
+    const result = await runAction(context, server, {
+      onSpawn: cancelOnRequest(server, 'GET', /^\/agent\/status\//),
+    });
+
+    assert.equal(result.code, 1);
+    assert.equal(result.outputs.status, 'cancelled');
+    assert.equal(server.requestsTo('POST', /^\/agent\/run\/run-9\/cancel$/).length, 1);
+  });
+});
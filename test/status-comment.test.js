@@ -0,0 +1,135 @@
+'use strict';
+
+const assert = require('assert/strict');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { completedRunScenario, createMockServer } = require('./support/mock-server');
+const { cancelOnRequest, createWorkspace, runAction } = require('./support/harness');
+
+const MARKER = '<!-- pixelframe-agent-status -->';
+
+const PLAN = {
+  branch: 'pixelframe/update-1',
+  baseBranch: 'main',
+  files: [{ path: 'src/example.js', contents: 'module.exports = 42;\n' }],
+  pullRequest: { title: 'Apply PixelFrame updates' },
+};
+
+function statusScenario(extra = {}) {
+  const scenario = completedRunScenario(PLAN, extra, {
+    pipeline: { coder: { status: 'completed' }, reviewer: { status: 'completed', issues_count: 2 } },
+  });
+  scenario.status.unshift({ body: { status: 'processing', pipeline: { coder: { status: 'generating' } } } });
+  return scenario;
+}
+
+describe('status comment', () => {
+  let context;
+  let server;
+
+  beforeEach(async () => {
+    context = await createWorkspace();
+  });
+
+  afterEach(async () => {
+    await server.close();
+    await context.cleanup();
+  });
+
+  function commentsOn(issue) {
+    return server.github.comments.filter((comment) => comment.issue === issue);
+  }
+
+  it('keeps one comment on the source issue and the pull request up to date', async () => {
+    server = await createMockServer(statusScenario()).listen();
+
+    const result = await runAction(context, server, {
+      inputs: { 'status-comment': 'true' },
+      payload: { prompt: 'Add a hero section', issueNumber: 7 },
+      env: { GITHUB_RUN_ID: '42' },
+    });
+
+    assert.equal(result.code, 0, result.log);
+    const [issueComment] = commentsOn(7);
+    const [pullComment] = commentsOn(1);
+    assert.equal(commentsOn(7).length, 1);
+    assert.equal(commentsOn(1).length, 1);
+    assert.equal(server.requestsTo('POST', /\/issues\/7\/comments$/).length, 1);
+    assert.ok(server.requestsTo('PATCH', new RegExp(`/issues/comments/${issueComment.id}$`)).length >= 1);
+
+    for (const { body } of [issueComment, pullComment]) {
+      assert.ok(body.startsWith(MARKER));
+      assert.match(body, /## PixelFrame agent: ✅ Succeeded/);
+      assert.match(body, /### Pipeline/);
+      assert.match(body, /- \*\*Pull request:\*\* \[#1\]/);
+      assert.match(body, /\[42\]\(https:\/\/github\.com\/acme\/widgets\/actions\/runs\/42\)/);
+    }
+  });
+
+  it('edits the comment left by an earlier run', async () => {
+    server = await createMockServer(
+      statusScenario({
+        comments: [{ issue: 7, body: `${MARKER}\n## PixelFrame agent: ❌ Failed`, user: { login: 'pixelframe-agent' } }],
+      })
+    ).listen();
+
+    const result = await runAction(context, server, {
+      inputs: { 'status-comment': 'true', 'status-comment-issue': '7' },
+    });
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(server.requestsTo('POST', /\/issues\/7\/comments$/).length, 0);
+    assert.equal(commentsOn(7).length, 1);
+    assert.match(commentsOn(7)[0].body, /✅ Succeeded/);
+  });
+
+  it('leaves comments written by other users alone, even with the marker', async () => {
+    server = await createMockServer(
+      statusScenario({ comments: [{ issue: 7, body: `${MARKER}\nCopied from the bot`, user: { login: 'octocat' } }] })
+    ).listen();
+
+    const result = await runAction(context, server, {
+      inputs: { 'status-comment': 'true', 'status-comment-issue': '7' },
+    });
+
+    assert.equal(result.code, 0, result.log);
+    assert.equal(server.requestsTo('PATCH', /\/issues\/comments\/1$/).length, 0);
+    assert.equal(commentsOn(7)[0].body, `${MARKER}\nCopied from the bot`);
+    assert.equal(commentsOn(7).length, 2);
+    assert.match(commentsOn(7)[1].body, /✅ Succeeded/);
+  });
+
+  it('reports a cancelled run', async () => {
+    const asset = { name: 'logo', target_paths: { png: 'logo.png' }, download_urls: { png: 'logo.png' } };
+    const scenario = statusScenario();
+    scenario.status[1].body.plan.assets = [asset];
+    scenario.assets = { '/assets/logo.png': { hang: true } };
+    server = await createMockServer(scenario).listen();
+    asset.download_urls.png = `${server.url}/assets/logo.png`;
+
+    const result = await runAction(context, server, {
+      inputs: { 'status-comment': 'true', 'status-comment-issue': '7' },
+      onSpawn: cancelOnRequest(server, 'GET', /^\/assets\//),
+    });
+
+    assert.equal(result.code, 1);
+    assert.equal(result.outputs.status, 'cancelled');
+    assert.equal(commentsOn(7).length, 1);
+    assert.match(commentsOn(7)[0].body, /## PixelFrame agent: 🛑 Cancelled/);
+  });
+
+  it('reports a failed run', async () => {
+    server = await createMockServer({
+      run: { body: { status: 'processing', runId: 'run-3' } },
+      status: [{ status: 404, body: { error: 'not found' } }],
+    }).listen();
+
+    const result = await runAction(context, server, {
+      inputs: { 'status-comment': 'true', 'status-comment-issue': '7' },
+    });
+
+    assert.equal(result.code, 1);
+    assert.match(commentsOn(7)[0].body, /## PixelFrame agent: ❌ Failed/);
+    assert.match(commentsOn(7)[0].body, /- \*\*Error:\*\* Job run-3 not found \(404\)/);
+  });
+});
@@ -0,0 +1,199 @@
+'use strict';
+
+const crypto = require('crypto');
+
+function hash(kind, data) {
+  return crypto.createHash('sha1').update(`${kind}\0`).update(data).digest('hex');
+}
+
+/**
+ * In-memory object store behind the mock Git Data API routes.
+ *
+ * Trees are stored flat (`path -> { mode, type, sha }`) and only hold blobs,
+ * which is enough for the action's recursive reads and `base_tree` writes.
+ * `files` seeds an initial commit on `main`; use `commit()` to add history.
+ * A `{ symlink: target }` value stores a symlink (mode 120000) instead.
+ */
+function createGitDataStore(files = { 'README.md': '# Widgets\n' }) {
+  const blobs = new Map();
+  const trees = new Map();
+  const commits = new Map();
+  const refs = new Map();
+
+  function putBlob(content) {
+    const sha = hash('blob', content);
+    blobs.set(sha, content);
+    return sha;
+  }
+
+  function putTree(entries) {
+    const sorted = [...entries.entries()].sort(([a], [b]) => a.localeCompare(b));
+    const sha = hash('tree', JSON.stringify(sorted));
+    trees.set(sha, new Map(sorted));
+    return sha;
+  }
+
+  function putCommit({ tree, parents, message, author = null, files: changed = [] }) {
+    const sha = hash('commit', JSON.stringify({ tree, parents, message, author, nonce: commits.size }));
+    commits.set(sha, { sha, tree, parents, message, author, files: changed });
+    return sha;
+  }
+
+  /**
+   * Commit `changes` (`path -> contents | null`) on top of `branch`, or on
+   * top of `from` when the branch does not exist yet
+   */
+  function commit(branch, changes, { message = 'Update', author = null, from = branch } = {}) {
+    const parentSha = refs.get(branch) || refs.get(from) || null;
+    const entries = new Map(parentSha ? trees.get(commits.get(parentSha).tree) : []);
+    for (const [filePath, contents] of Object.entries(changes)) {
+      if (contents === null) {
+        entries.delete(filePath);
+      } else if (typeof contents === 'object') {
+        entries.set(filePath, { mode: '120000', type: 'blob', sha: putBlob(Buffer.from(contents.symlink)) });
+      } else {
+        entries.set(filePath, { mode: '100644', type: 'blob', sha: putBlob(Buffer.from(contents)) });
+      }
+    }
+    const sha = putCommit({
+      tree: putTree(entries),
+      parents: parentSha ? [parentSha] : [],
+      message,
+      author,
+      files: Object.keys(changes),
+    });
+    refs.set(branch, sha);
+    return sha;
+  }
+
+  /**
+   * Contents of every file at the tip of `branch`
+   */
+  function readBranch(branch) {
+    const tip = commits.get(refs.get(branch));
+    const result = {};
+    for (const [filePath, entry] of trees.get(tip.tree)) {
+      result[filePath] = blobs.get(entry.sha).toString('utf-8');
+    }
+    return result;
+  }
+
+  function ancestors(sha) {
+    const seen = new Set();
+    const queue = [sha];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (!current || seen.has(current)) {
+        continue;
+      }
+      seen.add(current);
+      queue.push(...commits.get(current).parents);
+    }
+    return seen;
+  }
+
+  function describeCommit(item) {
+    return {
+      sha: item.sha,
+      commit: { message: item.message, author: { email: item.author?.email || 'bot@example.com' } },
+      author: { type: item.author?.type || 'Bot', login: item.author?.login || 'github-actions[bot]' },
+      files: item.files.map((filename) => ({ filename })),
+    };
+  }
+
+  /**
+   * Serve `/repos/:owner/:repo/<resource>`; returns false for other routes.
+   * Commits created without an author are authored by `actor`, the user the
+   * request's token acts as.
+   */
+  function handle(method, resource, body, send, actor = null) {
+    let match;
+    if ((match = /^git\/refs?\/heads\/(.+)$/.exec(resource))) {
+      const branch = decodeURIComponent(match[1]);
+      if (method === 'GET') {
+        return refs.has(branch)
+          ? send(200, { ref: `refs/heads/${branch}`, object: { sha: refs.get(branch), type: 'commit' } })
+          : send(404, { message: 'Not Found' });
+      }
+      if (method === 'PATCH') {
+        if (!refs.has(branch)) {
+          return send(422, { message: 'Reference does not exist' });
+        }
+        if (!body.force && !ancestors(body.sha).has(refs.get(branch))) {
+          return send(422, { message: 'Update is not a fast forward' });
+        }
+        refs.set(branch, body.sha);
+        return send(200, { ref: `refs/heads/${branch}`, object: { sha: body.sha } });
+      }
+    }
+    if (resource === 'git/refs' && method === 'POST') {
+      const branch = body.ref.replace(/^refs\/heads\//, '');
+      if (refs.has(branch)) {
+        return send(422, { message: 'Reference already exists' });
+      }
+      refs.set(branch, body.sha);
+      return send(201, { ref: body.ref, object: { sha: body.sha } });
+    }
+    if ((match = /^git\/commits\/([0-9a-f]+)$/.exec(resource)) && method === 'GET') {
+      const item = commits.get(match[1]);
+      return item
+        ? send(200, { sha: item.sha, tree: { sha: item.tree }, parents: item.parents.map((sha) => ({ sha })) })
+        : send(404, { message: 'Not Found' });
+    }
+    if (resource === 'git/commits' && method === 'POST') {
+      if (!trees.has(body.tree) || !body.parents.every((sha) => commits.has(sha))) {
+        return send(422, { message: 'Invalid tree or parents' });
+      }
+      const author = body.author || actor;
+      const sha = putCommit({ tree: body.tree, parents: body.parents, message: body.message, author });
+      return send(201, { sha, tree: { sha: body.tree }, verification: { verified: !body.author && !body.committer } });
+    }
+    if ((match = /^git\/trees\/([0-9a-f]+)$/.exec(resource)) && method === 'GET') {
+      const tree = trees.get(match[1]);
+      if (!tree) {
+        return send(404, { message: 'Not Found' });
+      }
+      const entries = [...tree].map(([filePath, entry]) => ({ path: filePath, ...entry }));
+      return send(200, { sha: match[1], tree: entries, truncated: false });
+    }
+    if (resource === 'git/trees' && method === 'POST') {
+      const entries = new Map(body.base_tree ? trees.get(body.base_tree) : []);
+      for (const entry of body.tree) {
+        if (entry.sha === null) {
+          for (const filePath of [...entries.keys()]) {
+            if (filePath === entry.path || filePath.startsWith(`${entry.path}/`)) {
+              entries.delete(filePath);
+            }
+          }
+        } else {
+          entries.set(entry.path, { mode: entry.mode, type: entry.type, sha: entry.sha });
+        }
+      }
+      return send(201, { sha: putTree(entries) });
+    }
+    if ((match = /^git\/blobs\/([0-9a-f]+)$/.exec(resource)) && method === 'GET') {
+      const content = blobs.get(match[1]);
+      return content
+        ? send(200, { sha: match[1], content: content.toString('base64'), encoding: 'base64' })
+        : send(404, { message: 'Not Found' });
+    }
+    if (resource === 'git/blobs' && method === 'POST') {
+      return send(201, { sha: putBlob(Buffer.from(body.content, body.encoding === 'base64' ? 'base64' : 'utf-8')) });
+    }
+    if ((match = /^compare\/(.+)\.\.\.(.+)$/.exec(resource)) && method === 'GET') {
+      const reachable = ancestors(refs.get(decodeURIComponent(match[1])));
+      const ahead = [...ancestors(refs.get(decodeURIComponent(match[2])))].filter((sha) => !reachable.has(sha));
+      return send(200, { ahead_by: ahead.length, commits: ahead.reverse().map((sha) => describeCommit(commits.get(sha))) });
+    }
+    if ((match = /^commits\/([0-9a-f]+)$/.exec(resource)) && method === 'GET') {
+      return send(200, describeCommit(commits.get(match[1])));
+    }
+    return false;
+  }
+
+  commit('main', files, { message: 'Initial commit', author: { type: 'User', email: 'author@example.com' } });
+
+  return { refs, commits, commit, readBranch, handle };
+}
+
+module.exports = { createGitDataStore };
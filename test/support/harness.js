@@ -0,0 +1,181 @@
+'use strict';
+
+const { execFileSync, spawn } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const ACTION_ENTRY = path.resolve(__dirname, '../../src/index.js');
+
+const GIT_ENV = {
+  GIT_AUTHOR_NAME: 'Test Author',
+  GIT_AUTHOR_EMAIL: 'author@example.com',
+  GIT_COMMITTER_NAME: 'Test Author',
+  GIT_COMMITTER_EMAIL: 'author@example.com',
+  GIT_CONFIG_NOSYSTEM: '1',
+};
+
+function git(args, cwd, env = {}) {
+  return execFileSync('git', args, {
+    cwd,
+    env: { ...process.env, ...GIT_ENV, HOME: cwd, ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  })
+    .toString()
+    .trim();
+}
+
+/**
+ * Create a bare `remote.git` with one commit on `main` and a clone of it
+ * in `workspace`, all inside a fresh temporary directory.
+ */
+async function createWorkspace(files = { 'README.md': '# Widgets\n' }) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'pixelframe-test-'));
+  const remote = path.join(root, 'remote.git');
+  const workspace = path.join(root, 'workspace');
+
+  git(['init', '--quiet', '--bare', '--initial-branch=main', remote], root);
+  git(['clone', '--quiet', remote, workspace], root);
+  git(['checkout', '--quiet', '-B', 'main'], workspace);
+  for (const [file, contents] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(workspace, file)), { recursive: true });
+    await fs.writeFile(path.join(workspace, file), contents);
+  }
+  git(['add', '--all'], workspace);
+  git(['commit', '--quiet', '-m', 'Initial commit'], workspace);
+  git(['push', '--quiet', 'origin', 'main'], workspace);
+
+  return {
+    root,
+    remote,
+    workspace,
+    git: (args, cwd = workspace) => git(args, cwd),
+    cleanup: () => fs.rm(root, { recursive: true, force: true }),
+  };
+}
+
+/**
+ * Create another bare repository, `remotes/<owner>/<name>.git` under the
+ * workspace root, with one commit on `main`. Point GITHUB_SERVER_URL at
+ * `file://<root>/remotes` to let the action clone it.
+ */
+async function createRemote(context, repository, files = { 'README.md': `# ${repository}\n` }) {
+  const remote = path.join(context.root, 'remotes', `${repository}.git`);
+  const seed = await fs.mkdtemp(path.join(context.root, 'seed-'));
+  git(['init', '--quiet', '--bare', '--initial-branch=main', remote], context.root);
+  git(['clone', '--quiet', remote, seed], context.root);
+  git(['checkout', '--quiet', '-B', 'main'], seed);
+  for (const [file, contents] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(seed, file)), { recursive: true });
+    await fs.writeFile(path.join(seed, file), contents);
+  }
+  git(['add', '--all'], seed);
+  git(['commit', '--quiet', '-m', 'Initial commit'], seed);
+  git(['push', '--quiet', 'origin', 'main'], seed);
+  await fs.rm(seed, { recursive: true, force: true });
+  return remote;
+}
+
+/**
+ * Parse the heredoc entries the action appends to GITHUB_OUTPUT
+ */
+function parseOutputs(text) {
+  const outputs = {};
+  const lines = text.split('\n');
+  for (let index = 0; index < lines.length; index++) {
+    const match = /^([^<]+)<<(.+)$/.exec(lines[index]);
+    if (!match) {
+      continue;
+    }
+    const [, name, delimiter] = match;
+    const value = [];
+    for (index++; index < lines.length && lines[index] !== delimiter; index++) {
+      value.push(lines[index]);
+    }
+    outputs[name] = value.join('\n');
+  }
+  return outputs;
+}
+
+/**
+ * Run the action entry point in `context.workspace` against `server`.
+ * Inputs are passed the way the runner does (INPUT_* variables) and the
+ * payload and GITHUB_API_URL point the action at the mock server.
+ */
+async function runAction(context, server, options = {}) {
+  const runDir = await fs.mkdtemp(path.join(context.root, 'run-'));
+  const payloadPath = path.join(runDir, 'payload.json');
+  const outputPath = path.join(runDir, 'output.txt');
+  const summaryPath = path.join(runDir, 'summary.md');
+  await fs.writeFile(payloadPath, JSON.stringify({ agentUrl: `${server.url}/agent/run`, ...options.payload }));
+  await fs.writeFile(outputPath, '');
+  await fs.writeFile(summaryPath, '');
+
+  const inputs = {
+    'payload-file': payloadPath,
+    token: 'test-token',
+    'poll-interval': '0.05',
+    'poll-timeout': '10',
+    ...options.inputs,
+  };
+  const env = {
+    PATH: process.env.PATH,
+    ...GIT_ENV,
+    HOME: context.root,
+    GITHUB_REPOSITORY: 'acme/widgets',
+    GITHUB_OUTPUT: outputPath,
+    GITHUB_STEP_SUMMARY: summaryPath,
+    RUNNER_TEMP: runDir,
+    PIXELFRAME_API_KEY: 'test-api-key',
+    GITHUB_API_URL: server.githubApiUrl,
+    ...options.env,
+  };
+  for (const [name, value] of Object.entries(inputs)) {
+    env[`INPUT_${name.toUpperCase()}`] = value;
+  }
+
+  const child = spawn(process.execPath, [ACTION_ENTRY], {
+    cwd: context.workspace,
+    env,
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let stdout = '';
+  let stderr = '';
+  child.stdout.on('data', (chunk) => {
+    stdout += chunk;
+  });
+  child.stderr.on('data', (chunk) => {
+    stderr += chunk;
+  });
+  if (options.onSpawn) {
+    options.onSpawn(child);
+  }
+
+  const code = await new Promise((resolve) => child.on('close', resolve));
+  return {
+    code,
+    stdout,
+    stderr,
+    log: `${stdout}${stderr}`,
+    outputs: parseOutputs(await fs.readFile(outputPath, 'utf-8')),
+    summary: await fs.readFile(summaryPath, 'utf-8'),
+    runDir,
+  };
+}
+
+/**
+ * An `onSpawn` option for runAction that sends SIGTERM, as the runner does
+ * on cancellation, once `server` has seen a `method` request to `pattern`
+ */
+function cancelOnRequest(server, method, pattern) {
+  return (child) => {
+    const timer = setInterval(() => {
+      if (server.requestsTo(method, pattern).length > 0) {
+        clearInterval(timer);
+        child.kill('SIGTERM');
+      }
+    }, 20);
+  };
+}
+
+module.exports = { createWorkspace, createRemote, runAction, parseOutputs, cancelOnRequest };
@@ -0,0 +1,504 @@
+'use strict';
+
+const http = require('http');
+
+const { createGitDataStore } = require('./git-data');
+
+/**
+ * In-process stand-in for the PixelFrame backend and the GitHub REST API.
+ *
+ * A scenario scripts the PixelFrame side:
+ *
+ *   {
+ *     run: { status: 200, body: { status: 'processing', runId: 'run-1' } },
+ *     status: [
+ *       { body: { status: 'processing', pipeline: { coder: { status: 'generating' } } } },
+ *       { raw: '{not json' },
+ *       { body: { status: 'completed', plan: { ... } } },
+ *     ],
+ *     events: [{ event: 'stage', data: { stage: 'coder', status: 'generating' } }],
+ *     assets: { '/assets/logo.png': { body: Buffer.from('...'), contentType: 'image/png' } },
+ *     // `{ hang: true }` never answers, to hold the action in a download
+ *   }
+ *
+ * The GitHub side keeps pull requests in `github.pulls` and serves the Git
+ * Data API from `github.git` (see git-data.js), seeded with `scenario.git`.
+ * Merging is scripted with `pullStates` (merged into the pull request on
+ * each GET, in order), `checkRuns` (one list of check runs per request, in
+ * order), `commitStatus`, `merge` (a step for `PUT /merge`) and `graphql`
+ * (a step for every GraphQL request, which are recorded in `github.graphql`).
+ * The review decision query answers with `reviewDecision` (null by default).
+ * Pull request metadata uses `labels` (existing label names),
+ * `collaborators` (assignable logins) and `milestones` (`{ number, title }`).
+ * Created pull requests record their `repository` (`owner/name`), and
+ * lookups by head only see the pull requests of the requested repository.
+ * Updates ignore `draft` (the convertPullRequestToDraft mutation sets it),
+ * and pull requests marked `forcePushed` answer 422 to reopening, as GitHub
+ * does once the branch changed after the pull request was closed.
+ * Issue and pull request comments live in `github.comments`, seeded with
+ * `comments` (`{ issue, body, user }`); created comments record the `user`
+ * their token acts as. Review thread replies are added there
+ * as `{ pull, inReplyTo, body }`. The review threads GraphQL query answers
+ * with the pull request from `github.pulls` and `reviewThreads` (thread
+ * nodes as GitHub returns them); resolved thread ids are recorded in
+ * `github.resolvedThreads`. `GET /user` answers with `viewer` (a personal
+ * access token's user, `pixelframe-agent` by default) and 403 for
+ * installation tokens, as GitHub does.
+ * GitHub App installation tokens are issued as `ghs_…` values and recorded
+ * in `github.installationTokens` (`{ token, repositories, revoked }`);
+ * `appInstalled: false` makes the installation lookup answer 404, and
+ * `tokenLifetimes` lists the seconds the first tokens stay valid (an hour
+ * for the rest).
+ * `rateLimits` lists `{ method, path, status, headers, body }` responses
+ * served once, instead of the real answer, to the first matching GitHub
+ * request. With `pageSize` the pull request and check run lists are split
+ * into pages linked with `Link` headers. GitHub is served below `/github`,
+ * and below `/api/v3` (GraphQL at `/api/graphql`) as on Enterprise Server.
+ *
+ * Each response step is `{ status, body }` (JSON), `{ status, raw }` (text)
+ * or `{ destroy: true }` (drop the connection). Status steps are served in
+ * order and the last one repeats, and so are `feedback` steps (one step or
+ * an array) answering `POST /agent/run/:id/feedback`. Without `events` the stream endpoint
+ * answers 404 so the action falls back to polling.
+ */
+function createMockServer(scenario = {}) {
+  const requests = [];
+  const github = {
+    pulls: [],
+    nextNumber: 1,
+    graphql: [],
+    labels: [...(scenario.labels || ['bug'])],
+    comments: (scenario.comments || []).map((comment, index) => ({ id: index + 1, ...comment })),
+    installationTokens: [],
+    resolvedThreads: [],
+    git: createGitDataStore(scenario.git),
+  };
+  const collaborators = scenario.collaborators || ['octocat'];
+  const milestones = scenario.milestones || [{ number: 1, title: 'v1.0' }];
+  let statusIndex = 0;
+  let feedbackIndex = 0;
+  let pullStateIndex = 0;
+  let checkRunsIndex = 0;
+  let checkRuns = [];
+  const servedRateLimits = new Set();
+  let baseUrl = null;
+
+  function sendStep(res, step = {}) {
+    if (step.destroy) {
+      res.socket.destroy();
+      return;
+    }
+    res.statusCode = step.status || 200;
+    if (step.headers) {
+      for (const [name, value] of Object.entries(step.headers)) {
+        res.setHeader(name, value);
+      }
+    }
+    if (step.raw !== undefined) {
+      res.end(step.raw);
+      return;
+    }
+    res.setHeader('content-type', 'application/json');
+    res.end(step.body === undefined ? '' : JSON.stringify(step.body));
+  }
+
+  function sendJson(res, status, body) {
+    sendStep(res, { status, body });
+  }
+
+  function handleEvents(res) {
+    if (!scenario.events) {
+      sendJson(res, 404, { error: 'not found' });
+      return;
+    }
+    res.writeHead(200, { 'content-type': 'text/event-stream' });
+    for (const item of scenario.events) {
+      res.write(`event: ${item.event}\ndata: ${JSON.stringify(item.data)}\n\n`);
+    }
+    res.end();
+  }
+
+  function handleAsset(res, pathname) {
+    const asset = scenario.assets && scenario.assets[pathname];
+    if (!asset) {
+      sendJson(res, 404, { error: 'asset not found' });
+      return;
+    }
+    if (asset.hang) {
+      return;
+    }
+    res.statusCode = asset.status || 200;
+    res.setHeader('content-type', asset.contentType || 'application/octet-stream');
+    res.end(asset.body);
+  }
+
+  /**
+   * Send one page of `items`, linking the next page the way GitHub does
+   */
+  function sendPage(req, res, items, wrap = (page) => page) {
+    const url = new URL(req.url, baseUrl);
+    const page = Number(url.searchParams.get('page')) || 1;
+    const size = scenario.pageSize || Math.max(items.length, 1);
+    if (page * size < items.length) {
+      url.searchParams.set('page', String(page + 1));
+      res.setHeader('link', `<${url}>; rel="next"`);
+    }
+    sendJson(res, 200, wrap(items.slice((page - 1) * size, page * size)));
+  }
+
+  function nextStep(steps, index) {
+    return steps[Math.min(index, steps.length - 1)];
+  }
+
+  function describeReviewedPull(pull) {
+    return {
+      id: pull.node_id || `PR_${pull.number}`,
+      number: pull.number,
+      url: pull.html_url,
+      body: pull.body,
+      headRefName: pull.head.ref,
+      headRefOid: pull.head.sha || 'head-sha',
+      baseRefName: pull.base.ref,
+      headRepository: { nameWithOwner: pull.head.repo || 'acme/widgets' },
+      reviewThreads: { pageInfo: { hasNextPage: false, endCursor: null }, nodes: scenario.reviewThreads || [] },
+    };
+  }
+
+  function handleGraphql(res, body) {
+    github.graphql.push(body);
+    if (scenario.graphql) {
+      sendStep(res, scenario.graphql);
+    } else if (/projectV2\(number/.test(body.query)) {
+      const project = { projectV2: { id: `PVT_${body.variables.login}_${body.variables.number}` } };
+      sendJson(res, 200, { data: body.variables.isOrganization ? { organization: project } : { user: project } });
+    } else if (/addProjectV2ItemById/.test(body.query)) {
+      sendJson(res, 200, { data: { addProjectV2ItemById: { item: { id: 'PVTI_1' } } } });
+    } else if (/resolveReviewThread/.test(body.query)) {
+      github.resolvedThreads.push(body.variables.threadId);
+      sendJson(res, 200, { data: { resolveReviewThread: { thread: { isResolved: true } } } });
+    } else if (/reviewDecision/.test(body.query)) {
+      const pullRequest = { reviewDecision: scenario.reviewDecision || null };
+      sendJson(res, 200, { data: { repository: { pullRequest } } });
+    } else if (/reviewThreads/.test(body.query)) {
+      const pull = github.pulls.find((item) => item.number === body.variables.number);
+      sendJson(res, 200, { data: { repository: { pullRequest: pull ? describeReviewedPull(pull) : null } } });
+    } else if (/convertPullRequestToDraft/.test(body.query)) {
+      const pull = github.pulls.find((item) => (item.node_id || `PR_${item.number}`) === body.variables.pullRequestId);
+      pull.draft = true;
+      sendJson(res, 200, { data: { convertPullRequestToDraft: { pullRequest: { isDraft: true } } } });
+    } else if (/enqueuePullRequest/.test(body.query)) {
+      sendJson(res, 200, { data: { enqueuePullRequest: { mergeQueueEntry: { position: 1 } } } });
+    } else {
+      sendJson(res, 200, { data: { enablePullRequestAutoMerge: { pullRequest: { number: 1 } } } });
+    }
+  }
+
+  function handleIssueMetadata(method, resource, body, send) {
+    let match;
+    if ((match = /^labels\/(.+)$/.exec(resource)) && method === 'GET') {
+      const name = decodeURIComponent(match[1]);
+      return github.labels.includes(name) ? send(200, { name }) : send(404, { message: 'Not Found' });
+    }
+    if (resource === 'labels' && method === 'POST') {
+      github.labels.push(body.name);
+      return send(201, { name: body.name, color: body.color });
+    }
+    if (resource.startsWith('milestones') && method === 'GET') {
+      return send(200, milestones);
+    }
+    match = /^issues\/(\d+)(\/labels|\/assignees)?$/.exec(resource);
+    const pull = match && github.pulls.find((item) => item.number === Number(match[1]));
+    if (!pull) {
+      return false;
+    }
+    if (match[2] === '/labels' && method === 'POST') {
+      pull.labels = [...(pull.labels || []), ...body.labels.map((name) => ({ name }))];
+      return send(200, pull.labels);
+    }
+    if (match[2] === '/assignees' && method === 'POST') {
+      const logins = body.assignees.filter((login) => collaborators.includes(login));
+      pull.assignees = [...(pull.assignees || []), ...logins.map((login) => ({ login }))];
+      return send(201, pull);
+    }
+    if (!match[2] && method === 'PATCH') {
+      if (!milestones.some((item) => item.number === body.milestone)) {
+        return send(422, { message: 'Validation Failed', errors: [{ field: 'milestone', code: 'invalid' }] });
+      }
+      pull.milestone = milestones.find((item) => item.number === body.milestone);
+      return send(200, pull);
+    }
+    return false;
+  }
+
+  // The user a token acts as: the app's bot for installation tokens, `viewer` otherwise
+  function authorOf(req) {
+    if (/^Bearer ghs_/.test(req.headers.authorization)) {
+      return { login: 'pixelframe[bot]', type: 'Bot' };
+    }
+    return scenario.viewer || { login: 'pixelframe-agent', type: 'User' };
+  }
+
+  function handleIssueComments(req, resource, body, send) {
+    const { method } = req;
+    let match;
+    if ((match = /^issues\/(\d+)\/comments$/.exec(resource))) {
+      const issue = Number(match[1]);
+      if (method === 'GET') {
+        return send(200, github.comments.filter((comment) => comment.issue === issue));
+      }
+      if (method === 'POST') {
+        const comment = { id: github.comments.length + 1, issue, body: body.body, user: authorOf(req) };
+        github.comments.push(comment);
+        return send(201, comment);
+      }
+    }
+    if ((match = /^pulls\/(\d+)\/comments\/(\d+)\/replies$/.exec(resource)) && method === 'POST') {
+      const reply = { id: github.comments.length + 1, pull: Number(match[1]), inReplyTo: Number(match[2]) };
+      reply.body = body.body;
+      github.comments.push(reply);
+      return send(201, reply);
+    }
+    if ((match = /^issues\/comments\/(\d+)$/.exec(resource)) && method === 'PATCH') {
+      const comment = github.comments.find((item) => item.id === Number(match[1]));
+      if (!comment) {
+        return send(404, { message: 'Not Found' });
+      }
+      comment.body = body.body;
+      return send(200, comment);
+    }
+    return false;
+  }
+
+  function handleAppAuth(req, pathname, body, send) {
+    if (/^\/repos\/[^/]+\/[^/]+\/installation$/.test(pathname) && req.method === 'GET') {
+      return scenario.appInstalled === false
+        ? send(404, { message: 'Not Found' })
+        : send(200, { id: 77, app_slug: 'pixelframe' });
+    }
+    if (/^\/app\/installations\/\d+\/access_tokens$/.test(pathname) && req.method === 'POST') {
+      const token = `ghs_${String(github.installationTokens.length + 1).padStart(36, '0')}`;
+      github.installationTokens.push({ token, repositories: body.repositories, revoked: false });
+      const lifetime = (scenario.tokenLifetimes || [])[github.installationTokens.length - 1] ?? 3600;
+      return send(201, { token, expires_at: new Date(Date.now() + lifetime * 1000).toISOString() });
+    }
+    if (pathname === '/user' && req.method === 'GET') {
+      return /^Bearer ghs_/.test(req.headers.authorization)
+        ? send(403, { message: 'Resource not accessible by integration' })
+        : send(200, authorOf(req));
+    }
+    if (pathname === '/installation/token' && req.method === 'DELETE') {
+      const issued = github.installationTokens.find((item) => req.headers.authorization === `Bearer ${item.token}`);
+      if (issued) {
+        issued.revoked = true;
+      }
+      return send(issued ? 204 : 401, issued ? null : { message: 'Bad credentials' });
+    }
+    return false;
+  }
+
+  function handleGitHub(req, res, pathname, searchParams, body) {
+    const rateLimit = (scenario.rateLimits || []).find(
+      (item) => !servedRateLimits.has(item) && item.method === req.method && item.path.test(pathname)
+    );
+    if (rateLimit) {
+      servedRateLimits.add(rateLimit);
+      sendStep(res, rateLimit);
+      return;
+    }
+    if (pathname === '/graphql' && req.method === 'POST') {
+      handleGraphql(res, body);
+      return;
+    }
+    const commitChecks = /^\/repos\/[^/]+\/[^/]+\/commits\/[^/]+\/(check-runs|status)$/.exec(pathname);
+    if (commitChecks && commitChecks[1] === 'check-runs') {
+      // Later pages belong to the same listing as the first
+      if (!searchParams.get('page')) {
+        checkRuns = scenario.checkRuns ? nextStep(scenario.checkRuns, checkRunsIndex++) : [];
+      }
+      sendPage(req, res, checkRuns, (page) => ({ total_count: checkRuns.length, check_runs: page }));
+      return;
+    }
+    if (commitChecks) {
+      sendJson(res, 200, scenario.commitStatus || { state: 'pending', statuses: [] });
+      return;
+    }
+    const resource = /^\/repos\/[^/]+\/[^/]+\/(.+)$/.exec(pathname);
+    const send = (status, data) => {
+      sendJson(res, status, data);
+      return true;
+    };
+    if (handleAppAuth(req, pathname, body, send)) {
+      return;
+    }
+    if (resource && github.git.handle(req.method, resource[1], body, send, authorOf(req))) {
+      return;
+    }
+
+    if (resource && handleIssueMetadata(req.method, resource[1], body, send)) {
+      return;
+    }
+    if (resource && handleIssueComments(req, resource[1], body, send)) {
+      return;
+    }
+
+    const pulls = /^\/repos\/([^/]+)\/([^/]+)\/pulls(?:\/(\d+))?(\/[a-z_]+)?$/.exec(pathname);
+    if (!pulls) {
+      sendJson(res, 404, { message: 'Not Found' });
+      return;
+    }
+    const [, owner, repo, number, action] = pulls;
+    const pull = number ? github.pulls.find((item) => item.number === Number(number)) : null;
+    const inRepository = (item) => !item.repository || item.repository === `${owner}/${repo}`;
+
+    if (!number && req.method === 'POST') {
+      if (github.pulls.some((item) => inRepository(item) && item.head.ref === body.head && item.state === 'open')) {
+        sendJson(res, 422, { message: 'Validation Failed', errors: [{ message: 'A pull request already exists' }] });
+        return;
+      }
+      const created = {
+        number: github.nextNumber++,
+        repository: `${owner}/${repo}`,
+        state: 'open',
+        merged: false,
+        title: body.title,
+        body: body.body,
+        draft: body.draft === true,
+        node_id: `PR_${github.nextNumber - 1}`,
+        mergeable: true,
+        mergeable_state: 'clean',
+        head: { ref: body.head, label: `${owner}:${body.head}`, sha: 'head-sha' },
+        base: { ref: body.base },
+        html_url: `https://github.test/${owner}/${repo}/pull/${github.nextNumber - 1}`,
+      };
+      github.pulls.push(created);
+      sendJson(res, 201, created);
+      return;
+    }
+    if (!number && req.method === 'GET') {
+      const head = searchParams.get('head');
+      const state = searchParams.get('state') || 'open';
+      const matches = github.pulls.filter(
+        (item) =>
+          inRepository(item) &&
+          (!head || item.head.label === head) &&
+          (state === 'all' || item.state === state)
+      );
+      sendPage(req, res, matches);
+      return;
+    }
+    if (!pull) {
+      sendJson(res, 404, { message: 'Not Found' });
+      return;
+    }
+    if (!action && req.method === 'GET') {
+      if (scenario.pullStates) {
+        Object.assign(pull, nextStep(scenario.pullStates, pullStateIndex++));
+      }
+      sendJson(res, 200, pull);
+    } else if (!action && req.method === 'PATCH') {
+      if (body.state === 'open' && pull.state === 'closed' && pull.forcePushed) {
+        sendJson(res, 422, { message: 'Validation Failed', errors: [{ message: 'state cannot be changed' }] });
+        return;
+      }
+      Object.assign(pull, { ...body, draft: pull.draft });
+      sendJson(res, 200, pull);
+    } else if (action === '/requested_reviewers' && req.method === 'POST') {
+      pull.requested_reviewers = body;
+      sendJson(res, 201, pull);
+    } else if (action === '/merge' && req.method === 'PUT') {
+      if (scenario.merge) {
+        sendStep(res, scenario.merge);
+        return;
+      }
+      pull.merged = true;
+      pull.merged_at = new Date().toISOString();
+      pull.state = 'closed';
+      sendJson(res, 200, { merged: true, sha: 'merged-sha' });
+    } else {
+      sendJson(res, 404, { message: 'Not Found' });
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.setEncoding('utf-8');
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const url = new URL(req.url, baseUrl);
+      let body = null;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch (error) {
+        body = raw;
+      }
+      requests.push({ method: req.method, path: url.pathname, query: url.search, body, headers: req.headers });
+
+      const { pathname } = url;
+      if (pathname === '/agent/run' && req.method === 'POST') {
+        sendStep(res, scenario.run || { body: { status: 'completed' } });
+      } else if (/^\/agent\/status\/[^/]+$/.test(pathname)) {
+        const steps = scenario.status || [{ status: 404, body: { error: 'unknown run' } }];
+        sendStep(res, steps[Math.min(statusIndex++, steps.length - 1)]);
+      } else if (/^\/agent\/events\/[^/]+$/.test(pathname)) {
+        handleEvents(res);
+      } else if (/^\/agent\/run\/[^/]+\/feedback$/.test(pathname) && req.method === 'POST') {
+        const steps = [].concat(scenario.feedback || { body: { status: 'received' } });
+        sendStep(res, steps[Math.min(feedbackIndex++, steps.length - 1)]);
+      } else if (/^\/agent\/run\/[^/]+\/cancel$/.test(pathname)) {
+        sendJson(res, 200, { status: 'cancelled' });
+      } else if (pathname.startsWith('/assets/')) {
+        handleAsset(res, pathname);
+      } else if (pathname.startsWith('/github/')) {
+        handleGitHub(req, res, pathname.slice('/github'.length), url.searchParams, body || {});
+      } else if (pathname.startsWith('/api/v3/') || pathname === '/api/graphql') {
+        const resource = pathname === '/api/graphql' ? '/graphql' : pathname.slice('/api/v3'.length);
+        handleGitHub(req, res, resource, url.searchParams, body || {});
+      } else {
+        sendJson(res, 404, { error: 'unknown route' });
+      }
+    });
+  });
+
+  return {
+    requests,
+    github,
+    get url() {
+      return baseUrl;
+    },
+    get githubApiUrl() {
+      return `${baseUrl}/github`;
+    },
+    listen() {
+      return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+          baseUrl = `http://127.0.0.1:${server.address().port}`;
+          resolve(this);
+        });
+      });
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+    requestsTo(method, pattern) {
+      return requests.filter((item) => item.method === method && pattern.test(item.path));
+    },
+  };
+}
+
+/**
+ * Scenario for an agent run that answers `processing` and then completes
+ * with `plan`. `response` adds fields to the completed response, such as
+ * `schemaVersion` or `pipeline`; `extra` adds scenario keys.
+ */
+function completedRunScenario(plan, extra = {}, response = {}) {
+  return {
+    run: { body: { status: 'processing', runId: 'run-1' } },
+    status: [{ body: { status: 'completed', runId: 'run-1', ...response, plan } }],
+    ...extra,
+  };
+}
+
+module.exports = { completedRunScenario, createMockServer };
@@ -0,0 +1,267 @@
+'use strict';
+
+const assert = require('assert/strict');
+const fs = require('fs/promises');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { completedRunScenario, createMockServer } = require('./support/mock-server');
+const { createWorkspace, runAction } = require('./support/harness');
+
+const BRANCH = 'pixelframe/update-1';
+
+const SCENARIO = completedRunScenario({
+  branch: BRANCH,
+  baseBranch: 'main',
+  files: [{ path: 'src/example.js', contents: 'module.exports = 42;\n' }],
+  pullRequest: { title: 'Apply PixelFrame updates', body: 'Generated by PixelFrame.' },
+});
+
+const PASSING = `node -e "console.log('lint ok')"`;
+const FAILING = `node -e "console.error('1 test failed'); process.exit(3)"`;
+
+let context;
+let server;
+
+beforeEach(async () => {
+  context = await createWorkspace();
+});
+
+afterEach(async () => {
+  await server.close();
+  await context.cleanup();
+});
+
+describe('validation commands', () => {
+  beforeEach(async () => {
+    server = await createMockServer(SCENARIO).listen();
+  });
+
+  function remoteHasBranch() {
+    try {
+      context.git(['rev-parse', '--verify', BRANCH], context.remote);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  it('runs the commands against the applied changes before committing', async () => {
+    const result = await runAction(context, server, {
+      inputs: { 'validation-commands': `# checks\n${PASSING}\nnode -e "require('./src/example.js')"` },
+    });
+
+    assert.equal(result.code, 0, result.log);
+    assert.ok(remoteHasBranch());
+    assert.match(result.log, /::group::Validation: node -e "console.log\('lint ok'\)"\n::stop-commands::([\w-]+)\n/);
+    assert.match(result.log, /::stop-commands::([\w-]+)\nlint ok\n\n::\1::\n::endgroup::/);
+    assert.match(result.summary, /### Validation\n\n\| Command \| Result \| Duration \|/);
+    assert.equal((result.summary.match(/✅ passed/g) || []).length, 2);
+  });
+
+  it('leaves files the commands write out of the commit', async () => {
+    const script = [
+      "const fs = require('fs');",
+      "fs.mkdirSync('coverage'); fs.writeFileSync('coverage/lcov.info', 'TN:');",
+      "fs.mkdirSync('.github/workflows', { recursive: true });",
+      "fs.writeFileSync('.github/workflows/x.yml', 'on: push');",
+      "fs.appendFileSync('README.md', 'churn');",
+    ].join(' ');
+    const result = await runAction(context, server, {
+      inputs: { 'validation-commands': JSON.stringify([{ name: 'build', run: `node -e "${script}"` }]) },
+    });
+
+    assert.equal(result.code, 0, result.log);
+    const files = context.git(['ls-tree', '-r', '--name-only', BRANCH], context.remote).split('\n');
+    assert.deepEqual(files, ['README.md', 'src/example.js']);
+    assert.equal(context.git(['show', `${BRANCH}:README.md`], context.remote), '# Widgets');
+  });
+
+  it('hides the action credentials from the commands', async () => {
+    const names = "['INPUT_TOKEN', 'PIXELFRAME_API_KEY', 'GITHUB_TOKEN', 'ACTIONS_RUNTIME_TOKEN', 'GITHUB_ENV']";
+    const probe = `node -e "process.exit(${names}.some((name) => name in process.env) ? 1 : 0)"`;
+    const result = await runAction(context, server, {
+      inputs: { 'validation-commands': JSON.stringify([{ name: 'probe', run: probe }]) },
+      env: { GITHUB_TOKEN: 'ghs_runner', ACTIONS_RUNTIME_TOKEN: 'runtime', GITHUB_ENV: '/dev/null' },
+    });
+
+    assert.equal(result.code, 0, result.log);
+    assert.ok(remoteHasBranch());
+  });
+
+  it('neither runs workflow commands from the output nor publishes credentials in it', async () => {
+    const token = 'ghp_'.padEnd(40, 'x');
+    const leak = `node -e "console.log('::add-mask::lint'); console.log(process.argv[1]); process.exit(1)" ${token}`;
+    const result = await runAction(context, server, {
+      inputs: {
+        'validation-commands': JSON.stringify([{ name: 'leak', run: leak }]),
+        'validation-failure-mode': 'draft',
+      },
+    });
+
+    assert.equal(result.code, 0, result.log);
+    assert.match(result.log, /::stop-commands::([\w-]+)\n::add-mask::lint\n\[REDACTED\]\n\n::\1::\n/);
+    const [created] = server.requestsTo('POST', /\/pulls$/);
+    assert.match(created.body.body, /```text\n::add-mask::lint\n\[REDACTED\]\n```/);
+    assert.doesNotMatch(created.body.body, /ghp_x/);
+  });
+
+  it('blocks the push when a command fails', async () => {
+    const result = await runAction(context, server, { inputs: { 'validation-commands': `${FAILING}\n${PASSING}` } });
+
+    assert.equal(result.code, 1);
+    assert.equal(remoteHasBranch(), false);
+    assert.match(result.log, /::error::Validation failed: node -e .* \(exit code 3\)\. Nothing was pushed\./);
+    assert.match(result.summary, /❌ exit code 3/);
+    assert.match(result.summary, /✅ passed/);
+    assert.equal(server.requestsTo('POST', /\/pulls$/).length, 0);
+  });
+
+  it('opens a draft pull request with the failure log', async () => {
+    const result = await runAction(context, server, {
+      inputs: {
+        'validation-commands': JSON.stringify([{ name: 'test', run: FAILING }]),
+        'validation-failure-mode': 'draft',
+      },
+    });
+
+    assert.equal(result.code, 0, result.log);
+    assert.ok(remoteHasBranch());
+    const [created] = server.requestsTo('POST', /\/pulls$/);
+    assert.equal(created.body.draft, true);
+    assert.match(created.body.body, /^Generated by PixelFrame\.\n\n### ⚠️ Validation failed/);
+    assert.match(created.body.body, /<code>test<\/code>: exit code 3<\/summary>\n\n```text\n1 test failed\n```/);
+  });
+
+  it('sends the failure log to the agent as feedback', async () => {
+    const result = await runAction(context, server, {
+      inputs: {
+        'validation-commands': JSON.stringify([{ name: 'test', run: FAILING }]),
+        'validation-failure-mode': 'feedback',
+        'repair-rounds': '0',
+      },
+    });
+
+    assert.equal(result.code, 1);
+    assert.equal(remoteHasBranch(), false);
+    const [feedback] = server.requestsTo('POST', /^\/agent\/run\/run-1\/feedback$/);
+    assert.equal(feedback.body.type, 'validation');
+    assert.equal(feedback.body.revise, false);
+    assert.equal(feedback.body.results[0].name, 'test');
+    assert.equal(feedback.body.results[0].exitCode, 3);
+    assert.equal(feedback.body.results[0].output, '1 test failed\n');
+    assert.match(result.log, /the failure log was sent to the agent/);
+  });
+
+  it('stops commands that exceed their timeout', async () => {
+    const result = await runAction(context, server, {
+      inputs: {
+        'validation-commands': JSON.stringify([
+          { name: 'hang', run: 'node -e "setTimeout(() => {}, 60000)"', timeout: 0.5 },
+        ]),
+      },
+    });
+
+    assert.equal(result.code, 1);
+    assert.match(result.log, /Validation failed: hang \(timed out after/);
+  });
+});
+
+describe('repair rounds', () => {
+  const CHECK = `node -e "process.exit(require('./src/example.js') === 42 ? 0 : 1)"`;
+
+  function planWith(files) {
+    return { branch: BRANCH, baseBranch: 'main', commitMessage: 'feat: answer', files };
+  }
+
+  function repairScenario(...plans) {
+    return {
+      run: { body: { status: 'processing', runId: 'run-1' } },
+      status: plans.map((plan) => ({ body: { status: 'completed', runId: 'run-1', plan } })),
+      feedback: { body: { status: 'processing', runId: 'run-1' } },
+    };
+  }
+
+  const WRONG = planWith([
+    { path: 'src/example.js', contents: 'module.exports = 41;\n' },
+    { path: 'src/scratch.js', contents: '// leftover\n' },
+  ]);
+  const FIXED = planWith([{ path: 'src/example.js', contents: 'module.exports = 42;\n' }]);
+
+  it('applies the revised plan after a failed round and records every round', async () => {
+    server = await createMockServer(repairScenario(WRONG, FIXED)).listen();
+
+    const result = await runAction(context, server, {
+      inputs: {
+        'validation-commands': JSON.stringify([{ name: 'answer', run: CHECK }]),
+        'validation-failure-mode': 'feedback',
+      },
+    });
+
+    assert.equal(result.code, 0, result.log);
+    const [feedback] = server.requestsTo('POST', /^\/agent\/run\/run-1\/feedback$/);
+    assert.equal(feedback.body.round, 1);
+    assert.equal(feedback.body.revise, true);
+    assert.equal(feedback.body.results[0].status, 'failed');
+
+    const files = context.git(['ls-tree', '-r', '--name-only', BRANCH], context.remote).split('\n');
+    assert.deepEqual(files, ['README.md', 'src/example.js']);
+    assert.equal(context.git(['show', `${BRANCH}:src/example.js`], context.remote), 'module.exports = 42;');
+
+    assert.match(result.summary, /### Repair rounds\n\n\| Round \| Result \| Failed checks \|/);
+    assert.match(result.summary, /\| 1 \| ❌ failed \| `answer` \(exit code 1\) \|\n\| 2 \| ✅ passed \| — \|/);
+    const log = JSON.parse(await fs.readFile(result.outputs['repair-log'], 'utf-8'));
+    assert.deepEqual(
+      log.map((entry) => [entry.round, entry.passed]),
+      [
+        [1, false],
+        [2, true],
+      ]
+    );
+    assert.match(await fs.readFile(log[0].diffPath, 'utf-8'), /\+\/\/ leftover/);
+    assert.doesNotMatch(await fs.readFile(log[1].diffPath, 'utf-8'), /leftover/);
+  });
+
+  it('removes the assets and command output of a rejected round', async () => {
+    const logo = { name: 'logo', target_paths: { png: 'img/logo.png' } };
+    const scenario = repairScenario({ ...WRONG, assets: [logo] }, FIXED);
+    scenario.assets = { '/assets/logo.png': { body: Buffer.from('logo'), contentType: 'image/png' } };
+    server = await createMockServer(scenario).listen();
+    logo.download_urls = { png: `${server.url}/assets/logo.png` };
+    const report = "if (require('./src/example.js') !== 42) require('fs').writeFileSync('failures.txt', 'answer')";
+    const commands = [
+      { name: 'report', run: `node -e "${report}"` },
+      { name: 'answer', run: CHECK },
+    ];
+
+    const result = await runAction(context, server, {
+      inputs: {
+        'validation-commands': JSON.stringify(commands),
+        'validation-failure-mode': 'feedback',
+      },
+    });
+
+    assert.equal(result.code, 0, result.log);
+    const files = context.git(['ls-tree', '-r', '--name-only', BRANCH], context.remote).split('\n');
+    assert.deepEqual(files, ['README.md', 'src/example.js']);
+    const log = JSON.parse(await fs.readFile(result.outputs['repair-log'], 'utf-8'));
+    assert.match(await fs.readFile(log[0].diffPath, 'utf-8'), /\+\+\+ b\/failures\.txt/);
+  });
+
+  it('fails once the repair rounds are used up', async () => {
+    server = await createMockServer(repairScenario(WRONG, WRONG)).listen();
+
+    const result = await runAction(context, server, {
+      inputs: {
+        'validation-commands': JSON.stringify([{ name: 'answer', run: CHECK }]),
+        'validation-failure-mode': 'feedback',
+        'repair-rounds': '1',
+      },
+    });
+
+    assert.equal(result.code, 1);
+    const feedback = server.requestsTo('POST', /^\/agent\/run\/run-1\/feedback$/);
+    assert.deepEqual(feedback.map((request) => request.body.revise), [true, false]);
+    assert.match(result.log, /Validation failed after 1 repair round\(s\): answer \(exit code 1\)/);
+    assert.throws(() => context.git(['rev-parse', '--verify', BRANCH], context.remote));
+  });
+});